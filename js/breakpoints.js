@@ -0,0 +1,193 @@
+/**
+ * Web IC Trainer - Breakpoints
+ * Halts the CircuitEngine when a net condition becomes true: a pin going
+ * HIGH/LOW or changing, any net entering STATE_ERROR, or a group of pins
+ * matching a bit pattern.
+ */
+
+import { STATE_LOW, STATE_HIGH, STATE_ERROR } from './simulation.js';
+
+export const BREAK_CONDITION = {
+    HIGH: 'high',
+    LOW: 'low',
+    CHANGE: 'change',
+    ERROR: 'error',
+    PATTERN: 'pattern'
+};
+
+export class BreakpointManager {
+    constructor(engine, wiring) {
+        this.engine = engine;
+        this.wiring = wiring;
+        this.breakpoints = [];
+        this.idCounter = 0;
+        this.lastHit = null;
+
+        // Callbacks
+        this.onBreak = null; // (hit) => void, hit = { breakpoint, nodeId, pins, state, time }
+
+        this.engine.onNodeChange = (node, oldState) => this.check(node, oldState);
+    }
+
+    /**
+     * Add a breakpoint.
+     * { condition, pinId } for HIGH/LOW/CHANGE, { condition } for ERROR,
+     * { condition, pins, pattern } for PATTERN (pattern is MSB-first over
+     * `pins`, one of 0/1/x per pin).
+     */
+    add({ condition, pinId = null, pins = [], pattern = '' }) {
+        const values = Object.values(BREAK_CONDITION);
+        if (!values.includes(condition)) {
+            throw new Error(`Unknown breakpoint condition: ${condition}`);
+        }
+
+        const breakpoint = { id: ++this.idCounter, condition, enabled: true, pinId: null, pins: [], pattern: '' };
+
+        if (condition === BREAK_CONDITION.PATTERN) {
+            const bits = String(pattern).trim().toLowerCase();
+            if (!pins.length) throw new Error('Pattern breakpoint needs at least one pin');
+            if (!/^[01x]+$/.test(bits) || bits.length !== pins.length) {
+                throw new Error(`Pattern "${pattern}" must have one 0/1/x per pin (${pins.length} pins)`);
+            }
+            pins.forEach(pin => this.assertPin(pin));
+            breakpoint.pins = [...pins];
+            breakpoint.pattern = bits;
+            breakpoint.matched = this.matchesPattern(breakpoint);
+        } else if (condition !== BREAK_CONDITION.ERROR) {
+            this.assertPin(pinId);
+            breakpoint.pinId = pinId;
+        }
+
+        this.breakpoints.push(breakpoint);
+        this.syncEngine();
+        return breakpoint;
+    }
+
+    remove(id) {
+        const index = this.breakpoints.findIndex(bp => bp.id === id);
+        if (index === -1) return false;
+        this.breakpoints.splice(index, 1);
+        this.syncEngine();
+        return true;
+    }
+
+    setEnabled(id, enabled) {
+        const breakpoint = this.breakpoints.find(bp => bp.id === id);
+        if (!breakpoint) return false;
+        breakpoint.enabled = enabled;
+        if (enabled && breakpoint.condition === BREAK_CONDITION.PATTERN) {
+            breakpoint.matched = this.matchesPattern(breakpoint);
+        }
+        this.syncEngine();
+        return true;
+    }
+
+    clear() {
+        this.breakpoints = [];
+        this.syncEngine();
+    }
+
+    syncEngine() {
+        this.engine.breakOnChange = this.breakpoints.some(bp => bp.enabled);
+    }
+
+    assertPin(pinId) {
+        if (!this.wiring.pinToNodeId.has(pinId)) {
+            throw new Error(`Unknown pin: ${pinId}`);
+        }
+    }
+
+    /**
+     * Node ids change as wires merge nets, so pins are resolved on every check
+     */
+    getPinState(pinId) {
+        const node = this.engine.nodes.get(this.wiring.pinToNodeId.get(pinId));
+        return node ? node.state : null;
+    }
+
+    matchesPattern(breakpoint) {
+        return breakpoint.pins.every((pinId, i) => {
+            const bit = breakpoint.pattern[i];
+            if (bit === 'x') return true;
+            return this.getPinState(pinId) === (bit === '1' ? STATE_HIGH : STATE_LOW);
+        });
+    }
+
+    /**
+     * Called by the engine for every node state change while breakpoints are
+     * enabled. Returns true to halt the run.
+     */
+    check(node, oldState) {
+        let hit = null;
+
+        for (const breakpoint of this.breakpoints) {
+            if (!breakpoint.enabled) continue;
+            if (this.evaluate(breakpoint, node, oldState) && !hit) {
+                hit = breakpoint;
+            }
+        }
+
+        if (!hit) return false;
+
+        this.lastHit = {
+            breakpoint: hit,
+            nodeId: node.id,
+            pins: this.getPinsOnNode(node.id),
+            state: node.state,
+            time: this.engine.currentTime
+        };
+        if (this.onBreak) this.onBreak(this.lastHit);
+        return true;
+    }
+
+    evaluate(breakpoint, node, oldState) {
+        switch (breakpoint.condition) {
+            case BREAK_CONDITION.HIGH:
+                return this.isPinOnNode(breakpoint.pinId, node) && node.state === STATE_HIGH;
+            case BREAK_CONDITION.LOW:
+                return this.isPinOnNode(breakpoint.pinId, node) && node.state === STATE_LOW;
+            case BREAK_CONDITION.CHANGE:
+                return this.isPinOnNode(breakpoint.pinId, node) && node.state !== oldState;
+            case BREAK_CONDITION.ERROR:
+                return node.state === STATE_ERROR;
+            case BREAK_CONDITION.PATTERN: {
+                if (!breakpoint.pins.some(pinId => this.isPinOnNode(pinId, node))) return false;
+                // Fire on entering the pattern, not on every change while it holds
+                const matched = this.matchesPattern(breakpoint);
+                const entered = matched && !breakpoint.matched;
+                breakpoint.matched = matched;
+                return entered;
+            }
+            default:
+                return false;
+        }
+    }
+
+    isPinOnNode(pinId, node) {
+        return this.wiring.pinToNodeId.get(pinId) === node.id;
+    }
+
+    getPinsOnNode(nodeId) {
+        return this.wiring.getPinsOnNode(nodeId);
+    }
+
+    /**
+     * Human readable description, e.g. "led-3-in goes HIGH"
+     */
+    describe(breakpoint) {
+        switch (breakpoint.condition) {
+            case BREAK_CONDITION.HIGH:
+                return `${breakpoint.pinId} goes HIGH`;
+            case BREAK_CONDITION.LOW:
+                return `${breakpoint.pinId} goes LOW`;
+            case BREAK_CONDITION.CHANGE:
+                return `${breakpoint.pinId} changes`;
+            case BREAK_CONDITION.ERROR:
+                return 'any net enters ERROR';
+            case BREAK_CONDITION.PATTERN:
+                return `${breakpoint.pins.join(', ')} = ${breakpoint.pattern}`;
+            default:
+                return breakpoint.condition;
+        }
+    }
+}
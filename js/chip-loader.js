@@ -0,0 +1,588 @@
+/**
+ * Web IC Trainer - Declarative Chip Loader
+ * Builds chips from JSON definitions instead of hand-written TTLChip
+ * subclasses: pins with names and types, power pins, and behaviour given as
+ * boolean equations, truth tables, or registers clocked on an edge (or
+ * transparent while a gate is HIGH) for sequential parts. Definitions are
+ * registered with the IC registry like the built-in chips.
+ */
+
+import { TTLChip, PIN_TYPE } from './ttl-chip.js';
+import { icRegistry, IC_CATEGORY, IC_ID_PATTERN } from './ic-registry.js';
+import { clockEdge, clocked } from './ic-implementations.js';
+import {
+    STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_UNKNOWN,
+    isKnown, logicBuffer, logicNot, logicAnd, logicOr, logicXor
+} from './simulation.js';
+
+export const CHIP_FORMAT = 'ic-trainer-chip-v1';
+
+// Pin and register names: "1A", "CLK", "/CLR", "Q_0" (the constants 0 and 1 are reserved)
+const NAME_PATTERN = /^[A-Za-z0-9_/]+$/;
+const INPUT_TYPES = [PIN_TYPE.INPUT, PIN_TYPE.CLOCK];
+const OUTPUT_TYPES = [PIN_TYPE.OUTPUT, PIN_TYPE.OPEN_COLLECTOR, PIN_TYPE.TRISTATE];
+
+// Clock level before and after the active edge
+const CLOCK_EDGES = {
+    rising: [STATE_LOW, STATE_HIGH],
+    falling: [STATE_HIGH, STATE_LOW]
+};
+
+// Truth table characters: X is "don't care" in the input columns and UNKNOWN
+// in the output columns; Z releases a tri-state output
+const TABLE_LEVELS = { 0: STATE_LOW, 1: STATE_HIGH, X: STATE_UNKNOWN };
+const RELEASED = 'Z';
+
+function isName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name) && !/^[01]$/.test(name);
+}
+
+function isWebUrl(text) {
+    try {
+        return ['http:', 'https:'].includes(new URL(text).protocol);
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Compile a boolean expression over pin and register names.
+ * Operators, loosest binding last: ! or ~ (NOT), & or * (AND), ^ (XOR),
+ * | or + (OR); parentheses and the constants 0 and 1.
+ * Returns { evaluate(env), names } where env maps each name to a state.
+ */
+export function compileExpression(text) {
+    const tokens = String(text).match(/[A-Za-z0-9_/]+|\S/g) || [];
+    const names = new Set();
+    let pos = 0;
+
+    const binary = (operators, operand, combine) => () => {
+        let left = operand();
+        while (operators.includes(tokens[pos])) {
+            pos++;
+            const a = left;
+            const b = operand();
+            left = (env) => combine(a(env), b(env));
+        }
+        return left;
+    };
+
+    const primary = () => {
+        const token = tokens[pos++];
+        if (token === undefined) throw new Error(`Expression "${text}" ends early`);
+        if (token === '!' || token === '~') {
+            const operand = primary();
+            return (env) => logicNot(operand(env));
+        }
+        if (token === '(') {
+            const inner = or();
+            if (tokens[pos++] !== ')') throw new Error(`Missing ) in "${text}"`);
+            return inner;
+        }
+        if (token === '0') return () => STATE_LOW;
+        if (token === '1') return () => STATE_HIGH;
+        if (isName(token)) {
+            names.add(token);
+            return (env) => env.get(token);
+        }
+        throw new Error(`Unexpected "${token}" in "${text}"`);
+    };
+    const and = binary(['&', '*'], primary, logicAnd);
+    const xor = binary(['^'], and, logicXor);
+    const or = binary(['|', '+'], xor, logicOr);
+
+    const evaluate = or();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}" in "${text}"`);
+    return { evaluate, names: [...names] };
+}
+
+/**
+ * Check a chip definition and compile it for DeclarativeChip.
+ * Returns { spec, errors }; spec is null when the definition is unusable.
+ */
+export function compileChipDefinition(def) {
+    const errors = [];
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        return { spec: null, errors: ['Chip definition must be a JSON object.'] };
+    }
+    if (def.format !== undefined && def.format !== CHIP_FORMAT) {
+        errors.push(`\`format\` must be "${CHIP_FORMAT}".`);
+    }
+    if (typeof def.id !== 'string' || !IC_ID_PATTERN.test(def.id)) {
+        errors.push('`id` must be 1-32 letters, digits, _ and -, starting with a letter or digit.');
+    }
+    ['family', 'description', 'datasheetUrl'].forEach(key => {
+        if (def[key] !== undefined && typeof def[key] !== 'string') errors.push(`\`${key}\` must be a string.`);
+    });
+    if (typeof def.datasheetUrl === 'string' && !isWebUrl(def.datasheetUrl)) {
+        errors.push('`datasheetUrl` must be an http or https URL.');
+    }
+    if (def.category !== undefined && !Object.values(IC_CATEGORY).includes(def.category)) {
+        errors.push(`\`category\` must be one of ${Object.values(IC_CATEGORY).join(', ')}.`);
+    }
+
+    const pinCount = def.pinCount ?? 14;
+    if (!Number.isInteger(pinCount) || pinCount < 4 || pinCount > 40 || pinCount % 2 !== 0) {
+        errors.push('`pinCount` must be an even number from 4 to 40.');
+        return { spec: null, errors };
+    }
+    const isPin = (pin) => Number.isInteger(pin) && pin >= 1 && pin <= pinCount;
+    // Standard DIP power pins unless the definition says otherwise
+    const vcc = def.vcc ?? pinCount;
+    const gnd = def.gnd ?? pinCount / 2;
+    if (!isPin(vcc) || !isPin(gnd) || vcc === gnd) {
+        errors.push(`\`vcc\` and \`gnd\` must be two different pins from 1 to ${pinCount}.`);
+    }
+
+    // Pins
+    const pins = [];
+    const pinNames = new Array(pinCount + 1).fill(null);
+    pinNames[vcc] = 'VCC';
+    pinNames[gnd] = 'GND';
+    const pinInfo = {}; // pin -> { name, function, activeLow } for the registry
+    const inputs = new Map(); // name -> pin
+    const outputs = new Map(); // name -> { pin, type }
+    if (!def.pins || typeof def.pins !== 'object' || Array.isArray(def.pins)) {
+        errors.push('`pins` must be an object keyed by pin number.');
+    } else {
+        const used = new Set();
+        Object.entries(def.pins).forEach(([key, entry]) => {
+            const where = `pins.${key}`;
+            const pin = Number(key);
+            if (!isPin(pin)) {
+                errors.push(`\`${where}\`: there is no pin ${key} on a ${pinCount}-pin chip.`);
+                return;
+            }
+            if (!isName(entry?.name)) {
+                errors.push(`\`${where}\` needs a \`name\` of letters, digits, _ and / (other than 0 or 1).`);
+                return;
+            }
+            if (used.has(entry.name)) {
+                errors.push(`\`${where}\`: the name "${entry.name}" is used twice.`);
+                return;
+            }
+            if (entry.function !== undefined && typeof entry.function !== 'string') {
+                errors.push(`\`${where}.function\` must be a string.`);
+            }
+            used.add(entry.name);
+            pinNames[pin] = entry.name;
+            // "/CLR" is the datasheet's CLR with a bar over it
+            const activeLow = entry.name.startsWith('/');
+            pinInfo[pin] = { name: activeLow ? entry.name.slice(1) : entry.name, function: entry.function || '', activeLow };
+
+            const type = entry.type ?? PIN_TYPE.INPUT;
+            if (pin === vcc || pin === gnd) {
+                if (type !== PIN_TYPE.POWER && entry.type !== undefined) {
+                    errors.push(`\`${where}\` is the ${pin === vcc ? 'VCC' : 'GND'} pin, so its type must be POWER.`);
+                }
+                return;
+            }
+            if (![...INPUT_TYPES, ...OUTPUT_TYPES, PIN_TYPE.NC].includes(type)) {
+                errors.push(`\`${where}\` type must be one of ${[...INPUT_TYPES, ...OUTPUT_TYPES, PIN_TYPE.NC].join(', ')}.`);
+                return;
+            }
+            pins.push({ pin, type });
+            if (INPUT_TYPES.includes(type)) inputs.set(entry.name, pin);
+            if (OUTPUT_TYPES.includes(type)) outputs.set(entry.name, { pin, type });
+        });
+    }
+
+    const registerNames = new Set(
+        def.registers && typeof def.registers === 'object' && !Array.isArray(def.registers)
+            ? Object.keys(def.registers)
+            : []
+    );
+    const readable = (name) => inputs.has(name) || registerNames.has(name);
+    const expression = (text, where) => {
+        if (text === 0 || text === 1) text = String(text);
+        if (typeof text !== 'string') {
+            errors.push(`\`${where}\` must be an expression string.`);
+            return null;
+        }
+        try {
+            const compiled = compileExpression(text);
+            const unknown = compiled.names.filter(name => !readable(name));
+            if (unknown.length > 0) {
+                errors.push(`\`${where}\` uses ${unknown.map(name => `"${name}"`).join(', ')}, which is not an input pin or register.`);
+                return null;
+            }
+            return compiled;
+        } catch (err) {
+            errors.push(`\`${where}\`: ${err.message}.`);
+            return null;
+        }
+    };
+
+    // Registers
+    const registers = [];
+    const clocks = new Map(); // clock pin -> { pin, from, to, dataPins }
+    if (def.registers !== undefined && (!def.registers || typeof def.registers !== 'object' || Array.isArray(def.registers))) {
+        errors.push('`registers` must be an object keyed by register name.');
+    }
+    registerNames.forEach(name => {
+        const entry = def.registers[name];
+        const where = `registers.${name}`;
+        if (!isName(name)) {
+            errors.push(`\`${where}\`: register names use letters, digits, _ and / (other than 0 or 1).`);
+            return;
+        }
+        if (pinNames.includes(name)) {
+            errors.push(`\`${where}\`: "${name}" is already a pin name.`);
+            return;
+        }
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`\`${where}\` must be an object.`);
+            return;
+        }
+
+        const register = {
+            name,
+            next: expression(entry.next, `${where}.next`),
+            async: [],
+            clockPin: null,
+            gate: null
+        };
+        if (entry.async !== undefined && !Array.isArray(entry.async)) {
+            errors.push(`\`${where}.async\` must be an array of { when, value }.`);
+        } else {
+            register.async = (entry.async || []).map((rule, i) => ({
+                when: expression(rule?.when, `${where}.async[${i}].when`),
+                value: expression(rule?.value, `${where}.async[${i}].value`)
+            }));
+        }
+
+        if (entry.clock !== undefined) {
+            const pin = inputs.get(entry.clock);
+            const edge = CLOCK_EDGES[entry.edge ?? 'rising'];
+            if (pin === undefined) {
+                errors.push(`\`${where}.clock\` must name an input pin.`);
+            } else if (!edge) {
+                errors.push(`\`${where}.edge\` must be "rising" or "falling".`);
+            } else {
+                const clock = clocks.get(pin) || { pin, from: edge[0], to: edge[1], dataPins: new Set() };
+                if (clock.to !== edge[1]) {
+                    errors.push(`\`${where}.edge\`: every register clocked by ${entry.clock} must use the same edge.`);
+                }
+                clocks.set(pin, clock);
+                // Inputs sampled at the edge get the setup/hold checks
+                register.next?.names
+                    .filter(source => inputs.has(source) && inputs.get(source) !== pin)
+                    .forEach(source => clock.dataPins.add(inputs.get(source)));
+                register.clockPin = pin;
+            }
+        } else if (entry.gate !== undefined) {
+            register.gate = expression(entry.gate, `${where}.gate`);
+        } else {
+            errors.push(`\`${where}\` needs a \`clock\` input pin or a \`gate\` expression.`);
+        }
+        registers.push(register);
+    });
+
+    // Outputs: each one from exactly one equation or truth table
+    const driven = new Set();
+    const drive = (name, where) => {
+        const output = outputs.get(name);
+        if (!output) {
+            errors.push(`\`${where}\`: "${name}" is not an output pin.`);
+            return null;
+        }
+        if (driven.has(name)) {
+            errors.push(`\`${where}\`: output "${name}" is already defined.`);
+            return null;
+        }
+        driven.add(name);
+        return output;
+    };
+
+    const equations = [];
+    Object.entries(def.equations || {}).forEach(([name, text]) => {
+        const where = `equations.${name}`;
+        const output = drive(name, where);
+        const compiled = expression(text, where);
+        if (output && compiled) equations.push({ name, pin: output.pin, evaluate: compiled.evaluate, enable: null });
+    });
+    Object.entries(def.enables || {}).forEach(([name, text]) => {
+        const where = `enables.${name}`;
+        const equation = equations.find(e => e.name === name);
+        if (outputs.get(name)?.type !== PIN_TYPE.TRISTATE) {
+            errors.push(`\`${where}\`: "${name}" is not a TRISTATE output.`);
+        } else if (!equation) {
+            errors.push(`\`${where}\`: "${name}" has no equation.`);
+        } else {
+            equation.enable = expression(text, where)?.evaluate || null;
+        }
+    });
+
+    const truthTables = [];
+    if (def.truthTables !== undefined && !Array.isArray(def.truthTables)) {
+        errors.push('`truthTables` must be an array.');
+    }
+    (Array.isArray(def.truthTables) ? def.truthTables : []).forEach((table, t) => {
+        const where = `truthTables[${t}]`;
+        if (!table || !Array.isArray(table.inputs) || !Array.isArray(table.outputs) || !Array.isArray(table.rows)) {
+            errors.push(`\`${where}\` must have \`inputs\`, \`outputs\` and \`rows\` arrays.`);
+            return;
+        }
+        const unknown = table.inputs.filter(name => !readable(name));
+        if (unknown.length > 0) {
+            errors.push(`\`${where}.inputs\`: ${unknown.map(name => `"${name}"`).join(', ')} is not an input pin or register.`);
+        }
+        const columns = table.outputs.map(name => drive(name, `${where}.outputs`));
+
+        const rows = [];
+        table.rows.forEach((row, r) => {
+            const [match, values] = Array.isArray(row) && row.length === 2 && row.every(part => typeof part === 'string')
+                ? row.map(part => part.replace(/\s+/g, '').toUpperCase())
+                : [null, null];
+            if (match === null || match.length !== table.inputs.length || values.length !== table.outputs.length ||
+                /[^01X]/.test(match) || /[^01XZ]/.test(values)) {
+                errors.push(`\`${where}.rows[${r}]\` must be ["${table.inputs.length} of 0/1/X", "${table.outputs.length} of 0/1/X/Z"].`);
+                return;
+            }
+            [...values].forEach((value, i) => {
+                if (value === RELEASED && columns[i] && columns[i].type !== PIN_TYPE.TRISTATE) {
+                    errors.push(`\`${where}.rows[${r}]\`: ${table.outputs[i]} is not a TRISTATE output, so it cannot be Z.`);
+                }
+            });
+            rows.push({
+                match: [...match].map(c => (c === 'X' ? null : TABLE_LEVELS[c])),
+                values: [...values].map(c => (c === RELEASED ? RELEASED : TABLE_LEVELS[c]))
+            });
+        });
+        truthTables.push({ inputs: table.inputs, outputs: columns.map(column => column?.pin), rows });
+    });
+
+    outputs.forEach(({ pin }, name) => {
+        if (!driven.has(name)) errors.push(`Output pin ${pin} (${name}) has no equation or truth table.`);
+    });
+
+    if (def.timing !== undefined) {
+        const isDelay = (spec) => Number.isFinite(spec?.typ) && Number.isFinite(spec?.max);
+        if (!isDelay(def.timing?.tPLH) || !isDelay(def.timing?.tPHL)) {
+            errors.push('`timing` needs `tPLH` and `tPHL` as { typ, max } in ns.');
+        }
+    }
+
+    if (errors.length > 0) return { spec: null, errors };
+    return {
+        spec: {
+            id: def.id,
+            name: def.id,
+            description: def.description || '',
+            family: def.family || null,
+            category: def.category || IC_CATEGORY.CUSTOM,
+            datasheetUrl: def.datasheetUrl || null,
+            pinCount,
+            vcc,
+            gnd,
+            timing: def.timing || null,
+            pins,
+            pinNames,
+            pinInfo,
+            inputs,
+            outputPins: [...outputs.values()].map(output => output.pin),
+            registers,
+            clocks: [...clocks.values()].map(clock => ({ ...clock, dataPins: [...clock.dataPins] })),
+            equations,
+            truthTables
+        },
+        errors
+    };
+}
+
+export function validateChipDefinition(def) {
+    const { errors } = compileChipDefinition(def);
+    return { ok: errors.length === 0, errors };
+}
+
+/**
+ * First row that certainly matches wins. With undetermined inputs, every
+ * row that might match up to that point has to agree, otherwise the
+ * output is UNKNOWN (as is an input combination no row covers).
+ */
+function lookUp(table, env) {
+    const levels = table.inputs.map(name => env.get(name));
+    const candidates = [];
+    for (const row of table.rows) {
+        let possible = true;
+        let certain = true;
+        row.match.forEach((want, i) => {
+            if (want === null) return;
+            if (!isKnown(levels[i])) certain = false;
+            else if (levels[i] !== want) possible = false;
+        });
+        if (!possible) continue;
+        candidates.push(row.values);
+        if (certain) break;
+    }
+
+    return table.outputs.map((pin, i) => {
+        const values = candidates.map(row => row[i]);
+        if (values.length === 0 || !values.every(value => value === values[0])) {
+            return { pin, state: STATE_UNKNOWN };
+        }
+        if (values[0] === RELEASED) return { pin, state: STATE_FLOAT, enabled: false };
+        return { pin, state: values[0] };
+    });
+}
+
+/**
+ * Chip driven by a compiled definition (see compileChipDefinition)
+ */
+export class DeclarativeChip extends TTLChip {
+    constructor(id, name, spec) {
+        super(id, name, spec.pinCount);
+        this.spec = spec;
+        this.pinNames = spec.pinNames;
+
+        this.vccPin = spec.vcc;
+        this.gndPin = spec.gnd;
+        spec.pins.forEach(({ pin, type }) => this.setPinType(pin, type));
+        this.setPinType(spec.vcc, PIN_TYPE.POWER);
+        this.setPinType(spec.gnd, PIN_TYPE.POWER);
+
+        this.internalState = this.getInitialState();
+    }
+
+    getInitialState() {
+        return {
+            registers: new Map(this.spec.registers.map(register => [register.name, STATE_LOW])),
+            lastClk: new Map(this.spec.clocks.map(clock => [clock.pin, STATE_FLOAT]))
+        };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.spec.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const env = new Map();
+        this.spec.inputs.forEach((pin, name) => env.set(name, this.getInputState(pin)));
+        this.internalState.registers.forEach((q, name) => env.set(name, q));
+        if (this.spec.registers.length > 0) {
+            this.updateRegisters(env);
+            this.internalState.registers.forEach((q, name) => env.set(name, q));
+        }
+
+        const updates = this.spec.equations.map(({ pin, evaluate, enable }) => {
+            const state = logicBuffer(evaluate(env));
+            if (!enable) return { pin, state };
+            const enabled = enable(env);
+            // An undetermined enable may or may not be driving the pin
+            if (!isKnown(enabled)) return { pin, state: STATE_UNKNOWN };
+            return { pin, state, enabled: enabled === STATE_HIGH };
+        });
+        this.spec.truthTables.forEach(table => updates.push(...lookUp(table, env)));
+        return updates;
+    }
+
+    /**
+     * Next state of every register from the current inputs and register
+     * values, so registers on the same clock all see the old state
+     */
+    updateRegisters(env) {
+        const edges = new Map(); // clock pin -> { edge, forceUnknown }
+        this.spec.clocks.forEach(({ pin, from, to, dataPins }) => {
+            const level = this.getInputState(pin);
+            const edge = clockEdge(this.internalState.lastClk.get(pin), level, from, to);
+            this.internalState.lastClk.set(pin, level);
+            const violations = this.checkClockTiming(pin, edge === STATE_HIGH, dataPins);
+            edges.set(pin, { edge, forceUnknown: this.forcesUnknown(violations) });
+        });
+
+        const next = this.spec.registers.map(register => {
+            const q = env.get(register.name);
+
+            // Asynchronous set/clear, first active rule wins
+            for (const { when, value } of register.async) {
+                const active = when.evaluate(env);
+                if (active === STATE_LOW) continue;
+                const forced = logicBuffer(value.evaluate(env));
+                if (active === STATE_HIGH) return forced;
+                return forced === q ? q : STATE_UNKNOWN;
+            }
+
+            const data = register.next.evaluate(env);
+            if (register.gate) {
+                const open = register.gate.evaluate(env);
+                if (open === STATE_HIGH) return logicBuffer(data);
+                if (open === STATE_LOW) return q;
+                return data === q ? q : STATE_UNKNOWN;
+            }
+
+            const { edge, forceUnknown } = edges.get(register.clockPin);
+            return forceUnknown ? STATE_UNKNOWN : clocked(q, data, edge);
+        });
+
+        this.spec.registers.forEach((register, i) => this.internalState.registers.set(register.name, next[i]));
+    }
+
+    powerUp() {
+        this.spec.registers.forEach(register => {
+            this.internalState.registers.set(register.name, this.getPowerOnState());
+        });
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = this.getInitialState();
+    }
+}
+
+/**
+ * Register a chip definition with the IC registry.
+ * Throws when the definition is invalid or its id is already taken.
+ */
+export function registerChipDefinition(def, registry = icRegistry) {
+    const { spec, errors } = compileChipDefinition(def);
+    if (!spec) {
+        const id = typeof def?.id === 'string' ? ` ${def.id}` : '';
+        throw new Error(`Invalid chip definition${id}: ${errors.join(' ')}`);
+    }
+    if (registry.has(spec.id)) {
+        throw new Error(`IC ${spec.id} is already registered`);
+    }
+
+    registry.register({
+        id: spec.id,
+        class: class extends DeclarativeChip {
+            constructor(id, name = spec.name) {
+                super(id, name, spec);
+            }
+        },
+        name: spec.name,
+        description: spec.description,
+        pinCount: spec.pinCount,
+        timing: spec.timing,
+        family: spec.family,
+        category: spec.category,
+        datasheetUrl: spec.datasheetUrl,
+        pins: spec.pinInfo
+    });
+    return registry.getInfo(spec.id);
+}
+
+/**
+ * Fetch a manifest ({ "chips": ["74LS10.json", ...] }, paths relative to
+ * the manifest) and register every chip in it. A chip that fails is
+ * reported and skipped. Returns { ok, loaded: [id], errors }.
+ */
+export async function loadChipLibrary(manifestUrl, registry = icRegistry) {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) throw new Error(`Chip manifest ${manifestUrl}: HTTP ${response.status}`);
+    const manifest = await response.json();
+    if (!Array.isArray(manifest?.chips)) throw new Error('Chip manifest needs a `chips` array of file names');
+
+    const loaded = [];
+    const errors = [];
+    for (const file of manifest.chips) {
+        try {
+            const chipResponse = await fetch(new URL(file, response.url || manifestUrl));
+            if (!chipResponse.ok) throw new Error(`HTTP ${chipResponse.status}`);
+            loaded.push(registerChipDefinition(await chipResponse.json(), registry).id);
+        } catch (err) {
+            errors.push(`${file}: ${err.message}`);
+        }
+    }
+    return { ok: errors.length === 0, loaded, errors };
+}
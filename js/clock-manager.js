@@ -1,6 +1,8 @@
 /**
  * Web IC Trainer - Clock Manager
- * Manages clock signal generation with proper cleanup
+ * Generates clock signals as events on the CircuitEngine timeline, so edges
+ * follow simulated time exactly (a 1kHz clock gives 1000 rising edges per
+ * simulated second) and replay identically.
  */
 
 import { STATE_LOW, STATE_HIGH, STATE_FLOAT } from './simulation.js';
@@ -8,8 +10,12 @@ import { STATE_LOW, STATE_HIGH, STATE_FLOAT } from './simulation.js';
 export class ClockManager {
     constructor(engine) {
         this.engine = engine;
-        this.clocks = new Map(); // frequency -> { node, state, interval }
+        this.clocks = new Map(); // frequency -> { pinId, driver, state, halfPeriodNs, generation, nextEdgeAt }
         this.isPowered = false;
+        // (pinId) => boolean. When set, only clocks in use (wired into the
+        // circuit or watched) run: an idle 10kHz clock would otherwise cost
+        // 20000 events per simulated second. Call updateUsage() when it changes.
+        this.isInUse = null;
     }
 
     /**
@@ -24,50 +30,104 @@ export class ClockManager {
             this.stopClock(frequency);
         }
 
-        let clockState = STATE_LOW;
-        const halfPeriod = (1000 / frequency) / 2; // milliseconds
+        const clock = {
+            pinId,
+            driver: null,
+            state: STATE_LOW,
+            halfPeriodNs: 1e9 / frequency / 2, // nanoseconds
+            generation: 0, // Bumped to invalidate already-queued edges
+            nextEdgeAt: null
+        };
 
-        // Driver function
-        this.engine.addDriver(nodeId, () => {
-            return this.isPowered ? clockState : STATE_FLOAT;
-        });
+        // Driver function; edges update whichever net it drives after rewiring
+        clock.driver = () => this.isPowered ? clock.state : STATE_FLOAT;
+        this.engine.addDriver(nodeId, clock.driver, { pinId, label: pinId });
 
-        // Clock toggle interval
-        const interval = setInterval(() => {
-            if (this.isPowered) {
-                clockState = (clockState === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
-                this.engine.scheduleNodeUpdate(nodeId, 0);
-            }
-        }, halfPeriod);
+        this.clocks.set(frequency, clock);
 
-        this.clocks.set(frequency, {
-            nodeId,
-            pinId,
-            state: clockState,
-            interval,
-            halfPeriod
+        if (this.shouldRun(clock)) {
+            this.startClock(clock);
+        }
+    }
+
+    shouldRun(clock) {
+        return this.isPowered && (!this.isInUse || this.isInUse(clock.pinId));
+    }
+
+    /**
+     * Restart a clock at LOW with its first rising edge half a period from now
+     */
+    startClock(clock) {
+        clock.generation++;
+        clock.state = STATE_LOW;
+        this.scheduleEdge(clock, clock.generation);
+    }
+
+    /**
+     * Drop a clock's queued edges and hold it LOW
+     */
+    idleClock(clock) {
+        clock.generation++;
+        clock.nextEdgeAt = null;
+        clock.state = STATE_LOW;
+    }
+
+    scheduleEdge(clock, generation) {
+        clock.nextEdgeAt = this.engine.currentTime + clock.halfPeriodNs;
+        this.engine.schedule(clock.halfPeriodNs, () => {
+            if (clock.generation !== generation) return; // Stopped or restarted
+            this.toggle(clock);
+            this.scheduleEdge(clock, generation);
         });
     }
 
+    toggle(clock) {
+        clock.state = (clock.state === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        this.engine.updateDriver(clock.driver);
+    }
+
     /**
      * Stop a specific clock
      */
     stopClock(frequency) {
         const clock = this.clocks.get(frequency);
-        if (clock && clock.interval) {
-            clearInterval(clock.interval);
+        if (clock) {
+            clock.generation++;
+            clock.nextEdgeAt = null;
             this.clocks.delete(frequency);
         }
     }
 
     /**
      * Set power state
+     * Clocks restart in phase on every power-up so runs are reproducible.
      */
     setPower(powered) {
         this.isPowered = powered;
-        // Update all clock nodes
         this.clocks.forEach((clock) => {
-            this.engine.scheduleNodeUpdate(clock.nodeId, 0);
+            if (this.shouldRun(clock)) {
+                this.startClock(clock);
+            } else {
+                this.idleClock(clock);
+            }
+            this.engine.updateDriver(clock.driver);
+        });
+    }
+
+    /**
+     * Start clocks that just came into use and idle the ones no longer used.
+     * A clock taken into use while powered starts at LOW from that moment.
+     */
+    updateUsage() {
+        this.clocks.forEach((clock) => {
+            const running = clock.nextEdgeAt !== null;
+            if (this.shouldRun(clock) === running) return;
+            if (running) {
+                this.idleClock(clock);
+            } else {
+                this.startClock(clock);
+            }
+            this.engine.updateDriver(clock.driver);
         });
     }
 
@@ -85,7 +145,25 @@ export class ClockManager {
      */
     getClockState(frequency) {
         const clock = this.clocks.get(frequency);
-        return clock ? clock.state : STATE_FLOAT;
+        if (!clock || !this.isPowered) return STATE_FLOAT;
+        return clock.state;
     }
-}
 
+    /**
+     * Simulated time (ns) of the next edge of one clock, or of any clock when
+     * no frequency is given. Null when no clock is running.
+     */
+    getNextEdgeTime(frequency = null) {
+        if (frequency !== null) {
+            return this.clocks.get(frequency)?.nextEdgeAt ?? null;
+        }
+
+        let next = null;
+        this.clocks.forEach((clock) => {
+            if (clock.nextEdgeAt !== null && (next === null || clock.nextEdgeAt < next)) {
+                next = clock.nextEdgeAt;
+            }
+        });
+        return next;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Web IC Trainer - Design Rule Check
+ * Static electrical checks over the whole net graph: outputs fighting on a
+ * net, chips missing their VCC/GND connections, IC inputs and LEDs that
+ * nothing drives, and IC outputs that go nowhere. Works from pin types and
+ * wiring only, so it runs with the power off.
+ */
+
+import { PIN_TYPE } from './ttl-chip.js';
+
+export const DRC_RULE = {
+    OUTPUT_CONFLICT: 'output-conflict',
+    UNPOWERED_CHIP: 'unpowered-chip',
+    UNDRIVEN_INPUT: 'undriven-input',
+    FLOATING_LED: 'floating-led',
+    UNUSED_OUTPUT: 'unused-output'
+};
+
+export const DRC_SEVERITY = {
+    ERROR: 'error', // The circuit cannot work (or can be damaged) as wired
+    WARNING: 'warning', // Works by accident, e.g. a TTL input floating HIGH
+    INFO: 'info' // Worth knowing, e.g. spare gates
+};
+
+// What a pin does to the net it is on
+const ROLE = {
+    RAIL_HIGH: 'rail-high',
+    RAIL_LOW: 'rail-low',
+    OUTPUT: 'output', // Totem-pole: drives HIGH and LOW
+    WEAK: 'weak', // Open-collector or tri-state: drives part of the time
+    BIDIRECTIONAL: 'bidirectional', // Transceiver port: drives or reads, set at run time by its direction pin
+    PULLUP: 'pullup',
+    INPUT: 'input',
+    NONE: 'none' // IC power pins, no-connects
+};
+
+export class DesignRuleChecker {
+    constructor(wiring) {
+        this.wiring = wiring;
+    }
+
+    /**
+     * Check the board with the chips currently socketed.
+     * Returns { ok, violations: [{ rule, severity, message, pins }] };
+     * ok is false when any violation is an error.
+     */
+    check(chips) {
+        const nets = this.collectNets();
+        const violations = [
+            ...this.checkOutputConflicts(nets),
+            ...[...chips].flatMap(ic => this.checkChip(ic, nets)),
+            ...this.checkLeds(nets)
+        ];
+        return {
+            ok: !violations.some(v => v.severity === DRC_SEVERITY.ERROR),
+            violations
+        };
+    }
+
+    /**
+     * pinId -> { pins, drivers } for every registered pin, where `drivers`
+     * lists the pins on the net that can set its level
+     */
+    collectNets() {
+        const byNode = new Map(); // nodeId -> pins
+        this.wiring.pinToNodeId.forEach((nodeId, pinId) => {
+            if (!byNode.has(nodeId)) byNode.set(nodeId, []);
+            byNode.get(nodeId).push(pinId);
+        });
+
+        const nets = new Map();
+        byNode.forEach(pins => {
+            const net = {
+                pins,
+                drivers: pins.filter(pinId => ![ROLE.INPUT, ROLE.NONE].includes(this.getRole(pinId)))
+            };
+            pins.forEach(pinId => nets.set(pinId, net));
+        });
+        return nets;
+    }
+
+    getRole(pinId) {
+        const ic = this.wiring.pinToIC.get(pinId);
+        if (ic) {
+            const type = ic.pinTypes[this.getPinNumber(pinId)];
+            if (type === PIN_TYPE.OUTPUT) return ROLE.OUTPUT;
+            if (type === PIN_TYPE.OPEN_COLLECTOR || type === PIN_TYPE.TRISTATE) return ROLE.WEAK;
+            if (type === PIN_TYPE.BIDIRECTIONAL) return ROLE.BIDIRECTIONAL;
+            if (type === PIN_TYPE.INPUT || type === PIN_TYPE.CLOCK) return ROLE.INPUT;
+            return ROLE.NONE;
+        }
+
+        switch (this.wiring.pinTypes.get(pinId)) {
+            case 'POWER': return pinId === 'vcc' ? ROLE.RAIL_HIGH : ROLE.RAIL_LOW;
+            case 'OUTPUT': return ROLE.OUTPUT;
+            case 'PULLUP': return ROLE.PULLUP;
+            case 'INPUT': return ROLE.INPUT;
+            default: return ROLE.NONE;
+        }
+    }
+
+    getPinNumber(pinId) {
+        const match = /-pin-(\d+)$/.exec(pinId);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * "74LS08 ic-1 pin 3 (1Y)", "+5V", "GND" or the board pin ID
+     */
+    describePin(pinId) {
+        const ic = this.wiring.pinToIC.get(pinId);
+        if (ic) return ic.describePin(this.getPinNumber(pinId));
+        const role = this.getRole(pinId);
+        if (role === ROLE.RAIL_HIGH) return '+5V';
+        if (role === ROLE.RAIL_LOW) return 'GND';
+        return pinId;
+    }
+
+    /**
+     * The net's label when it has one, e.g. "net CLK"
+     */
+    describeNet(net) {
+        const label = this.wiring.getNetLabel(net.pins[0]);
+        return label ? `net ${label}` : 'the same net';
+    }
+
+    /**
+     * More than one source forcing a level onto a net: two totem-pole
+     * outputs, an output on a rail, +5V joined to GND, or an open-collector /
+     * tri-state output sharing a net with any of those. Transceiver ports
+     * are left out: whether they drive depends on their direction pin.
+     */
+    checkOutputConflicts(nets) {
+        const violations = [];
+        new Set(nets.values()).forEach(net => {
+            const roles = net.drivers.map(pinId => ({ pinId, role: this.getRole(pinId) }));
+            // The GND sockets are one net, so count each rail once
+            const hard = [
+                ...roles.filter(r => r.role === ROLE.OUTPUT),
+                ...[ROLE.RAIL_HIGH, ROLE.RAIL_LOW].map(rail => roles.find(r => r.role === rail)).filter(Boolean)
+            ];
+            const weak = roles.filter(r => r.role === ROLE.WEAK);
+            if (hard.length < 2 && (hard.length === 0 || weak.length === 0)) return;
+
+            const sources = [...hard, ...weak];
+            violations.push({
+                rule: DRC_RULE.OUTPUT_CONFLICT,
+                severity: DRC_SEVERITY.ERROR,
+                message: `Output conflict: ${sources.map(r => this.describePin(r.pinId)).join(', ')} drive ${this.describeNet(net)}`,
+                pins: net.pins
+            });
+        });
+        return violations;
+    }
+
+    checkChip(ic, nets) {
+        const violations = [];
+        const pinId = (pin) => `${ic.id}-pin-${pin}`;
+        const netOf = (pin) => nets.get(pinId(pin));
+
+        // Power: VCC on +5V, GND on GND
+        const power = [
+            { pin: ic.vccPin, rail: ROLE.RAIL_HIGH, railName: '+5V' },
+            { pin: ic.gndPin, rail: ROLE.RAIL_LOW, railName: 'GND' }
+        ];
+        const missing = power.filter(({ pin, rail }) => !netOf(pin)?.drivers.some(p => this.getRole(p) === rail));
+        if (missing.length > 0) {
+            violations.push({
+                rule: DRC_RULE.UNPOWERED_CHIP,
+                severity: DRC_SEVERITY.ERROR,
+                message: `${ic.name} ${ic.id} is unpowered: ${missing.map(m => `pin ${m.pin} (${ic.getPinName(m.pin)}) is not on ${m.railName}`).join(', ')}`,
+                pins: missing.map(m => pinId(m.pin))
+            });
+        }
+
+        // "2 (1B)", or "2 (1B, net CLK)" when the pin is on a named net
+        const describe = (pin) => {
+            const label = this.wiring.getNetLabel(pinId(pin));
+            const details = [ic.getPinName(pin), label && `net ${label}`].filter(Boolean);
+            return details.length > 0 ? `${pin} (${details.join(', ')})` : pin;
+        };
+
+        const undriven = [];
+        const unused = [];
+        for (let pin = 1; pin <= ic.pinCount; pin++) {
+            const net = netOf(pin);
+            if (!net) continue;
+            const role = this.getRole(pinId(pin));
+            if (role === ROLE.INPUT && net.drivers.length === 0) undriven.push(pin);
+            if ((role === ROLE.OUTPUT || role === ROLE.WEAK) && net.pins.length === 1) unused.push(pin);
+        }
+
+        if (undriven.length > 0) {
+            violations.push({
+                rule: DRC_RULE.UNDRIVEN_INPUT,
+                severity: DRC_SEVERITY.WARNING,
+                message: `${ic.name} ${ic.id}: nothing drives input pin${undriven.length > 1 ? 's' : ''} ${undriven.map(describe).join(', ')} (floating)`,
+                pins: undriven.map(pinId)
+            });
+        }
+        if (unused.length > 0) {
+            violations.push({
+                rule: DRC_RULE.UNUSED_OUTPUT,
+                severity: DRC_SEVERITY.INFO,
+                message: `${ic.name} ${ic.id}: output pin${unused.length > 1 ? 's' : ''} ${unused.map(describe).join(', ')} not connected`,
+                pins: unused.map(pinId)
+            });
+        }
+        return violations;
+    }
+
+    /**
+     * An LED wired into a net that nothing drives stays dark (or random on real hardware)
+     */
+    checkLeds(nets) {
+        const violations = [];
+        nets.forEach((net, pinId) => {
+            const match = /^led-(\d+)-in$/.exec(pinId);
+            if (!match || net.pins.length < 2 || net.drivers.length > 0) return;
+            const label = this.wiring.getNetLabel(pinId);
+            violations.push({
+                rule: DRC_RULE.FLOATING_LED,
+                severity: DRC_SEVERITY.WARNING,
+                message: `LED L${match[1]} is wired to ${label ? `net ${label}` : net.pins.filter(p => p !== pinId).join(', ')} but nothing drives it`,
+                pins: net.pins
+            });
+        });
+        return violations;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * Web IC Trainer - Fault Injection
+ * Hidden faults for "find the fault" exercises: an IC pin or a whole net
+ * stuck-at-0/1, an open IC pin, or two nets bridged together. Faults are
+ * stored by pin ID and re-applied whenever the wiring moves pins to new nodes.
+ */
+
+import { STATE_LOW, STATE_HIGH } from './simulation.js';
+
+export const FAULT_TYPE = {
+    STUCK_AT_0: 'stuck-at-0',
+    STUCK_AT_1: 'stuck-at-1',
+    OPEN: 'open', // IC pin no longer touches its net
+    BRIDGE: 'bridge' // Two nets shorted together (wired-AND, LOW wins)
+};
+
+export const FAULT_SCOPE = {
+    PIN: 'pin', // Only the chip sees the fault (internal to the IC)
+    NET: 'net' // Everything on the net sees it
+};
+
+// Saved faults are scrambled so a student opening the JSON does not spot
+// them at a glance. This is obfuscation, not protection.
+const FAULT_KEY = 'web-ic-trainer';
+
+function scramble(text) {
+    return Array.from(text, (ch, i) => String.fromCharCode(ch.charCodeAt(0) ^ FAULT_KEY.charCodeAt(i % FAULT_KEY.length))).join('');
+}
+
+export class FaultInjector {
+    constructor(engine, wiring) {
+        this.engine = engine;
+        this.wiring = wiring;
+        this.faults = [];
+        this.idCounter = 0;
+        this.faultedNodes = new Set(); // Nodes carrying a net fault after the last apply()
+        this.faultedChips = new Set(); // Chips carrying a pin fault after the last apply()
+
+        // Callbacks
+        this.onChange = null; // (faults) => void, after a fault is added or removed
+    }
+
+    /**
+     * Add a fault.
+     * { type, pinId, scope } for stuck-at and open faults, { type, pinId, otherPinId }
+     * for a bridge. Scope defaults to the pin for IC pins and to the net otherwise;
+     * open faults only exist on IC pins and bridges always join whole nets.
+     */
+    add({ type, pinId, otherPinId = null, scope = null }) {
+        if (!Object.values(FAULT_TYPE).includes(type)) {
+            throw new Error(`Unknown fault type: ${type}`);
+        }
+        this.assertPin(pinId);
+
+        const icPin = this.parseICPin(pinId);
+        const fault = { id: ++this.idCounter, type, pinId, otherPinId: null, scope: null };
+
+        if (type === FAULT_TYPE.BRIDGE) {
+            this.assertPin(otherPinId);
+            if (this.wiring.pinToNodeId.get(pinId) === this.wiring.pinToNodeId.get(otherPinId)) {
+                throw new Error(`${pinId} and ${otherPinId} are already on the same net`);
+            }
+            fault.otherPinId = otherPinId;
+            fault.scope = FAULT_SCOPE.NET;
+        } else {
+            fault.scope = scope || (icPin ? FAULT_SCOPE.PIN : FAULT_SCOPE.NET);
+            if (!Object.values(FAULT_SCOPE).includes(fault.scope)) {
+                throw new Error(`Unknown fault scope: ${scope}`);
+            }
+            if (fault.scope === FAULT_SCOPE.PIN && !icPin) {
+                throw new Error(`Pin faults need an IC pin, got "${pinId}"`);
+            }
+            if (type === FAULT_TYPE.OPEN && fault.scope !== FAULT_SCOPE.PIN) {
+                throw new Error('Open faults break a single IC pin, not a net');
+            }
+            const ic = this.wiring.pinToIC.get(pinId);
+            if (fault.scope === FAULT_SCOPE.PIN && type !== FAULT_TYPE.OPEN && ic &&
+                (icPin.pin === ic.vccPin || icPin.pin === ic.gndPin)) {
+                throw new Error('Power pins can only be opened');
+            }
+        }
+
+        this.faults.push(fault);
+        this.apply();
+        if (this.onChange) this.onChange(this.faults);
+        return fault;
+    }
+
+    remove(id) {
+        const index = this.faults.findIndex(f => f.id === id);
+        if (index === -1) return false;
+        this.faults.splice(index, 1);
+        this.apply();
+        if (this.onChange) this.onChange(this.faults);
+        return true;
+    }
+
+    clear() {
+        if (this.faults.length === 0) return;
+        this.faults = [];
+        this.apply();
+        if (this.onChange) this.onChange(this.faults);
+    }
+
+    assertPin(pinId) {
+        if (!pinId || !this.wiring.pinToNodeId.has(pinId)) {
+            throw new Error(`Unknown pin: ${pinId}`);
+        }
+    }
+
+    /**
+     * "ic-2-pin-5" -> { socketId: 'ic-2', pin: 5 }, null for board pins
+     */
+    parseICPin(pinId) {
+        const match = /^(ic-\d+)-pin-(\d+)$/.exec(pinId || '');
+        return match ? { socketId: match[1], pin: parseInt(match[2], 10) } : null;
+    }
+
+    /**
+     * Push every fault onto the current nodes and chips. Call after the
+     * wiring replaces nodes (merge/split) or a chip is placed.
+     */
+    apply() {
+        const touchedNodes = new Set(this.faultedNodes);
+        const touchedChips = new Set(this.faultedChips);
+
+        this.faultedNodes.forEach(node => {
+            node.stuckAt = null;
+            node.bridges.clear();
+        });
+        this.faultedChips.forEach(ic => ic.clearPinFaults());
+        this.faultedNodes = new Set();
+        this.faultedChips = new Set();
+
+        const nodeFor = (pinId) => this.engine.nodes.get(this.wiring.pinToNodeId.get(pinId)) || null;
+
+        this.faults.forEach(fault => {
+            if (fault.scope === FAULT_SCOPE.PIN) {
+                const icPin = this.parseICPin(fault.pinId);
+                const ic = this.wiring.pinToIC.get(fault.pinId);
+                if (!icPin || !ic) return; // Socket empty for now
+                if (fault.type !== FAULT_TYPE.OPEN && (icPin.pin === ic.vccPin || icPin.pin === ic.gndPin)) return;
+                ic.setPinFault(icPin.pin, fault.type);
+                this.faultedChips.add(ic);
+                return;
+            }
+
+            const node = nodeFor(fault.pinId);
+            if (!node) return;
+            if (fault.type === FAULT_TYPE.BRIDGE) {
+                const other = nodeFor(fault.otherPinId);
+                if (!other || other === node) return; // Wired together since
+                node.bridges.add(other);
+                other.bridges.add(node);
+                this.faultedNodes.add(other);
+            } else {
+                node.stuckAt = fault.type === FAULT_TYPE.STUCK_AT_0 ? STATE_LOW : STATE_HIGH;
+            }
+            this.faultedNodes.add(node);
+        });
+
+        this.faultedNodes.forEach(node => touchedNodes.add(node));
+        this.faultedChips.forEach(ic => touchedChips.add(ic));
+        touchedNodes.forEach(node => {
+            if (this.engine.nodes.get(node.id) === node) node.update();
+        });
+        touchedChips.forEach(ic => ic.triggerEvaluation());
+    }
+
+    /**
+     * Human readable description, e.g. "ic-1-pin-3 stuck-at-0 (pin)"
+     */
+    describe(fault) {
+        if (fault.type === FAULT_TYPE.BRIDGE) {
+            return `${fault.pinId} bridged to ${fault.otherPinId}`;
+        }
+        return `${fault.pinId} ${fault.type} (${fault.scope})`;
+    }
+
+    /**
+     * Scrambled string for the circuit JSON `faults` field, null without faults
+     */
+    serialize() {
+        if (this.faults.length === 0) return null;
+        const plain = JSON.stringify(this.faults.map(({ type, pinId, otherPinId, scope }) => ({ type, pinId, otherPinId, scope })));
+        return btoa(scramble(plain));
+    }
+
+    /**
+     * Replace the faults with a serialize() string (null/empty clears them)
+     * Returns { ok, errors }
+     */
+    load(data) {
+        const errors = [];
+        this.faults = [];
+        if (data) {
+            let entries = null;
+            try {
+                entries = JSON.parse(scramble(atob(String(data))));
+            } catch (_) {
+                entries = null;
+            }
+            if (!Array.isArray(entries)) {
+                errors.push('Fault data could not be read.');
+                entries = [];
+            }
+            entries.forEach((entry, index) => {
+                try {
+                    this.faults.push({ ...this.validateEntry(entry), id: ++this.idCounter });
+                } catch (err) {
+                    errors.push(`faults[${index}]: ${err.message}`);
+                }
+            });
+        }
+        this.apply();
+        if (this.onChange) this.onChange(this.faults);
+        return { ok: errors.length === 0, errors };
+    }
+
+    /**
+     * Check a saved entry without requiring its pins to be wired yet
+     * (a loaded circuit places ICs before the faults are restored)
+     */
+    validateEntry(entry) {
+        const { type, pinId, otherPinId = null, scope } = entry || {};
+        if (!Object.values(FAULT_TYPE).includes(type)) throw new Error(`Unknown fault type: ${type}`);
+        if (typeof pinId !== 'string') throw new Error('Missing pinId');
+        if (type === FAULT_TYPE.BRIDGE) {
+            if (typeof otherPinId !== 'string') throw new Error('Bridge needs otherPinId');
+            return { type, pinId, otherPinId, scope: FAULT_SCOPE.NET };
+        }
+        if (!Object.values(FAULT_SCOPE).includes(scope)) throw new Error(`Unknown fault scope: ${scope}`);
+        if (scope === FAULT_SCOPE.PIN && !this.parseICPin(pinId)) throw new Error(`Pin faults need an IC pin, got "${pinId}"`);
+        if (type === FAULT_TYPE.OPEN && scope !== FAULT_SCOPE.PIN) throw new Error('Open faults break a single IC pin, not a net');
+        return { type, pinId, otherPinId: null, scope };
+    }
+}
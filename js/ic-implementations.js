@@ -4,7 +4,10 @@
  */
 
 import { TTLChip, PIN_TYPE } from './ttl-chip.js';
-import { STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_ERROR } from './simulation.js';
+import {
+    STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_UNKNOWN,
+    isKnown, logicBuffer, logicNot, logicAnd, logicOr, logicXor, logicSelect
+} from './simulation.js';
 
 // ============================================================================
 // LOGIC GATES
@@ -55,11 +58,7 @@ export class LS00 extends TTLChip {
         const b4 = this.getInputState(13);
 
         // NAND: Y = NOT(A AND B)
-        const nand = (a, b) => {
-            if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
-            const and = (a === STATE_HIGH && b === STATE_HIGH) ? STATE_HIGH : STATE_LOW;
-            return (and === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
-        };
+        const nand = (a, b) => logicNot(logicAnd(a, b));
 
         return [
             { pin: 3, state: nand(a1, b1) },
@@ -104,11 +103,7 @@ export class LS02 extends TTLChip {
             ];
         }
 
-        const nor = (a, b) => {
-            if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
-            const or = (a === STATE_HIGH || b === STATE_HIGH) ? STATE_HIGH : STATE_LOW;
-            return (or === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
-        };
+        const nor = (a, b) => logicNot(logicOr(a, b));
 
         return [
             { pin: 1, state: nor(this.getInputState(2), this.getInputState(3)) },
@@ -119,6 +114,17 @@ export class LS02 extends TTLChip {
     }
 }
 
+/**
+ * 74LS03 - Quad 2-Input NAND Gate (Open Collector)
+ * Pinout: same as 74LS00. Outputs only sink; wire-AND them with a pull-up.
+ */
+export class LS03 extends LS00 {
+    constructor(id, name = '74LS03') {
+        super(id, name);
+        this.setOpenCollectorOutputs();
+    }
+}
+
 /**
  * 74LS04 - Hex Inverter
  * Pinout: 1=A1, 2=Y1, 3=A2, 4=Y2, 5=A3, 6=Y3, 7=GND, 8=Y4, 9=A4, 10=Y5, 11=A5, 12=Y6, 13=A6, 14=VCC
@@ -155,18 +161,67 @@ export class LS04 extends TTLChip {
             ];
         }
 
-        const invert = (a) => {
-            if (a === STATE_ERROR) return STATE_ERROR;
-            return (a === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
-        };
+        return [
+            { pin: 2, state: logicNot(this.getInputState(1)) },
+            { pin: 4, state: logicNot(this.getInputState(3)) },
+            { pin: 6, state: logicNot(this.getInputState(5)) },
+            { pin: 8, state: logicNot(this.getInputState(9)) },
+            { pin: 10, state: logicNot(this.getInputState(11)) },
+            { pin: 12, state: logicNot(this.getInputState(13)) }
+        ];
+    }
+}
+
+/**
+ * 74LS05 - Hex Inverter (Open Collector)
+ * Pinout: same as 74LS04. Outputs only sink; wire-AND them with a pull-up.
+ */
+export class LS05 extends LS04 {
+    constructor(id, name = '74LS05') {
+        super(id, name);
+        this.setOpenCollectorOutputs();
+    }
+}
+
+/**
+ * 74LS06 - Hex Inverter Buffer/Driver (Open Collector, High Voltage)
+ * Pinout: same as 74LS04. Logically identical to the 74LS05.
+ */
+export class LS06 extends LS05 {
+    constructor(id, name = '74LS06') {
+        super(id, name);
+    }
+}
+
+/**
+ * 74LS07 - Hex Buffer/Driver (Open Collector, High Voltage)
+ * Pinout: 1=A1, 2=Y1, 3=A2, 4=Y2, 5=A3, 6=Y3, 7=GND, 8=Y4, 9=A4, 10=Y5, 11=A5, 12=Y6, 13=A6, 14=VCC
+ */
+export class LS07 extends LS04 {
+    constructor(id, name = '74LS07') {
+        super(id, name);
+        this.setOpenCollectorOutputs();
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [
+                { pin: 2, state: STATE_FLOAT },
+                { pin: 4, state: STATE_FLOAT },
+                { pin: 6, state: STATE_FLOAT },
+                { pin: 8, state: STATE_FLOAT },
+                { pin: 10, state: STATE_FLOAT },
+                { pin: 12, state: STATE_FLOAT }
+            ];
+        }
 
         return [
-            { pin: 2, state: invert(this.getInputState(1)) },
-            { pin: 4, state: invert(this.getInputState(3)) },
-            { pin: 6, state: invert(this.getInputState(5)) },
-            { pin: 8, state: invert(this.getInputState(9)) },
-            { pin: 10, state: invert(this.getInputState(11)) },
-            { pin: 12, state: invert(this.getInputState(13)) }
+            { pin: 2, state: logicBuffer(this.getInputState(1)) },
+            { pin: 4, state: logicBuffer(this.getInputState(3)) },
+            { pin: 6, state: logicBuffer(this.getInputState(5)) },
+            { pin: 8, state: logicBuffer(this.getInputState(9)) },
+            { pin: 10, state: logicBuffer(this.getInputState(11)) },
+            { pin: 12, state: logicBuffer(this.getInputState(13)) }
         ];
     }
 }
@@ -256,14 +311,8 @@ export class LS08 extends TTLChip {
             ];
         }
 
-        // AND gate logic function
-        const andGate = (a, b) => {
-            if (a === STATE_ERROR || b === STATE_ERROR) {
-                return STATE_ERROR;
-            }
-            // AND: HIGH only when both inputs are HIGH
-            return (a === STATE_HIGH && b === STATE_HIGH) ? STATE_HIGH : STATE_LOW;
-        };
+        // AND: HIGH only when both inputs are HIGH, LOW when either is LOW
+        const andGate = (a, b) => logicAnd(a, b);
 
         // Read input states (with TTL floating behavior)
         const a1 = this.getInputState(1);
@@ -334,16 +383,11 @@ export class LS32 extends TTLChip {
             ];
         }
 
-        const or = (a, b) => {
-            if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
-            return (a === STATE_HIGH || b === STATE_HIGH) ? STATE_HIGH : STATE_LOW;
-        };
-
         return [
-            { pin: 3, state: or(this.getInputState(1), this.getInputState(2)) },
-            { pin: 6, state: or(this.getInputState(4), this.getInputState(5)) },
-            { pin: 8, state: or(this.getInputState(9), this.getInputState(10)) },
-            { pin: 11, state: or(this.getInputState(12), this.getInputState(13)) }
+            { pin: 3, state: logicOr(this.getInputState(1), this.getInputState(2)) },
+            { pin: 6, state: logicOr(this.getInputState(4), this.getInputState(5)) },
+            { pin: 8, state: logicOr(this.getInputState(9), this.getInputState(10)) },
+            { pin: 11, state: logicOr(this.getInputState(12), this.getInputState(13)) }
         ];
     }
 }
@@ -382,17 +426,151 @@ export class LS86 extends TTLChip {
             ];
         }
 
-        const xor = (a, b) => {
-            if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
-            return (a !== b) ? STATE_HIGH : STATE_LOW;
-        };
-
         return [
-            { pin: 3, state: xor(this.getInputState(1), this.getInputState(2)) },
-            { pin: 6, state: xor(this.getInputState(4), this.getInputState(5)) },
-            { pin: 8, state: xor(this.getInputState(9), this.getInputState(10)) },
-            { pin: 11, state: xor(this.getInputState(12), this.getInputState(13)) }
+            { pin: 3, state: logicXor(this.getInputState(1), this.getInputState(2)) },
+            { pin: 6, state: logicXor(this.getInputState(4), this.getInputState(5)) },
+            { pin: 8, state: logicXor(this.getInputState(9), this.getInputState(10)) },
+            { pin: 11, state: logicXor(this.getInputState(12), this.getInputState(13)) }
+        ];
+    }
+}
+
+// ============================================================================
+// BUS BUFFERS
+// ============================================================================
+
+/**
+ * 74LS125 - Quad Bus Buffer, Tri-State Outputs, Active-Low Enables
+ * Pinout: 1=OE1', 2=A1, 3=Y1, 4=OE2', 5=A2, 6=Y2, 7=GND, 8=Y3, 9=A3, 10=OE3', 11=Y4, 12=A4, 13=OE4', 14=VCC
+ */
+export class LS125 extends TTLChip {
+    constructor(id, name = '74LS125') {
+        super(id, name, 14);
+
+        // [enable, input, output] per buffer
+        this.buffers = [[1, 2, 3], [4, 5, 6], [10, 9, 8], [13, 12, 11]];
+        this.enableLevel = STATE_LOW;
+
+        this.buffers.forEach(([oe, a, y]) => {
+            this.setPinType(oe, PIN_TYPE.INPUT);
+            this.setPinType(a, PIN_TYPE.INPUT);
+            this.setPinType(y, PIN_TYPE.TRISTATE);
+        });
+        this.setPinType(7, PIN_TYPE.POWER);  // GND
+        this.setPinType(14, PIN_TYPE.POWER); // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.buffers.map(([, , y]) => ({ pin: y, state: STATE_FLOAT }));
+        }
+
+        return this.buffers.map(([oe, a, y]) => {
+            const enable = this.getInputState(oe);
+            // An undetermined enable may or may not be driving the bus
+            if (!isKnown(enable)) return { pin: y, state: STATE_UNKNOWN };
+            return {
+                pin: y,
+                state: logicBuffer(this.getInputState(a)),
+                enabled: enable === this.enableLevel
+            };
+        });
+    }
+}
+
+/**
+ * 74LS126 - Quad Bus Buffer, Tri-State Outputs, Active-High Enables
+ * Pinout: same as 74LS125 with OE1..OE4 active HIGH
+ */
+export class LS126 extends LS125 {
+    constructor(id, name = '74LS126') {
+        super(id, name);
+        this.enableLevel = STATE_HIGH;
+    }
+}
+
+/**
+ * 74LS244 - Octal Buffer/Line Driver, Tri-State Outputs
+ * Pinout: 1=1G', 2=1A1, 3=2Y4, 4=1A2, 5=2Y3, 6=1A3, 7=2Y2, 8=1A4, 9=2Y1, 10=GND,
+ *         11=2A1, 12=1Y4, 13=2A2, 14=1Y3, 15=2A3, 16=1Y2, 17=2A4, 18=1Y1, 19=2G', 20=VCC
+ * Two groups of four buffers, each enabled by its active-LOW G
+ */
+export class LS244 extends TTLChip {
+    constructor(id, name = '74LS244') {
+        super(id, name, 20);
+
+        // [enable, input, output] per buffer
+        this.buffers = [
+            [1, 2, 18], [1, 4, 16], [1, 6, 14], [1, 8, 12],
+            [19, 11, 9], [19, 13, 7], [19, 15, 5], [19, 17, 3]
         ];
+
+        this.buffers.forEach(([g, a, y]) => {
+            this.setPinType(g, PIN_TYPE.INPUT);
+            this.setPinType(a, PIN_TYPE.INPUT);
+            this.setPinType(y, PIN_TYPE.TRISTATE);
+        });
+        this.setPinType(10, PIN_TYPE.POWER); // GND
+        this.setPinType(20, PIN_TYPE.POWER); // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.buffers.map(([, , y]) => ({ pin: y, state: STATE_FLOAT }));
+        }
+
+        return this.buffers.map(([g, a, y]) => {
+            const enable = this.getInputState(g);
+            if (!isKnown(enable)) return { pin: y, state: STATE_UNKNOWN };
+            return { pin: y, state: logicBuffer(this.getInputState(a)), enabled: enable === STATE_LOW };
+        });
+    }
+}
+
+/**
+ * 74LS245 - Octal Bus Transceiver, Tri-State Outputs
+ * Pinout: 1=DIR, 2=A1, 3=A2, 4=A3, 5=A4, 6=A5, 7=A6, 8=A7, 9=A8, 10=GND,
+ *         11=B8, 12=B7, 13=B6, 14=B5, 15=B4, 16=B3, 17=B2, 18=B1, 19=G', 20=VCC
+ * With G LOW, DIR HIGH drives B from A and DIR LOW drives A from B; G HIGH
+ * releases both ports. A and B are bidirectional: the side not being driven
+ * is read as the input.
+ */
+export class LS245 extends TTLChip {
+    constructor(id, name = '74LS245') {
+        super(id, name, 20);
+
+        this.aPins = [2, 3, 4, 5, 6, 7, 8, 9]; // A1..A8
+        this.bPins = [18, 17, 16, 15, 14, 13, 12, 11]; // B1..B8
+        [...this.aPins, ...this.bPins].forEach(pin => this.setPinType(pin, PIN_TYPE.BIDIRECTIONAL));
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // DIR
+        this.setPinType(19, PIN_TYPE.INPUT); // G (active LOW)
+        this.setPinType(10, PIN_TYPE.POWER); // GND
+        this.setPinType(20, PIN_TYPE.POWER); // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [...this.aPins, ...this.bPins].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const enable = this.getInputState(19);
+        const dir = this.getInputState(1);
+
+        // An undetermined enable or direction may be driving either port
+        if (!isKnown(enable) || (enable === STATE_LOW && !isKnown(dir))) {
+            return [...this.aPins, ...this.bPins].map(pin => ({ pin, state: STATE_UNKNOWN }));
+        }
+
+        const aToB = enable === STATE_LOW && dir === STATE_HIGH;
+        const bToA = enable === STATE_LOW && dir === STATE_LOW;
+        return this.aPins.flatMap((a, i) => {
+            const b = this.bPins[i];
+            return [
+                { pin: b, state: logicBuffer(this.getInputState(a)), enabled: aToB },
+                { pin: a, state: logicBuffer(this.getInputState(b)), enabled: bToA }
+            ];
+        });
     }
 }
 
@@ -400,6 +578,43 @@ export class LS86 extends TTLChip {
 // FLIP-FLOPS
 // ============================================================================
 
+/**
+ * Complementary flip-flop output (Q' from Q); UNKNOWN stays UNKNOWN
+ */
+function complement(q) {
+    return logicNot(q);
+}
+
+/**
+ * Clock edge from the last and current clock level: HIGH for a definite
+ * edge, LOW for none, UNKNOWN when an undetermined level may hide one.
+ * A last level of FLOAT means the clock has not been sampled yet.
+ */
+export function clockEdge(last, current, from, to) {
+    if (last === from && current === to) return STATE_HIGH;
+    if (last === current || last === STATE_FLOAT) return STATE_LOW;
+    if ((last === from || !isKnown(last)) && (current === to || !isKnown(current))) {
+        return STATE_UNKNOWN;
+    }
+    return STATE_LOW;
+}
+
+/**
+ * JK next state: Q+ = J.Q' + K'.Q (set, reset, toggle or hold)
+ */
+function jkNext(q, j, k) {
+    return logicOr(logicAnd(j, logicNot(q)), logicAnd(logicNot(k), q));
+}
+
+/**
+ * Flip-flop state after a possible clock edge
+ */
+export function clocked(q, next, edge) {
+    if (edge === STATE_HIGH) return logicBuffer(next);
+    if (edge === STATE_UNKNOWN && q !== next) return STATE_UNKNOWN;
+    return q;
+}
+
 /**
  * 74LS74 - Dual D-Type Positive-Edge-Triggered Flip-Flop
  * Pinout: 1=CLR1, 2=D1, 3=CLK1, 4=PR1, 5=Q1, 6=Q1', 7=GND, 8=Q2', 9=Q2, 10=PR2, 11=CLK2, 12=D2, 13=CLR2, 14=VCC
@@ -453,6 +668,8 @@ export class LS74 extends TTLChip {
         const pr1 = this.getInputState(4);
         const lastClk1 = this.internalState.ff1.lastClk;
         this.internalState.ff1.lastClk = clk1;
+        const edge1 = clockEdge(lastClk1, clk1, STATE_LOW, STATE_HIGH);
+        const violations1 = this.checkClockTiming(3, edge1 === STATE_HIGH, [2]);
 
         let q1 = this.internalState.ff1.q;
 
@@ -468,13 +685,18 @@ export class LS74 extends TTLChip {
         else if (clr1 === STATE_LOW && pr1 === STATE_LOW) {
             q1 = STATE_HIGH;
         }
+        // Undetermined clear/preset
+        else if (!isKnown(clr1) || !isKnown(pr1)) {
+            q1 = STATE_UNKNOWN;
+        }
         // Clock edge (rising edge triggered)
-        else if (lastClk1 === STATE_LOW && clk1 === STATE_HIGH) {
-            q1 = d1;
+        else {
+            q1 = clocked(q1, d1, edge1);
+            if (this.forcesUnknown(violations1)) q1 = STATE_UNKNOWN;
         }
 
         this.internalState.ff1.q = q1;
-        const q1bar = (q1 === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        const q1bar = complement(q1);
 
         updates.push({ pin: 5, state: q1 });
         updates.push({ pin: 6, state: q1bar });
@@ -486,6 +708,8 @@ export class LS74 extends TTLChip {
         const pr2 = this.getInputState(10);
         const lastClk2 = this.internalState.ff2.lastClk;
         this.internalState.ff2.lastClk = clk2;
+        const edge2 = clockEdge(lastClk2, clk2, STATE_LOW, STATE_HIGH);
+        const violations2 = this.checkClockTiming(11, edge2 === STATE_HIGH, [12]);
 
         let q2 = this.internalState.ff2.q;
 
@@ -495,12 +719,15 @@ export class LS74 extends TTLChip {
             q2 = STATE_HIGH;
         } else if (clr2 === STATE_LOW && pr2 === STATE_LOW) {
             q2 = STATE_HIGH;
-        } else if (lastClk2 === STATE_LOW && clk2 === STATE_HIGH) {
-            q2 = d2;
+        } else if (!isKnown(clr2) || !isKnown(pr2)) {
+            q2 = STATE_UNKNOWN;
+        } else {
+            q2 = clocked(q2, d2, edge2);
+            if (this.forcesUnknown(violations2)) q2 = STATE_UNKNOWN;
         }
 
         this.internalState.ff2.q = q2;
-        const q2bar = (q2 === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        const q2bar = complement(q2);
 
         updates.push({ pin: 9, state: q2 });
         updates.push({ pin: 8, state: q2bar });
@@ -508,6 +735,11 @@ export class LS74 extends TTLChip {
         return updates;
     }
 
+    powerUp() {
+        this.internalState.ff1.q = this.getPowerOnState();
+        this.internalState.ff2.q = this.getPowerOnState();
+    }
+
     reset() {
         super.reset();
         this.internalState = {
@@ -578,6 +810,8 @@ export class LS76 extends TTLChip {
         const k1 = this.getInputState(6);
         const lastClk1 = this.internalState.ff1.lastClk;
         this.internalState.ff1.lastClk = clk1;
+        const edge1 = clockEdge(lastClk1, clk1, STATE_HIGH, STATE_LOW);
+        const violations1 = this.checkClockTiming(1, edge1 === STATE_HIGH, [4, 6]);
 
         let q1 = this.internalState.ff1.q;
 
@@ -588,21 +822,17 @@ export class LS76 extends TTLChip {
             q1 = STATE_HIGH;
         } else if (clr1 === STATE_LOW && pr1 === STATE_LOW) {
             q1 = STATE_HIGH;
+        } else if (!isKnown(clr1) || !isKnown(pr1)) {
+            q1 = STATE_UNKNOWN;
         }
         // Falling edge triggered
-        else if (lastClk1 === STATE_HIGH && clk1 === STATE_LOW) {
-            if (j1 === STATE_HIGH && k1 === STATE_LOW) {
-                q1 = STATE_HIGH;
-            } else if (j1 === STATE_LOW && k1 === STATE_HIGH) {
-                q1 = STATE_LOW;
-            } else if (j1 === STATE_HIGH && k1 === STATE_HIGH) {
-                q1 = (q1 === STATE_HIGH) ? STATE_LOW : STATE_HIGH; // Toggle
-            }
-            // j1=LOW, k1=LOW: no change
+        else {
+            q1 = clocked(q1, jkNext(q1, j1, k1), edge1);
+            if (this.forcesUnknown(violations1)) q1 = STATE_UNKNOWN;
         }
 
         this.internalState.ff1.q = q1;
-        const q1bar = (q1 === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        const q1bar = complement(q1);
 
         updates.push({ pin: 15, state: q1 });
         updates.push({ pin: 16, state: q1bar });
@@ -615,6 +845,8 @@ export class LS76 extends TTLChip {
         const k2 = this.getInputState(14);
         const lastClk2 = this.internalState.ff2.lastClk;
         this.internalState.ff2.lastClk = clk2;
+        const edge2 = clockEdge(lastClk2, clk2, STATE_HIGH, STATE_LOW);
+        const violations2 = this.checkClockTiming(12, edge2 === STATE_HIGH, [11, 14]);
 
         let q2 = this.internalState.ff2.q;
 
@@ -624,18 +856,15 @@ export class LS76 extends TTLChip {
             q2 = STATE_HIGH;
         } else if (clr2 === STATE_LOW && pr2 === STATE_LOW) {
             q2 = STATE_HIGH;
-        } else if (lastClk2 === STATE_HIGH && clk2 === STATE_LOW) {
-            if (j2 === STATE_HIGH && k2 === STATE_LOW) {
-                q2 = STATE_HIGH;
-            } else if (j2 === STATE_LOW && k2 === STATE_HIGH) {
-                q2 = STATE_LOW;
-            } else if (j2 === STATE_HIGH && k2 === STATE_HIGH) {
-                q2 = (q2 === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
-            }
+        } else if (!isKnown(clr2) || !isKnown(pr2)) {
+            q2 = STATE_UNKNOWN;
+        } else {
+            q2 = clocked(q2, jkNext(q2, j2, k2), edge2);
+            if (this.forcesUnknown(violations2)) q2 = STATE_UNKNOWN;
         }
 
         this.internalState.ff2.q = q2;
-        const q2bar = (q2 === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        const q2bar = complement(q2);
 
         updates.push({ pin: 9, state: q2 });
         updates.push({ pin: 8, state: q2bar });
@@ -643,6 +872,11 @@ export class LS76 extends TTLChip {
         return updates;
     }
 
+    powerUp() {
+        this.internalState.ff1.q = this.getPowerOnState();
+        this.internalState.ff2.q = this.getPowerOnState();
+    }
+
     reset() {
         super.reset();
         this.internalState = {
@@ -655,6 +889,15 @@ export class LS76 extends TTLChip {
 // COUNTERS
 // ============================================================================
 
+/**
+ * Counter output bit; every bit of a section is UNKNOWN after a timing
+ * violation until the section is reset
+ */
+function countBit(section, mask) {
+    if (section.unknown) return STATE_UNKNOWN;
+    return (section.count & mask) ? STATE_HIGH : STATE_LOW;
+}
+
 /**
  * 74LS90 - Decade Counter (Divide-by-10)
  * Pinout: 1=CKB, 2=R0(1), 3=R0(2), 4=NC, 5=VCC, 6=R9(1), 7=R9(2), 8=QC, 9=QB, 10=GND, 11=QD, 12=QA, 13=NC, 14=CKA
@@ -681,8 +924,8 @@ export class LS90 extends TTLChip {
 
         // Internal: Two sections - mod-2 (QA) and mod-5 (QB, QC, QD)
         this.internalState = {
-            sectionA: { count: 0, lastClk: STATE_FLOAT }, // mod-2
-            sectionB: { count: 0, lastClk: STATE_FLOAT }    // mod-5
+            sectionA: { count: 0, lastClk: STATE_FLOAT, unknown: false }, // mod-2
+            sectionB: { count: 0, lastClk: STATE_FLOAT, unknown: false }    // mod-5
         };
     }
 
@@ -701,15 +944,27 @@ export class LS90 extends TTLChip {
         const r91 = this.getInputState(6);
         const r92 = this.getInputState(7);
 
+        const r0 = logicAnd(r01, r02);
+        const r9 = logicAnd(r91, r92);
+
         // Reset (both R0 pins HIGH)
-        if (r01 === STATE_HIGH && r02 === STATE_HIGH) {
+        if (r0 === STATE_HIGH) {
             this.internalState.sectionA.count = 0;
             this.internalState.sectionB.count = 0;
+            this.internalState.sectionA.unknown = false;
+            this.internalState.sectionB.unknown = false;
         }
         // Set to 9 (both R9 pins HIGH)
-        else if (r91 === STATE_HIGH && r92 === STATE_HIGH) {
+        else if (r9 === STATE_HIGH) {
             this.internalState.sectionA.count = 1; // QA = 1
             this.internalState.sectionB.count = 4; // QD=1, QC=0, QB=0 = 100 binary = 4 decimal
+            this.internalState.sectionA.unknown = false;
+            this.internalState.sectionB.unknown = false;
+        }
+        // Reset or set-to-9 may be active
+        else if (r0 !== STATE_LOW || r9 !== STATE_LOW) {
+            this.internalState.sectionA.unknown = true;
+            this.internalState.sectionB.unknown = true;
         }
         // Normal counting
         else {
@@ -718,27 +973,35 @@ export class LS90 extends TTLChip {
             const lastClkA = this.internalState.sectionA.lastClk;
             this.internalState.sectionA.lastClk = clkA;
 
-            if (lastClkA === STATE_HIGH && clkA === STATE_LOW) {
+            const edgeA = clockEdge(lastClkA, clkA, STATE_HIGH, STATE_LOW);
+            if (edgeA === STATE_HIGH) {
                 this.internalState.sectionA.count = (this.internalState.sectionA.count + 1) % 2;
             }
+            if (edgeA === STATE_UNKNOWN || this.forcesUnknown(this.checkClockTiming(14, edgeA === STATE_HIGH))) {
+                this.internalState.sectionA.unknown = true;
+            }
 
             // Section B: mod-5 counter (CKB -> QB, QC, QD)
             const clkB = this.getInputState(1);
             const lastClkB = this.internalState.sectionB.lastClk;
             this.internalState.sectionB.lastClk = clkB;
 
-            if (lastClkB === STATE_HIGH && clkB === STATE_LOW) {
+            const edgeB = clockEdge(lastClkB, clkB, STATE_HIGH, STATE_LOW);
+            if (edgeB === STATE_HIGH) {
                 this.internalState.sectionB.count = (this.internalState.sectionB.count + 1) % 5;
             }
+            if (edgeB === STATE_UNKNOWN || this.forcesUnknown(this.checkClockTiming(1, edgeB === STATE_HIGH))) {
+                this.internalState.sectionB.unknown = true;
+            }
         }
 
         // Output QA (bit 0 of section A)
-        const qa = (this.internalState.sectionA.count & 1) ? STATE_HIGH : STATE_LOW;
+        const qa = countBit(this.internalState.sectionA, 1);
 
         // Output QB, QC, QD (bits 0, 1, 2 of section B)
-        const qb = (this.internalState.sectionB.count & 1) ? STATE_HIGH : STATE_LOW;
-        const qc = (this.internalState.sectionB.count & 2) ? STATE_HIGH : STATE_LOW;
-        const qd = (this.internalState.sectionB.count & 4) ? STATE_HIGH : STATE_LOW;
+        const qb = countBit(this.internalState.sectionB, 1);
+        const qc = countBit(this.internalState.sectionB, 2);
+        const qd = countBit(this.internalState.sectionB, 4);
 
         return [
             { pin: 12, state: qa },
@@ -748,11 +1011,19 @@ export class LS90 extends TTLChip {
         ];
     }
 
+    powerUp() {
+        const unknown = this.getPowerOnState() === STATE_UNKNOWN;
+        ['sectionA', 'sectionB'].forEach(section => {
+            this.internalState[section].count = 0;
+            this.internalState[section].unknown = unknown;
+        });
+    }
+
     reset() {
         super.reset();
         this.internalState = {
-            sectionA: { count: 0, lastClk: STATE_FLOAT },
-            sectionB: { count: 0, lastClk: STATE_FLOAT }
+            sectionA: { count: 0, lastClk: STATE_FLOAT, unknown: false },
+            sectionB: { count: 0, lastClk: STATE_FLOAT, unknown: false }
         };
     }
 }
@@ -780,8 +1051,8 @@ export class LS93 extends TTLChip {
         this.setPinType(10, PIN_TYPE.POWER);   // GND
 
         this.internalState = {
-            sectionA: { count: 0, lastClk: STATE_FLOAT }, // mod-2
-            sectionB: { count: 0, lastClk: STATE_FLOAT }    // mod-8
+            sectionA: { count: 0, lastClk: STATE_FLOAT, unknown: false }, // mod-2
+            sectionB: { count: 0, lastClk: STATE_FLOAT, unknown: false }    // mod-8
         };
     }
 
@@ -798,34 +1069,50 @@ export class LS93 extends TTLChip {
         const r01 = this.getInputState(2);
         const r02 = this.getInputState(3);
 
+        const r0 = logicAnd(r01, r02);
+
         // Reset
-        if (r01 === STATE_HIGH && r02 === STATE_HIGH) {
+        if (r0 === STATE_HIGH) {
             this.internalState.sectionA.count = 0;
             this.internalState.sectionB.count = 0;
+            this.internalState.sectionA.unknown = false;
+            this.internalState.sectionB.unknown = false;
+        } else if (r0 !== STATE_LOW) {
+            // Reset may be active
+            this.internalState.sectionA.unknown = true;
+            this.internalState.sectionB.unknown = true;
         } else {
             // Section A: mod-2
             const clkA = this.getInputState(14);
             const lastClkA = this.internalState.sectionA.lastClk;
             this.internalState.sectionA.lastClk = clkA;
 
-            if (lastClkA === STATE_HIGH && clkA === STATE_LOW) {
+            const edgeA = clockEdge(lastClkA, clkA, STATE_HIGH, STATE_LOW);
+            if (edgeA === STATE_HIGH) {
                 this.internalState.sectionA.count = (this.internalState.sectionA.count + 1) % 2;
             }
+            if (edgeA === STATE_UNKNOWN || this.forcesUnknown(this.checkClockTiming(14, edgeA === STATE_HIGH))) {
+                this.internalState.sectionA.unknown = true;
+            }
 
             // Section B: mod-8
             const clkB = this.getInputState(1);
             const lastClkB = this.internalState.sectionB.lastClk;
             this.internalState.sectionB.lastClk = clkB;
 
-            if (lastClkB === STATE_HIGH && clkB === STATE_LOW) {
+            const edgeB = clockEdge(lastClkB, clkB, STATE_HIGH, STATE_LOW);
+            if (edgeB === STATE_HIGH) {
                 this.internalState.sectionB.count = (this.internalState.sectionB.count + 1) % 8;
             }
+            if (edgeB === STATE_UNKNOWN || this.forcesUnknown(this.checkClockTiming(1, edgeB === STATE_HIGH))) {
+                this.internalState.sectionB.unknown = true;
+            }
         }
 
-        const qa = (this.internalState.sectionA.count & 1) ? STATE_HIGH : STATE_LOW;
-        const qb = (this.internalState.sectionB.count & 1) ? STATE_HIGH : STATE_LOW;
-        const qc = (this.internalState.sectionB.count & 2) ? STATE_HIGH : STATE_LOW;
-        const qd = (this.internalState.sectionB.count & 4) ? STATE_HIGH : STATE_LOW;
+        const qa = countBit(this.internalState.sectionA, 1);
+        const qb = countBit(this.internalState.sectionB, 1);
+        const qc = countBit(this.internalState.sectionB, 2);
+        const qd = countBit(this.internalState.sectionB, 4);
 
         return [
             { pin: 12, state: qa },
@@ -835,124 +1122,964 @@ export class LS93 extends TTLChip {
         ];
     }
 
+    powerUp() {
+        const unknown = this.getPowerOnState() === STATE_UNKNOWN;
+        ['sectionA', 'sectionB'].forEach(section => {
+            this.internalState[section].count = 0;
+            this.internalState[section].unknown = unknown;
+        });
+    }
+
     reset() {
         super.reset();
         this.internalState = {
-            sectionA: { count: 0, lastClk: STATE_FLOAT },
-            sectionB: { count: 0, lastClk: STATE_FLOAT }
+            sectionA: { count: 0, lastClk: STATE_FLOAT, unknown: false },
+            sectionB: { count: 0, lastClk: STATE_FLOAT, unknown: false }
         };
     }
 }
 
-// ============================================================================
-// DECODERS
-// ============================================================================
+/**
+ * Decade count after one step up: 9 wraps to 0, and the unused states 10..15
+ * return to the sequence the way the datasheet state diagram shows
+ * (10 -> 11 -> 6, 12 -> 13 -> 4, 14 -> 15 -> 2)
+ */
+function decadeUp(count) {
+    const [qa, qb, qc, qd] = [1, 2, 4, 8].map(mask => (count & mask) !== 0);
+    const tb = qa && !qd;
+    const tc = qa && qb;
+    const td = (qa && qb && qc) || (qa && qd);
+    return count ^ 1 ^ (tb ? 2 : 0) ^ (tc ? 4 : 0) ^ (td ? 8 : 0);
+}
 
 /**
- * 74LS138 - 3-to-8 Line Decoder/Demultiplexer
- * Pinout: 1=A, 2=B, 3=C, 4=G2A, 5=G2B, 6=G1, 7=Y7, 8=GND, 9=Y6, 10=Y5, 11=Y4, 12=Y3, 13=Y2, 14=Y1, 15=Y0, 16=VCC
+ * Parallel data inputs (A = LSB) as a count, or null when any is undetermined
  */
-export class LS138 extends TTLChip {
-    constructor(id, name = '74LS138') {
+function dataCount(levels) {
+    if (!levels.every(isKnown)) return null;
+    return levels.reduce((count, level, i) => level === STATE_HIGH ? count | (1 << i) : count, 0);
+}
+
+/**
+ * 74LS160 - Synchronous 4-Bit Decade Counter, Asynchronous Clear
+ * Pinout: 1=CLR, 2=CLK, 3=A, 4=B, 5=C, 6=D, 7=ENP, 8=GND, 9=LOAD, 10=ENT, 11=QD, 12=QC, 13=QB, 14=QA, 15=RCO, 16=VCC
+ * On the rising clock edge LOAD LOW loads A..D; otherwise the counter counts
+ * when ENP and ENT are both HIGH. RCO is HIGH at the terminal count while ENT
+ * is HIGH, so stages cascade RCO into the next stage's ENT.
+ */
+export class LS160 extends TTLChip {
+    constructor(id, name = '74LS160') {
         super(id, name, 16);
 
         this.vccPin = 16;
         this.gndPin = 8;
+        this.decade = true;
+        this.syncClear = false;
 
-        this.setPinType(1, PIN_TYPE.INPUT);  // A
-        this.setPinType(2, PIN_TYPE.INPUT);  // B
-        this.setPinType(3, PIN_TYPE.INPUT);  // C
-        this.setPinType(4, PIN_TYPE.INPUT);  // G2A (active LOW)
-        this.setPinType(5, PIN_TYPE.INPUT);  // G2B (active LOW)
-        this.setPinType(6, PIN_TYPE.INPUT);  // G1 (active HIGH)
-        this.setPinType(7, PIN_TYPE.OUTPUT); // Y7 (active LOW)
-        this.setPinType(9, PIN_TYPE.OUTPUT); // Y6
-        this.setPinType(10, PIN_TYPE.OUTPUT); // Y5
-        this.setPinType(11, PIN_TYPE.OUTPUT); // Y4
-        this.setPinType(12, PIN_TYPE.OUTPUT); // Y3
-        this.setPinType(13, PIN_TYPE.OUTPUT); // Y2
-        this.setPinType(14, PIN_TYPE.OUTPUT); // Y1
-        this.setPinType(15, PIN_TYPE.OUTPUT); // Y0
-        this.setPinType(8, PIN_TYPE.POWER);   // GND
-        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+        this.setPinType(1, PIN_TYPE.INPUT);   // CLR (active LOW)
+        this.setPinType(2, PIN_TYPE.CLOCK);   // CLK
+        this.setPinType(7, PIN_TYPE.INPUT);   // ENP
+        this.setPinType(9, PIN_TYPE.INPUT);   // LOAD (active LOW)
+        this.setPinType(10, PIN_TYPE.INPUT);  // ENT
+        this.setPinType(15, PIN_TYPE.OUTPUT); // RCO
+
+        this.dataPins = [3, 4, 5, 6]; // A..D
+        this.outputPins = [14, 13, 12, 11]; // QA..QD
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { count: 0, lastClk: STATE_FLOAT, unknown: false };
     }
 
     evaluate() {
         if (!this.isPowered()) {
-            return [
-                { pin: 15, state: STATE_FLOAT },
-                { pin: 14, state: STATE_FLOAT },
-                { pin: 13, state: STATE_FLOAT },
-                { pin: 12, state: STATE_FLOAT },
-                { pin: 11, state: STATE_FLOAT },
-                { pin: 10, state: STATE_FLOAT },
-                { pin: 9, state: STATE_FLOAT },
-                { pin: 7, state: STATE_FLOAT }
-            ];
+            return [...this.outputPins, 15].map(pin => ({ pin, state: STATE_FLOAT }));
         }
 
-        const a = this.getInputState(1);
-        const b = this.getInputState(2);
-        const c = this.getInputState(3);
-        const g2a = this.getInputState(4);
-        const g2b = this.getInputState(5);
-        const g1 = this.getInputState(6);
+        const state = this.internalState;
+        const clr = this.getInputState(1);
+        const clk = this.getInputState(2);
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const syncPins = [7, 9, 10, ...this.dataPins, ...(this.syncClear ? [1] : [])];
+        const violations = this.checkClockTiming(2, edge === STATE_HIGH, syncPins);
+
+        // Async clear (active LOW) on the 74LS160/161
+        if (!this.syncClear && clr === STATE_LOW) {
+            state.count = 0;
+            state.unknown = false;
+        } else if (!this.syncClear && !isKnown(clr)) {
+            state.unknown = true;
+        } else {
+            const next = this.nextCount(clr);
+            if (edge === STATE_HIGH) {
+                state.count = next.count;
+                state.unknown = next.unknown;
+            } else if (edge === STATE_UNKNOWN && (next.unknown || next.count !== state.count)) {
+                state.unknown = true;
+            }
+            if (this.forcesUnknown(violations)) state.unknown = true;
+        }
 
-        // Enable: G1=HIGH, G2A=LOW, G2B=LOW
-        const enabled = (g1 === STATE_HIGH && g2a === STATE_LOW && g2b === STATE_LOW);
+        const ent = this.getInputState(10);
+        const terminal = this.decade ? (state.count & 9) === 9 : state.count === 15;
+        const rco = logicAnd(ent, state.unknown ? STATE_UNKNOWN : (terminal ? STATE_HIGH : STATE_LOW));
 
-        if (!enabled) {
-            // All outputs HIGH (disabled)
-            return [
-                { pin: 15, state: STATE_HIGH },
-                { pin: 14, state: STATE_HIGH },
-                { pin: 13, state: STATE_HIGH },
-                { pin: 12, state: STATE_HIGH },
-                { pin: 11, state: STATE_HIGH },
-                { pin: 10, state: STATE_HIGH },
-                { pin: 9, state: STATE_HIGH },
-                { pin: 7, state: STATE_HIGH }
-            ];
+        return [
+            ...this.outputPins.map((pin, i) => ({ pin, state: countBit(state, 1 << i) })),
+            { pin: 15, state: rco }
+        ];
+    }
+
+    /**
+     * Contents the next clock edge would leave: clear (74LS162/163), load,
+     * count or hold, UNKNOWN when the inputs choosing between them are
+     */
+    nextCount(clr) {
+        const { count, unknown } = this.internalState;
+        const undetermined = { count, unknown: true };
+
+        if (this.syncClear) {
+            if (clr === STATE_LOW) return { count: 0, unknown: false };
+            if (!isKnown(clr)) return undetermined;
         }
 
-        // Decode: select = C*4 + B*2 + A
-        const select = (c === STATE_HIGH ? 4 : 0) +
-            (b === STATE_HIGH ? 2 : 0) +
-            (a === STATE_HIGH ? 1 : 0);
+        const load = this.getInputState(9);
+        if (load === STATE_LOW) {
+            const data = dataCount(this.dataPins.map(pin => this.getInputState(pin)));
+            return data === null ? undetermined : { count: data, unknown: false };
+        }
+        if (!isKnown(load)) return undetermined;
 
-        // Active LOW outputs: selected output is LOW, others HIGH
-        const outputs = Array(8).fill(STATE_HIGH);
-        outputs[select] = STATE_LOW;
+        const enable = logicAnd(this.getInputState(7), this.getInputState(10));
+        if (enable === STATE_LOW) return { count, unknown };
+        if (!isKnown(enable) || unknown) return undetermined;
+        return { count: this.decade ? decadeUp(count) : (count + 1) % 16, unknown: false };
+    }
 
-        return [
-            { pin: 15, state: outputs[0] }, // Y0
-            { pin: 14, state: outputs[1] }, // Y1
-            { pin: 13, state: outputs[2] }, // Y2
-            { pin: 12, state: outputs[3] }, // Y3
-            { pin: 11, state: outputs[4] }, // Y4
-            { pin: 10, state: outputs[5] }, // Y5
-            { pin: 9, state: outputs[6] },  // Y6
-            { pin: 7, state: outputs[7] }    // Y7
-        ];
+    powerUp() {
+        this.internalState.count = 0;
+        this.internalState.unknown = this.getPowerOnState() === STATE_UNKNOWN;
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { count: 0, lastClk: STATE_FLOAT, unknown: false };
     }
 }
 
 /**
- * 74LS47 - BCD to 7-Segment Decoder/Driver (Active LOW outputs)
- * Pinout: 1=B, 2=C, 3=LT, 4=BI/RBO, 5=RBI, 6=D, 7=A, 8=GND, 9=e, 10=d, 11=c, 12=b, 13=a, 14=g, 15=f, 16=VCC
+ * 74LS161 - Synchronous 4-Bit Binary Counter, Asynchronous Clear
+ * Pinout: same as 74LS160, counting 0 to 15
  */
-export class LS47 extends TTLChip {
-    constructor(id, name = '74LS47') {
+export class LS161 extends LS160 {
+    constructor(id, name = '74LS161') {
+        super(id, name);
+        this.decade = false;
+    }
+}
+
+/**
+ * 74LS162 - Synchronous 4-Bit Decade Counter, Synchronous Clear
+ * Pinout: same as 74LS160; CLR LOW clears on the next rising clock edge
+ */
+export class LS162 extends LS160 {
+    constructor(id, name = '74LS162') {
+        super(id, name);
+        this.syncClear = true;
+    }
+}
+
+/**
+ * 74LS163 - Synchronous 4-Bit Binary Counter, Synchronous Clear
+ * Pinout: same as 74LS160, counting 0 to 15; CLR LOW clears on the next rising clock edge
+ */
+export class LS163 extends LS161 {
+    constructor(id, name = '74LS163') {
+        super(id, name);
+        this.syncClear = true;
+    }
+}
+
+/**
+ * 74LS192 - Synchronous Up/Down Decade Counter, Dual Clock
+ * Pinout: 1=B, 2=QB, 3=QA, 4=DOWN, 5=UP, 6=QC, 7=QD, 8=GND, 9=D, 10=C, 11=LOAD, 12=CO, 13=BO, 14=CLR, 15=A, 16=VCC
+ * Counts up on the rising edge of UP while DOWN is HIGH, and down on the
+ * rising edge of DOWN while UP is HIGH. CLR (active HIGH) and LOAD (active LOW)
+ * act immediately. CO is LOW while UP is LOW at the top count, BO while DOWN is
+ * LOW at zero; each rises with the clock to drive the next stage's UP or DOWN.
+ */
+export class LS192 extends TTLChip {
+    constructor(id, name = '74LS192') {
         super(id, name, 16);
 
         this.vccPin = 16;
         this.gndPin = 8;
+        this.decade = true;
 
-        this.setPinType(7, PIN_TYPE.INPUT);  // A (LSB)
-        this.setPinType(1, PIN_TYPE.INPUT);  // B
-        this.setPinType(2, PIN_TYPE.INPUT);  // C
-        this.setPinType(6, PIN_TYPE.INPUT);  // D (MSB)
-        this.setPinType(3, PIN_TYPE.INPUT);  // LT (Lamp Test, active LOW)
+        this.setPinType(4, PIN_TYPE.CLOCK);   // DOWN
+        this.setPinType(5, PIN_TYPE.CLOCK);   // UP
+        this.setPinType(11, PIN_TYPE.INPUT);  // LOAD (active LOW)
+        this.setPinType(14, PIN_TYPE.INPUT);  // CLR (active HIGH)
+        this.setPinType(12, PIN_TYPE.OUTPUT); // CO (active LOW)
+        this.setPinType(13, PIN_TYPE.OUTPUT); // BO (active LOW)
+
+        this.dataPins = [15, 1, 10, 9]; // A..D
+        this.outputPins = [3, 2, 6, 7]; // QA..QD
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { count: 0, lastUp: STATE_FLOAT, lastDown: STATE_FLOAT, unknown: false };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [...this.outputPins, 12, 13].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const up = this.getInputState(5);
+        const down = this.getInputState(4);
+        const upEdge = clockEdge(state.lastUp, up, STATE_LOW, STATE_HIGH);
+        const downEdge = clockEdge(state.lastDown, down, STATE_LOW, STATE_HIGH);
+        state.lastUp = up;
+        state.lastDown = down;
+        const violations = [
+            ...this.checkClockTiming(5, upEdge === STATE_HIGH),
+            ...this.checkClockTiming(4, downEdge === STATE_HIGH)
+        ];
+
+        const clr = this.getInputState(14);
+        const load = this.getInputState(11);
+
+        // Async clear (active HIGH) overrides async load (active LOW)
+        if (clr === STATE_HIGH) {
+            state.count = 0;
+            state.unknown = false;
+        } else if (!isKnown(clr)) {
+            state.unknown = true;
+        } else if (load === STATE_LOW) {
+            const data = dataCount(this.dataPins.map(pin => this.getInputState(pin)));
+            state.count = data ?? state.count;
+            state.unknown = data === null;
+        } else if (!isKnown(load)) {
+            state.unknown = true;
+        } else {
+            this.step(upEdge, down, 1);
+            this.step(downEdge, up, -1);
+            if (this.forcesUnknown(violations)) state.unknown = true;
+        }
+
+        const top = this.decade ? 9 : 15;
+        const atTop = state.unknown ? STATE_UNKNOWN : (state.count === top ? STATE_HIGH : STATE_LOW);
+        const atZero = state.unknown ? STATE_UNKNOWN : (state.count === 0 ? STATE_HIGH : STATE_LOW);
+
+        return [
+            ...this.outputPins.map((pin, i) => ({ pin, state: countBit(state, 1 << i) })),
+            { pin: 12, state: logicNot(logicAnd(atTop, logicNot(up))) },
+            { pin: 13, state: logicNot(logicAnd(atZero, logicNot(down))) }
+        ];
+    }
+
+    /**
+     * Count one step on a clock edge; the other clock must be held HIGH, so
+     * anything else (or an undetermined edge) leaves the count UNKNOWN
+     */
+    step(edge, otherClock, direction) {
+        const state = this.internalState;
+        if (edge === STATE_LOW) return;
+        if (edge !== STATE_HIGH || otherClock !== STATE_HIGH || state.unknown) {
+            state.unknown = true;
+            return;
+        }
+        if (direction > 0) {
+            state.count = this.decade ? decadeUp(state.count) : (state.count + 1) % 16;
+        } else {
+            state.count = state.count === 0 ? (this.decade ? 9 : 15) : state.count - 1;
+        }
+    }
+
+    powerUp() {
+        this.internalState.count = 0;
+        this.internalState.unknown = this.getPowerOnState() === STATE_UNKNOWN;
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { count: 0, lastUp: STATE_FLOAT, lastDown: STATE_FLOAT, unknown: false };
+    }
+}
+
+/**
+ * 74LS193 - Synchronous Up/Down 4-Bit Binary Counter, Dual Clock
+ * Pinout: same as 74LS192, counting 0 to 15
+ */
+export class LS193 extends LS192 {
+    constructor(id, name = '74LS193') {
+        super(id, name);
+        this.decade = false;
+    }
+}
+
+// ============================================================================
+// SHIFT REGISTERS
+// ============================================================================
+
+/**
+ * Register stages after a possible clock edge: each stage takes its next
+ * value on a definite edge and goes UNKNOWN where an undetermined edge
+ * would have changed it
+ */
+function clockedStages(stages, next, edge) {
+    return stages.map((q, i) => clocked(q, next[i], edge));
+}
+
+/**
+ * 74LS164 - 8-Bit Serial-In, Parallel-Out Shift Register
+ * Pinout: 1=A, 2=B, 3=QA, 4=QB, 5=QC, 6=QD, 7=GND, 8=CLK, 9=CLR, 10=QE, 11=QF, 12=QG, 13=QH, 14=VCC
+ * Serial data is A AND B, shifted in on the rising clock edge (QA first)
+ */
+export class LS164 extends TTLChip {
+    constructor(id, name = '74LS164') {
+        super(id, name, 14);
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // A
+        this.setPinType(2, PIN_TYPE.INPUT);  // B
+        this.setPinType(8, PIN_TYPE.CLOCK);  // CLK
+        this.setPinType(9, PIN_TYPE.INPUT);  // CLR (active LOW)
+
+        this.outputPins = [3, 4, 5, 6, 10, 11, 12, 13]; // QA..QH
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(7, PIN_TYPE.POWER);  // GND
+        this.setPinType(14, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const clr = this.getInputState(9);
+        const clk = this.getInputState(8);
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const violations = this.checkClockTiming(8, edge === STATE_HIGH, [1, 2]);
+
+        // Async clear (active LOW)
+        if (clr === STATE_LOW) {
+            state.q = state.q.map(() => STATE_LOW);
+        } else if (!isKnown(clr)) {
+            state.q = state.q.map(() => STATE_UNKNOWN);
+        } else {
+            const serial = logicAnd(this.getInputState(1), this.getInputState(2));
+            state.q = clockedStages(state.q, [serial, ...state.q.slice(0, -1)], edge);
+            if (this.forcesUnknown(violations)) state.q = state.q.map(() => STATE_UNKNOWN);
+        }
+
+        return this.outputPins.map((pin, i) => ({ pin, state: state.q[i] }));
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+}
+
+/**
+ * 74LS165 - 8-Bit Parallel-In, Serial-Out Shift Register
+ * Pinout: 1=SH/LD, 2=CLK, 3=E, 4=F, 5=G, 6=H, 7=QH', 8=GND, 9=QH, 10=SER, 11=A, 12=B, 13=C, 14=D, 15=CLK INH, 16=VCC
+ * SH/LD LOW loads A..H asynchronously. With SH/LD HIGH the register shifts
+ * towards QH on the rising edge of CLK OR CLK INH (either one can be the clock).
+ */
+export class LS165 extends TTLChip {
+    constructor(id, name = '74LS165') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.dataPins = [11, 12, 13, 14, 3, 4, 5, 6]; // A..H
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.setPinType(1, PIN_TYPE.INPUT);  // SH/LD (load when LOW)
+        this.setPinType(2, PIN_TYPE.CLOCK);  // CLK
+        this.setPinType(15, PIN_TYPE.INPUT); // CLK INH
+        this.setPinType(10, PIN_TYPE.INPUT); // SER
+        this.setPinType(9, PIN_TYPE.OUTPUT); // QH
+        this.setPinType(7, PIN_TYPE.OUTPUT); // QH'
+
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [
+                { pin: 9, state: STATE_FLOAT },
+                { pin: 7, state: STATE_FLOAT }
+            ];
+        }
+
+        const state = this.internalState;
+        const load = this.getInputState(1);
+        const clk = logicOr(this.getInputState(2), this.getInputState(15));
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const violations = this.checkClockTiming(2, edge === STATE_HIGH, [10]);
+
+        // Async parallel load (active LOW)
+        if (load === STATE_LOW) {
+            state.q = this.dataPins.map(pin => logicBuffer(this.getInputState(pin)));
+        } else if (!isKnown(load)) {
+            state.q = state.q.map(() => STATE_UNKNOWN);
+        } else {
+            state.q = clockedStages(state.q, [this.getInputState(10), ...state.q.slice(0, -1)], edge);
+            if (this.forcesUnknown(violations)) state.q = state.q.map(() => STATE_UNKNOWN);
+        }
+
+        const qh = state.q[7];
+        return [
+            { pin: 9, state: qh },
+            { pin: 7, state: complement(qh) }
+        ];
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+}
+
+/**
+ * 74LS194 - 4-Bit Bidirectional Universal Shift Register
+ * Pinout: 1=CLR, 2=SR SER, 3=A, 4=B, 5=C, 6=D, 7=SL SER, 8=GND, 9=S0, 10=S1, 11=CLK, 12=QD, 13=QC, 14=QB, 15=QA, 16=VCC
+ * Mode on the rising clock edge (S1 S0): 00 hold, 01 shift right (QA towards QD),
+ * 10 shift left (QD towards QA), 11 parallel load
+ */
+export class LS194 extends TTLChip {
+    constructor(id, name = '74LS194') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // CLR (active LOW)
+        this.setPinType(2, PIN_TYPE.INPUT);  // SR SER (shift-right serial input)
+        this.setPinType(7, PIN_TYPE.INPUT);  // SL SER (shift-left serial input)
+        this.setPinType(9, PIN_TYPE.INPUT);  // S0
+        this.setPinType(10, PIN_TYPE.INPUT); // S1
+        this.setPinType(11, PIN_TYPE.CLOCK); // CLK
+
+        this.dataPins = [3, 4, 5, 6]; // A..D
+        this.outputPins = [15, 14, 13, 12]; // QA..QD
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const clr = this.getInputState(1);
+        const clk = this.getInputState(11);
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const violations = this.checkClockTiming(11, edge === STATE_HIGH, [2, 7, 9, 10, ...this.dataPins]);
+
+        // Async clear (active LOW)
+        if (clr === STATE_LOW) {
+            state.q = state.q.map(() => STATE_LOW);
+        } else if (!isKnown(clr)) {
+            state.q = state.q.map(() => STATE_UNKNOWN);
+        } else {
+            const s0 = this.getInputState(9);
+            const s1 = this.getInputState(10);
+            const q = state.q;
+            const shiftRight = [this.getInputState(2), ...q.slice(0, -1)];
+            const shiftLeft = [...q.slice(1), this.getInputState(7)];
+            const load = this.dataPins.map(pin => this.getInputState(pin));
+            const next = q.map((_, i) => logicSelect([q[i], shiftRight[i], shiftLeft[i], load[i]], [s0, s1]));
+            state.q = clockedStages(q, next, edge);
+            if (this.forcesUnknown(violations)) state.q = state.q.map(() => STATE_UNKNOWN);
+        }
+
+        return this.outputPins.map((pin, i) => ({ pin, state: state.q[i] }));
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+}
+
+/**
+ * 74LS195 - 4-Bit Parallel-Access Shift Register
+ * Pinout: 1=CLR, 2=J, 3=K', 4=A, 5=B, 6=C, 7=D, 8=GND, 9=SH/LD, 10=CLK, 11=QD', 12=QD, 13=QC, 14=QB, 15=QA, 16=VCC
+ * On the rising clock edge: SH/LD HIGH shifts (QA takes J-K' like a JK
+ * flip-flop), SH/LD LOW loads A..D
+ */
+export class LS195 extends TTLChip {
+    constructor(id, name = '74LS195') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // CLR (active LOW)
+        this.setPinType(2, PIN_TYPE.INPUT);  // J
+        this.setPinType(3, PIN_TYPE.INPUT);  // K' (active LOW K)
+        this.setPinType(9, PIN_TYPE.INPUT);  // SH/LD (load when LOW)
+        this.setPinType(10, PIN_TYPE.CLOCK); // CLK
+        this.setPinType(11, PIN_TYPE.OUTPUT); // QD'
+
+        this.dataPins = [4, 5, 6, 7]; // A..D
+        this.outputPins = [15, 14, 13, 12]; // QA..QD
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [...this.outputPins, 11].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const clr = this.getInputState(1);
+        const clk = this.getInputState(10);
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const violations = this.checkClockTiming(10, edge === STATE_HIGH, [2, 3, 9, ...this.dataPins]);
+
+        // Async clear (active LOW)
+        if (clr === STATE_LOW) {
+            state.q = state.q.map(() => STATE_LOW);
+        } else if (!isKnown(clr)) {
+            state.q = state.q.map(() => STATE_UNKNOWN);
+        } else {
+            const q = state.q;
+            const shift = [jkNext(q[0], this.getInputState(2), logicNot(this.getInputState(3))), ...q.slice(0, -1)];
+            const load = this.dataPins.map(pin => this.getInputState(pin));
+            const shiftLoad = this.getInputState(9);
+            state.q = clockedStages(q, q.map((_, i) => logicSelect([load[i], shift[i]], [shiftLoad])), edge);
+            if (this.forcesUnknown(violations)) state.q = state.q.map(() => STATE_UNKNOWN);
+        }
+
+        return [
+            ...this.outputPins.map((pin, i) => ({ pin, state: state.q[i] })),
+            { pin: 11, state: complement(state.q[3]) }
+        ];
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+}
+
+// ============================================================================
+// LATCHES AND REGISTERS
+// ============================================================================
+
+/**
+ * Transparent latch level: follows D while enabled and holds while not;
+ * UNKNOWN when an undetermined enable may have let a different D through
+ */
+function latched(q, d, enable) {
+    if (enable === STATE_HIGH) return logicBuffer(d);
+    if (enable === STATE_LOW) return q;
+    return q === d ? q : STATE_UNKNOWN;
+}
+
+/**
+ * 74LS75 - 4-Bit Bistable Latch
+ * Pinout: 1=1Q', 2=1D, 3=2D, 4=3C/4C, 5=VCC, 6=3D, 7=4D, 8=4Q', 9=4Q, 10=3Q, 11=3Q', 12=GND, 13=1C/2C, 14=2Q', 15=2Q, 16=1Q
+ * Each pair of latches follows D while its enable C is HIGH and keeps the
+ * last level when C goes LOW
+ */
+export class LS75 extends TTLChip {
+    constructor(id, name = '74LS75') {
+        super(id, name, 16);
+
+        this.vccPin = 5;
+        this.gndPin = 12;
+
+        // [D, Q, Q', enable] per latch
+        this.latches = [[2, 16, 1, 13], [3, 15, 14, 13], [6, 10, 11, 4], [7, 9, 8, 4]];
+
+        this.latches.forEach(([d, q, qBar]) => {
+            this.setPinType(d, PIN_TYPE.INPUT);
+            this.setPinType(q, PIN_TYPE.OUTPUT);
+            this.setPinType(qBar, PIN_TYPE.OUTPUT);
+        });
+        this.setPinType(13, PIN_TYPE.INPUT); // 1C/2C
+        this.setPinType(4, PIN_TYPE.INPUT);  // 3C/4C
+        this.setPinType(5, PIN_TYPE.POWER);  // VCC
+        this.setPinType(12, PIN_TYPE.POWER); // GND
+
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastEnable: { 13: STATE_FLOAT, 4: STATE_FLOAT } };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.latches.flatMap(([, q, qBar]) => [
+                { pin: q, state: STATE_FLOAT },
+                { pin: qBar, state: STATE_FLOAT }
+            ]);
+        }
+
+        const state = this.internalState;
+
+        // The latch closes (samples D) on the falling edge of each enable
+        const forced = {};
+        [[13, [2, 3]], [4, [6, 7]]].forEach(([enable, dataPins]) => {
+            const level = this.getInputState(enable);
+            const closing = clockEdge(state.lastEnable[enable], level, STATE_HIGH, STATE_LOW);
+            state.lastEnable[enable] = level;
+            forced[enable] = this.forcesUnknown(this.checkClockTiming(enable, closing === STATE_HIGH, dataPins));
+        });
+
+        return this.latches.flatMap(([d, q, qBar, enable], i) => {
+            state.q[i] = forced[enable]
+                ? STATE_UNKNOWN
+                : latched(state.q[i], this.getInputState(d), this.getInputState(enable));
+            return [
+                { pin: q, state: state.q[i] },
+                { pin: qBar, state: complement(state.q[i]) }
+            ];
+        });
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(4).fill(STATE_LOW), lastEnable: { 13: STATE_FLOAT, 4: STATE_FLOAT } };
+    }
+}
+
+/**
+ * 74LS373 - Octal Transparent Latch, Tri-State Outputs
+ * Pinout: 1=OE', 2=1Q, 3=1D, 4=2D, 5=2Q, 6=3Q, 7=3D, 8=4D, 9=4Q, 10=GND,
+ *         11=C, 12=5Q, 13=5D, 14=6D, 15=6Q, 16=7Q, 17=7D, 18=8D, 19=8Q, 20=VCC
+ * The latches follow D while C is HIGH and hold when it goes LOW. OE HIGH
+ * releases the outputs without disturbing the latched data.
+ */
+export class LS373 extends TTLChip {
+    constructor(id, name = '74LS373') {
+        super(id, name, 20);
+
+        this.dataPins = [3, 4, 7, 8, 13, 14, 17, 18]; // 1D..8D
+        this.outputPins = [2, 5, 6, 9, 12, 15, 16, 19]; // 1Q..8Q
+        this.dataPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.TRISTATE));
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // OE (active LOW)
+        this.setPinType(11, PIN_TYPE.INPUT); // C (latch enable)
+        this.setPinType(10, PIN_TYPE.POWER); // GND
+        this.setPinType(20, PIN_TYPE.POWER); // VCC
+
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const enable = this.getInputState(11);
+        const closing = clockEdge(state.lastClk, enable, STATE_HIGH, STATE_LOW);
+        state.lastClk = enable;
+        const violations = this.checkClockTiming(11, closing === STATE_HIGH, this.dataPins);
+
+        state.q = this.forcesUnknown(violations)
+            ? state.q.map(() => STATE_UNKNOWN)
+            : state.q.map((q, i) => latched(q, this.getInputState(this.dataPins[i]), enable));
+
+        return this.driveOutputs();
+    }
+
+    /**
+     * Latched data onto the outputs while OE is LOW, released while it is HIGH
+     */
+    driveOutputs() {
+        const oe = this.getInputState(1);
+        return this.outputPins.map((pin, i) => {
+            // An undetermined enable may or may not be driving the bus
+            if (!isKnown(oe)) return { pin, state: STATE_UNKNOWN };
+            return { pin, state: this.internalState.q[i], enabled: oe === STATE_LOW };
+        });
+    }
+
+    powerUp() {
+        this.internalState.q = this.internalState.q.map(() => this.getPowerOnState());
+    }
+
+    reset() {
+        super.reset();
+        this.internalState = { q: new Array(8).fill(STATE_LOW), lastClk: STATE_FLOAT };
+    }
+}
+
+/**
+ * 74LS374 - Octal D-Type Flip-Flop, Tri-State Outputs
+ * Pinout: same as 74LS373 with 11=CLK; D is stored on the rising clock edge
+ */
+export class LS374 extends LS373 {
+    constructor(id, name = '74LS374') {
+        super(id, name);
+        this.setPinType(11, PIN_TYPE.CLOCK); // CLK
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const state = this.internalState;
+        const clk = this.getInputState(11);
+        const edge = clockEdge(state.lastClk, clk, STATE_LOW, STATE_HIGH);
+        state.lastClk = clk;
+        const violations = this.checkClockTiming(11, edge === STATE_HIGH, this.dataPins);
+
+        state.q = clockedStages(state.q, this.dataPins.map(pin => this.getInputState(pin)), edge);
+        if (this.forcesUnknown(violations)) state.q = state.q.map(() => STATE_UNKNOWN);
+
+        return this.driveOutputs();
+    }
+}
+
+// ============================================================================
+// DECODERS
+// ============================================================================
+
+/**
+ * Active-LOW decoder lines, one per address (address bits LSB first). Each
+ * line is a NAND of the enable and the address literals, so unknown select
+ * or enable bits only make the lines they could select UNKNOWN.
+ */
+function decodeLines(enabled, address, count = 1 << address.length) {
+    return Array.from({ length: count }, (_, index) => logicNot(logicAnd(
+        enabled,
+        ...address.map((bit, i) => (((index >> i) & 1) ? bit : logicNot(bit)))
+    )));
+}
+
+/**
+ * 74LS138 - 3-to-8 Line Decoder/Demultiplexer
+ * Pinout: 1=A, 2=B, 3=C, 4=G2A, 5=G2B, 6=G1, 7=Y7, 8=GND, 9=Y6, 10=Y5, 11=Y4, 12=Y3, 13=Y2, 14=Y1, 15=Y0, 16=VCC
+ */
+export class LS138 extends TTLChip {
+    constructor(id, name = '74LS138') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.setPinType(1, PIN_TYPE.INPUT);  // A
+        this.setPinType(2, PIN_TYPE.INPUT);  // B
+        this.setPinType(3, PIN_TYPE.INPUT);  // C
+        this.setPinType(4, PIN_TYPE.INPUT);  // G2A (active LOW)
+        this.setPinType(5, PIN_TYPE.INPUT);  // G2B (active LOW)
+        this.setPinType(6, PIN_TYPE.INPUT);  // G1 (active HIGH)
+        this.setPinType(7, PIN_TYPE.OUTPUT); // Y7 (active LOW)
+        this.setPinType(9, PIN_TYPE.OUTPUT); // Y6
+        this.setPinType(10, PIN_TYPE.OUTPUT); // Y5
+        this.setPinType(11, PIN_TYPE.OUTPUT); // Y4
+        this.setPinType(12, PIN_TYPE.OUTPUT); // Y3
+        this.setPinType(13, PIN_TYPE.OUTPUT); // Y2
+        this.setPinType(14, PIN_TYPE.OUTPUT); // Y1
+        this.setPinType(15, PIN_TYPE.OUTPUT); // Y0
+        this.setPinType(8, PIN_TYPE.POWER);   // GND
+        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [
+                { pin: 15, state: STATE_FLOAT },
+                { pin: 14, state: STATE_FLOAT },
+                { pin: 13, state: STATE_FLOAT },
+                { pin: 12, state: STATE_FLOAT },
+                { pin: 11, state: STATE_FLOAT },
+                { pin: 10, state: STATE_FLOAT },
+                { pin: 9, state: STATE_FLOAT },
+                { pin: 7, state: STATE_FLOAT }
+            ];
+        }
+
+        const a = this.getInputState(1);
+        const b = this.getInputState(2);
+        const c = this.getInputState(3);
+        const g2a = this.getInputState(4);
+        const g2b = this.getInputState(5);
+        const g1 = this.getInputState(6);
+
+        // Enable: G1=HIGH, G2A=LOW, G2B=LOW
+        const enabled = logicAnd(g1, logicNot(g2a), logicNot(g2b));
+
+        if (enabled === STATE_LOW) {
+            // All outputs HIGH (disabled)
+            return [
+                { pin: 15, state: STATE_HIGH },
+                { pin: 14, state: STATE_HIGH },
+                { pin: 13, state: STATE_HIGH },
+                { pin: 12, state: STATE_HIGH },
+                { pin: 11, state: STATE_HIGH },
+                { pin: 10, state: STATE_HIGH },
+                { pin: 9, state: STATE_HIGH },
+                { pin: 7, state: STATE_HIGH }
+            ];
+        }
+
+        // Decode: select = C*4 + B*2 + A
+        // Active LOW outputs: selected output is LOW, others HIGH
+        const outputs = decodeLines(enabled, [a, b, c]);
+
+        return [
+            { pin: 15, state: outputs[0] }, // Y0
+            { pin: 14, state: outputs[1] }, // Y1
+            { pin: 13, state: outputs[2] }, // Y2
+            { pin: 12, state: outputs[3] }, // Y3
+            { pin: 11, state: outputs[4] }, // Y4
+            { pin: 10, state: outputs[5] }, // Y5
+            { pin: 9, state: outputs[6] },  // Y6
+            { pin: 7, state: outputs[7] }    // Y7
+        ];
+    }
+}
+
+/**
+ * 74LS139 - Dual 2-to-4 Line Decoder/Demultiplexer
+ * Pinout: 1=1G', 2=1A, 3=1B, 4=1Y0, 5=1Y1, 6=1Y2, 7=1Y3, 8=GND,
+ *         9=2Y3, 10=2Y2, 11=2Y1, 12=2Y0, 13=2B, 14=2A, 15=2G', 16=VCC
+ * Two independent decoders, each enabled by its active-LOW G
+ */
+export class LS139 extends TTLChip {
+    constructor(id, name = '74LS139') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        // Enable, [A, B] and Y0..Y3 per decoder
+        this.decoders = [
+            { enable: 1, address: [2, 3], outputs: [4, 5, 6, 7] },
+            { enable: 15, address: [14, 13], outputs: [12, 11, 10, 9] }
+        ];
+
+        this.decoders.forEach(({ enable, address, outputs }) => {
+            [enable, ...address].forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+            outputs.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT)); // Active LOW
+        });
+        this.setPinType(8, PIN_TYPE.POWER);   // GND
+        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.decoders.flatMap(({ outputs }) => outputs.map(pin => ({ pin, state: STATE_FLOAT })));
+        }
+
+        return this.decoders.flatMap(({ enable, address, outputs }) => {
+            const lines = decodeLines(
+                logicNot(this.getInputState(enable)),
+                address.map(pin => this.getInputState(pin))
+            );
+            return outputs.map((pin, i) => ({ pin, state: lines[i] }));
+        });
+    }
+}
+
+/**
+ * 74LS42 - BCD-to-Decimal Decoder
+ * Pinout: 1=0, 2=1, 3=2, 4=3, 5=4, 6=5, 7=6, 8=GND, 9=7, 10=8, 11=9,
+ *         12=D, 13=C, 14=B, 15=A, 16=VCC
+ * All four inputs are decoded, so the invalid codes 10-15 leave every output HIGH
+ */
+export class LS42 extends TTLChip {
+    constructor(id, name = '74LS42') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.inputPins = [15, 14, 13, 12]; // A (LSB), B, C, D
+        this.outputPins = [1, 2, 3, 4, 5, 6, 7, 9, 10, 11]; // 0..9, active LOW
+
+        this.inputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+        this.setPinType(8, PIN_TYPE.POWER);   // GND
+        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const lines = decodeLines(STATE_HIGH, this.inputPins.map(pin => this.getInputState(pin)), 10);
+        return this.outputPins.map((pin, i) => ({ pin, state: lines[i] }));
+    }
+}
+
+/**
+ * 74LS47 - BCD to 7-Segment Decoder/Driver (Active LOW outputs)
+ * Pinout: 1=B, 2=C, 3=LT, 4=BI/RBO, 5=RBI, 6=D, 7=A, 8=GND, 9=e, 10=d, 11=c, 12=b, 13=a, 14=g, 15=f, 16=VCC
+ */
+export class LS47 extends TTLChip {
+    constructor(id, name = '74LS47') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.setPinType(7, PIN_TYPE.INPUT);  // A (LSB)
+        this.setPinType(1, PIN_TYPE.INPUT);  // B
+        this.setPinType(2, PIN_TYPE.INPUT);  // C
+        this.setPinType(6, PIN_TYPE.INPUT);  // D (MSB)
+        this.setPinType(3, PIN_TYPE.INPUT);  // LT (Lamp Test, active LOW)
         this.setPinType(4, PIN_TYPE.INPUT);  // BI/RBO (Blanking Input/Ripple Blanking Output)
         this.setPinType(5, PIN_TYPE.INPUT);  // RBI (Ripple Blanking Input, active LOW)
         this.setPinType(13, PIN_TYPE.OUTPUT); // a (active LOW)
@@ -998,6 +2125,9 @@ export class LS47 extends TTLChip {
         const bi = this.getInputState(4);  // Blanking Input
         const rbi = this.getInputState(5); // Ripple Blanking Input
 
+        // All seven segments (a..g) at one level
+        const segments = (state) => [13, 12, 11, 10, 9, 15, 14].map(pin => ({ pin, state }));
+
         // Lamp Test: all segments ON
         if (lt === STATE_LOW) {
             return [
@@ -1011,6 +2141,8 @@ export class LS47 extends TTLChip {
             ];
         }
 
+        if (!isKnown(lt)) return segments(STATE_UNKNOWN);
+
         // Blanking Input: all segments OFF
         if (bi === STATE_LOW) {
             return [
@@ -1030,11 +2162,16 @@ export class LS47 extends TTLChip {
         const c = this.getInputState(2);
         const d = this.getInputState(6);
 
+        // Undetermined blanking or BCD input: no segment is predictable
+        if (!isKnown(bi) || ![a, b, c, d].every(isKnown)) return segments(STATE_UNKNOWN);
+
         const bcd = (d === STATE_HIGH ? 8 : 0) +
             (c === STATE_HIGH ? 4 : 0) +
             (b === STATE_HIGH ? 2 : 0) +
             (a === STATE_HIGH ? 1 : 0);
 
+        if (bcd === 0 && !isKnown(rbi)) return segments(STATE_UNKNOWN);
+
         // Ripple blanking: if input is 0 and RBI is LOW, blank display
         if (bcd === 0 && rbi === STATE_LOW) {
             return [
@@ -1065,6 +2202,127 @@ export class LS47 extends TTLChip {
     }
 }
 
+/**
+ * 74LS48 - BCD to 7-Segment Decoder (Active HIGH outputs, internal pull-ups)
+ * Same pinout and LT/BI/RBI behaviour as the 74LS47; a lit segment is HIGH,
+ * so the outputs suit common-cathode displays and drive LEDs directly.
+ */
+export class LS48 extends LS47 {
+    constructor(id, name = '74LS48') {
+        super(id, name);
+    }
+
+    evaluate() {
+        return super.evaluate().map(({ pin, state }) => ({ pin, state: isKnown(state) ? logicNot(state) : state }));
+    }
+}
+
+// ============================================================================
+// ENCODERS
+// ============================================================================
+
+/**
+ * Binary code (LSB first) of the highest active request, 0 when none is
+ * active. With unknown requests a bit is only known when every request that
+ * could be the winner agrees on it.
+ */
+function priorityEncode(requests, width) {
+    const candidates = [];
+    let decided = false;
+    for (let i = requests.length - 1; i >= 0 && !decided; i--) {
+        if (requests[i] === STATE_LOW) continue;
+        candidates.push(i);
+        decided = requests[i] === STATE_HIGH;
+    }
+    if (!decided) candidates.push(0);
+
+    return Array.from({ length: width }, (_, bit) => {
+        const levels = candidates.map(i => (i >> bit) & 1);
+        if (!levels.every(level => level === levels[0])) return STATE_UNKNOWN;
+        return levels[0] ? STATE_HIGH : STATE_LOW;
+    });
+}
+
+/**
+ * 74LS147 - 10-Line to 4-Line Priority Encoder (BCD)
+ * Pinout: 1=4', 2=5', 3=6', 4=7', 5=8', 6=C', 7=B', 8=GND, 9=A', 10=9',
+ *         11=1', 12=2', 13=3', 14=D', 15=NC, 16=VCC
+ * Inputs and outputs are active LOW: the highest input held LOW appears as
+ * inverted BCD. Decimal 0 has no input; it is encoded when all inputs are HIGH.
+ */
+export class LS147 extends TTLChip {
+    constructor(id, name = '74LS147') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.inputPins = [11, 12, 13, 1, 2, 3, 4, 5, 10]; // 1..9
+        this.outputPins = [9, 7, 6, 14]; // A (LSB), B, C, D
+
+        this.inputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+        this.setPinType(15, PIN_TYPE.NC);
+        this.setPinType(8, PIN_TYPE.POWER);   // GND
+        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return this.outputPins.map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const requests = [STATE_LOW, ...this.inputPins.map(pin => logicNot(this.getInputState(pin)))];
+        const code = priorityEncode(requests, 4);
+        return this.outputPins.map((pin, i) => ({ pin, state: logicNot(code[i]) }));
+    }
+}
+
+/**
+ * 74LS148 - 8-Line to 3-Line Priority Encoder
+ * Pinout: 1=4', 2=5', 3=6', 4=7', 5=EI', 6=A2', 7=A1', 8=GND, 9=A0',
+ *         10=0', 11=1', 12=2', 13=3', 14=GS', 15=EO', 16=VCC
+ * Everything is active LOW. EI HIGH forces all outputs HIGH. GS goes LOW when
+ * enabled with any input LOW; EO goes LOW when enabled with none, so it
+ * enables the next lower-priority encoder in a cascade.
+ */
+export class LS148 extends TTLChip {
+    constructor(id, name = '74LS148') {
+        super(id, name, 16);
+
+        this.vccPin = 16;
+        this.gndPin = 8;
+
+        this.inputPins = [10, 11, 12, 13, 1, 2, 3, 4]; // 0..7
+        this.outputPins = [9, 7, 6]; // A0, A1, A2
+
+        this.inputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.setPinType(5, PIN_TYPE.INPUT);   // EI (active LOW)
+        this.outputPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+        this.setPinType(14, PIN_TYPE.OUTPUT); // GS (active LOW)
+        this.setPinType(15, PIN_TYPE.OUTPUT); // EO (active LOW)
+        this.setPinType(8, PIN_TYPE.POWER);   // GND
+        this.setPinType(16, PIN_TYPE.POWER);  // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [...this.outputPins, 14, 15].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const enabled = logicNot(this.getInputState(5));
+        const requests = this.inputPins.map(pin => logicNot(this.getInputState(pin)));
+        const code = priorityEncode(requests, 3);
+        const any = logicOr(...requests);
+
+        return [
+            ...this.outputPins.map((pin, i) => ({ pin, state: logicNot(logicAnd(enabled, code[i])) })),
+            { pin: 14, state: logicNot(logicAnd(enabled, any)) },         // GS
+            { pin: 15, state: logicNot(logicAnd(enabled, logicNot(any))) } // EO
+        ];
+    }
+}
+
 // ============================================================================
 // MULTIPLEXERS
 // ============================================================================
@@ -1121,10 +2379,6 @@ export class LS151 extends TTLChip {
         const s1 = this.getInputState(14);
         const s2 = this.getInputState(13);
 
-        const select = (s2 === STATE_HIGH ? 4 : 0) +
-            (s1 === STATE_HIGH ? 2 : 0) +
-            (s0 === STATE_HIGH ? 1 : 0);
-
         const dataInputs = [
             this.getInputState(4),  // D0
             this.getInputState(3),  // D1
@@ -1136,9 +2390,9 @@ export class LS151 extends TTLChip {
             this.getInputState(9)   // D7
         ];
 
-        const selected = dataInputs[select];
-        const y = selected;
-        const w = (selected === STATE_HIGH) ? STATE_LOW : STATE_HIGH;
+        // An undetermined strobe can still only force Y LOW
+        const y = logicAnd(logicNot(strobe), logicSelect(dataInputs, [s0, s1, s2]));
+        const w = logicNot(y);
 
         return [
             { pin: 5, state: y },
@@ -1190,35 +2444,25 @@ export class LS153 extends TTLChip {
             ];
         }
 
-        const s0 = this.getInputState(2);
-        const s1 = this.getInputState(14);
-        const select = (s1 === STATE_HIGH ? 2 : 0) + (s0 === STATE_HIGH ? 1 : 0);
+        const select = [this.getInputState(2), this.getInputState(14)]; // S0, S1
 
-        // MUX1
-        const g1 = this.getInputState(1);
-        let y1 = STATE_LOW;
-        if (g1 === STATE_LOW) {
-            const c1 = [
-                this.getInputState(6), // C0
-                this.getInputState(5), // C1
-                this.getInputState(4), // C2
-                this.getInputState(3)  // C3
-            ];
-            y1 = c1[select];
-        }
+        // MUX1 (Y is LOW while 1G is HIGH)
+        const c1 = [
+            this.getInputState(6), // C0
+            this.getInputState(5), // C1
+            this.getInputState(4), // C2
+            this.getInputState(3)  // C3
+        ];
+        const y1 = logicAnd(logicNot(this.getInputState(1)), logicSelect(c1, select));
 
         // MUX2
-        const g2 = this.getInputState(15);
-        let y2 = STATE_LOW;
-        if (g2 === STATE_LOW) {
-            const c2 = [
-                this.getInputState(10), // C0
-                this.getInputState(11), // C1
-                this.getInputState(12), // C2
-                this.getInputState(13)  // C3
-            ];
-            y2 = c2[select];
-        }
+        const c2 = [
+            this.getInputState(10), // C0
+            this.getInputState(11), // C1
+            this.getInputState(12), // C2
+            this.getInputState(13)  // C3
+        ];
+        const y2 = logicAnd(logicNot(this.getInputState(15)), logicSelect(c2, select));
 
         return [
             { pin: 7, state: y1 },
@@ -1287,13 +2531,14 @@ export class LS157 extends TTLChip {
             ];
         }
 
-        const selectB = (select === STATE_HIGH);
+        const enable = logicNot(strobe);
+        const mux = (a, b) => logicAnd(enable, logicSelect([this.getInputState(a), this.getInputState(b)], [select]));
 
         return [
-            { pin: 4, state: selectB ? this.getInputState(3) : this.getInputState(2) },
-            { pin: 7, state: selectB ? this.getInputState(6) : this.getInputState(5) },
-            { pin: 9, state: selectB ? this.getInputState(10) : this.getInputState(11) },
-            { pin: 12, state: selectB ? this.getInputState(13) : this.getInputState(14) }
+            { pin: 4, state: mux(2, 3) },
+            { pin: 7, state: mux(5, 6) },
+            { pin: 9, state: mux(11, 10) },
+            { pin: 12, state: mux(14, 13) }
         ];
     }
 }
@@ -1344,36 +2589,160 @@ export class LS283 extends TTLChip {
 
         // Read inputs
         const a = [
-            this.getInputState(1) === STATE_HIGH ? 1 : 0, // A1
-            this.getInputState(3) === STATE_HIGH ? 1 : 0, // A2
-            this.getInputState(5) === STATE_HIGH ? 1 : 0, // A3
-            this.getInputState(7) === STATE_HIGH ? 1 : 0  // A4
+            this.getInputState(1), // A1
+            this.getInputState(3), // A2
+            this.getInputState(5), // A3
+            this.getInputState(7)  // A4
         ];
 
         const b = [
-            this.getInputState(2) === STATE_HIGH ? 1 : 0, // B1
-            this.getInputState(4) === STATE_HIGH ? 1 : 0, // B2
-            this.getInputState(6) === STATE_HIGH ? 1 : 0, // B3
-            this.getInputState(11) === STATE_HIGH ? 1 : 0 // B4
+            this.getInputState(2), // B1
+            this.getInputState(4), // B2
+            this.getInputState(6), // B3
+            this.getInputState(11) // B4
         ];
 
-        let carry = this.getInputState(15) === STATE_HIGH ? 1 : 0; // C0
+        let carry = this.getInputState(15); // C0
 
-        // Perform 4-bit addition
+        // Ripple-carry full adders, so an unknown bit only spoils the
+        // sum bits and carries it can reach
         const sums = [];
         for (let i = 0; i < 4; i++) {
-            const sum = a[i] + b[i] + carry;
-            sums.push(sum & 1); // LSB
-            carry = sum >> 1;   // Carry to next bit
+            const half = logicXor(a[i], b[i]);
+            sums.push(logicXor(half, carry));
+            carry = logicOr(logicAnd(a[i], b[i]), logicAnd(carry, half));
         }
 
         return [
-            { pin: 13, state: sums[0] ? STATE_HIGH : STATE_LOW }, // SUM1
-            { pin: 12, state: sums[1] ? STATE_HIGH : STATE_LOW }, // SUM2
-            { pin: 10, state: sums[2] ? STATE_HIGH : STATE_LOW }, // SUM3
-            { pin: 9, state: sums[3] ? STATE_HIGH : STATE_LOW },  // SUM4
-            { pin: 14, state: carry ? STATE_HIGH : STATE_LOW }    // C4
+            { pin: 13, state: sums[0] }, // SUM1
+            { pin: 12, state: sums[1] }, // SUM2
+            { pin: 10, state: sums[2] }, // SUM3
+            { pin: 9, state: sums[3] },  // SUM4
+            { pin: 14, state: carry }    // C4
         ];
     }
 }
 
+
+/**
+ * 74LS85 - 4-Bit Magnitude Comparator
+ * Pinout: 1=B3, 2=A<B IN, 3=A=B IN, 4=A>B IN, 5=A>B, 6=A=B, 7=A<B, 8=GND, 9=B0, 10=A0, 11=B1, 12=A1, 13=A2, 14=B2, 15=A3, 16=VCC
+ * When A equals B the cascade inputs from the less significant stage decide
+ * the outputs; the least significant stage ties A=B IN HIGH and the others LOW.
+ */
+export class LS85 extends TTLChip {
+    constructor(id, name = '74LS85') {
+        super(id, name, 16);
+
+        this.aPins = [10, 12, 13, 15]; // A0..A3
+        this.bPins = [9, 11, 14, 1];   // B0..B3
+        [...this.aPins, ...this.bPins].forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+
+        this.setPinType(2, PIN_TYPE.INPUT);  // A<B IN
+        this.setPinType(3, PIN_TYPE.INPUT);  // A=B IN
+        this.setPinType(4, PIN_TYPE.INPUT);  // A>B IN
+        this.setPinType(5, PIN_TYPE.OUTPUT); // A>B
+        this.setPinType(6, PIN_TYPE.OUTPUT); // A=B
+        this.setPinType(7, PIN_TYPE.OUTPUT); // A<B
+        this.setPinType(8, PIN_TYPE.POWER);  // GND
+        this.setPinType(16, PIN_TYPE.POWER); // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [5, 6, 7].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const a = this.aPins.map(pin => this.getInputState(pin));
+        const b = this.bPins.map(pin => this.getInputState(pin));
+
+        // Most significant bit first: the first unequal bit decides, so an
+        // unknown bit only matters while every bit above it is equal
+        let greater = STATE_LOW;
+        let less = STATE_LOW;
+        let equal = STATE_HIGH;
+        for (let i = 3; i >= 0; i--) {
+            greater = logicOr(greater, logicAnd(equal, a[i], logicNot(b[i])));
+            less = logicOr(less, logicAnd(equal, logicNot(a[i]), b[i]));
+            equal = logicAnd(equal, logicNot(logicXor(a[i], b[i])));
+        }
+
+        const lessIn = this.getInputState(2);
+        const equalIn = this.getInputState(3);
+        const greaterIn = this.getInputState(4);
+
+        return [
+            { pin: 5, state: logicOr(greater, logicAnd(equal, logicNot(equalIn), logicNot(lessIn))) },
+            { pin: 6, state: logicAnd(equal, equalIn) },
+            { pin: 7, state: logicOr(less, logicAnd(equal, logicNot(equalIn), logicNot(greaterIn))) }
+        ];
+    }
+}
+
+/**
+ * 74LS181 - 4-Bit Arithmetic Logic Unit / Function Generator
+ * Pinout: 1=B0, 2=A0, 3=S3, 4=S2, 5=S1, 6=S0, 7=Cn, 8=M, 9=F0, 10=F1, 11=F2, 12=GND,
+ *         13=F3, 14=A=B, 15=P, 16=Cn+4, 17=G, 18=B3, 19=A3, 20=B2, 21=A2, 22=B1, 23=A1, 24=VCC
+ * Modelled from the gate diagram with active-HIGH data: S0..S3 pick one of 16
+ * functions, M HIGH gives the logic functions and M LOW the arithmetic ones.
+ * Cn, Cn+4, P and G are active LOW; A=B is open collector, HIGH when F is all 1s.
+ */
+export class LS181 extends TTLChip {
+    constructor(id, name = '74LS181') {
+        super(id, name, 24);
+
+        this.aPins = [2, 23, 21, 19]; // A0..A3
+        this.bPins = [1, 22, 20, 18]; // B0..B3
+        this.selectPins = [6, 5, 4, 3]; // S0..S3
+        this.fPins = [9, 10, 11, 13]; // F0..F3
+        [...this.aPins, ...this.bPins, ...this.selectPins].forEach(pin => this.setPinType(pin, PIN_TYPE.INPUT));
+        this.fPins.forEach(pin => this.setPinType(pin, PIN_TYPE.OUTPUT));
+
+        this.setPinType(7, PIN_TYPE.INPUT);           // Cn (active LOW)
+        this.setPinType(8, PIN_TYPE.INPUT);           // M
+        this.setPinType(14, PIN_TYPE.OPEN_COLLECTOR); // A=B
+        this.setPinType(15, PIN_TYPE.OUTPUT);         // P (active LOW)
+        this.setPinType(16, PIN_TYPE.OUTPUT);         // Cn+4 (active LOW)
+        this.setPinType(17, PIN_TYPE.OUTPUT);         // G (active LOW)
+        this.setPinType(12, PIN_TYPE.POWER);          // GND
+        this.setPinType(24, PIN_TYPE.POWER);          // VCC
+    }
+
+    evaluate() {
+        if (!this.isPowered()) {
+            return [...this.fPins, 14, 15, 16, 17].map(pin => ({ pin, state: STATE_FLOAT }));
+        }
+
+        const [s0, s1, s2, s3] = this.selectPins.map(pin => this.getInputState(pin));
+        const arithmetic = logicNot(this.getInputState(8));
+        let carry = logicNot(this.getInputState(7));
+
+        // Per bit, the select lines form a propagate and a generate term from
+        // A and B; M LOW lets the carry chain into the sum
+        const propagate = [];
+        const generate = [];
+        const f = [];
+        for (let i = 0; i < 4; i++) {
+            const a = this.getInputState(this.aPins[i]);
+            const b = this.getInputState(this.bPins[i]);
+            const p = logicOr(a, logicAnd(b, s0), logicAnd(logicNot(b), s1));
+            const g = logicOr(logicAnd(a, logicNot(b), s2), logicAnd(a, b, s3));
+            f.push(logicNot(logicXor(logicXor(p, g), logicAnd(arithmetic, logicNot(carry)))));
+            carry = logicOr(g, logicAnd(p, carry));
+            propagate.push(p);
+            generate.push(g);
+        }
+
+        const [p0, p1, p2, p3] = propagate;
+        const [g0, g1, g2, g3] = generate;
+        const groupGenerate = logicOr(g3, logicAnd(p3, g2), logicAnd(p3, p2, g1), logicAnd(p3, p2, p1, g0));
+
+        return [
+            ...this.fPins.map((pin, i) => ({ pin, state: f[i] })),
+            { pin: 14, state: logicAnd(...f) },                      // A=B
+            { pin: 15, state: logicNot(logicAnd(p0, p1, p2, p3)) }, // P
+            { pin: 16, state: logicNot(carry) },                     // Cn+4
+            { pin: 17, state: logicNot(groupGenerate) }              // G
+        ];
+    }
+}
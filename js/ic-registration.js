@@ -3,23 +3,164 @@
  * Registers all ICs with the registry system
  */
 
-import { icRegistry } from './ic-registry.js';
+import { icRegistry, IC_CATEGORY } from './ic-registry.js';
 import {
-    LS00, LS02, LS04, LS08, LS32, LS86,
+    LS00, LS02, LS03, LS04, LS05, LS06, LS07, LS08, LS32, LS86,
+    LS125, LS126, LS244, LS245,
     LS74, LS76,
-    LS90, LS93,
-    LS138, LS47,
+    LS90, LS93, LS160, LS161, LS162, LS163, LS192, LS193,
+    LS164, LS165, LS194, LS195,
+    LS75, LS373, LS374,
+    LS138, LS139, LS42, LS47, LS48,
+    LS147, LS148,
     LS151, LS153, LS157,
-    LS283
+    LS283, LS85, LS181
 } from './ic-implementations.js';
 
+/**
+ * Datasheet propagation delays in ns (typical / max)
+ * Clocked parts also list their limits under `checks`: setup, hold and
+ * minimum clock pulse width in ns, fMax in MHz (per clock pin under `pins`)
+ */
+const delays = (plhTyp, plhMax, phlTyp, phlMax) => ({
+    tPLH: { typ: plhTyp, max: plhMax },
+    tPHL: { typ: phlTyp, max: phlMax }
+});
+
+/**
+ * Pin metadata: datasheet name, what the pin does, and whether it is active LOW
+ */
+const pin = (name, fn, activeLow = false) => ({ name, function: fn, activeLow });
+
+// [input A, input B, output] per gate
+const QUAD_GATE_LAYOUT = [[1, 2, 3], [4, 5, 6], [9, 10, 8], [12, 13, 11]];
+const LS02_GATE_LAYOUT = [[2, 3, 1], [5, 6, 4], [9, 10, 8], [12, 13, 11]];
+
+const quadGatePins = (layout) => Object.fromEntries(layout.flatMap(([a, b, y], i) => [
+    [a, pin(`${i + 1}A`, `Gate ${i + 1} input`)],
+    [b, pin(`${i + 1}B`, `Gate ${i + 1} input`)],
+    [y, pin(`${i + 1}Y`, `Gate ${i + 1} output`)]
+]));
+
+// [input, output] per inverter or buffer (74LS04/05/06/07)
+const hexPins = (fn) => Object.fromEntries([[1, 2], [3, 4], [5, 6], [9, 8], [11, 10], [13, 12]].flatMap(([a, y], i) => [
+    [a, pin(`${i + 1}A`, `${fn} ${i + 1} input`)],
+    [y, pin(`${i + 1}Y`, `${fn} ${i + 1} output`)]
+]));
+
+// [enable, input, output] per buffer (74LS125/126)
+const busBufferPins = (enableActiveLow) => Object.fromEntries([[1, 2, 3], [4, 5, 6], [10, 9, 8], [13, 12, 11]].flatMap(([oe, a, y], i) => [
+    [oe, pin(`${i + 1}OE`, `Buffer ${i + 1} output enable`, enableActiveLow)],
+    [a, pin(`${i + 1}A`, `Buffer ${i + 1} input`)],
+    [y, pin(`${i + 1}Y`, `Buffer ${i + 1} output (tri-state)`)]
+]));
+
+// 74LS90/93 share the counter pins; only the 74LS90 has the set-to-9 inputs
+const rippleCounterPins = (lastStage) => ({
+    1: pin('CKB', `Clock B (${lastStage} stage, falling edge)`),
+    2: pin('R0(1)', 'Reset to 0 (with R0(2))'),
+    3: pin('R0(2)', 'Reset to 0 (with R0(1))'),
+    4: pin('NC', 'Not connected'),
+    8: pin('QC', 'Count bit 2'),
+    9: pin('QB', 'Count bit 1'),
+    11: pin('QD', 'Count bit 3 (MSB)'),
+    12: pin('QA', 'Count bit 0 (LSB)'),
+    13: pin('NC', 'Not connected'),
+    14: pin('CKA', 'Clock A (divide-by-2 stage, falling edge)')
+});
+
+// 74LS160..163 share one pinout; they differ in modulus and how CLR acts
+const syncCounterPins = (clear) => ({
+    1: pin('CLR', clear, true),
+    2: pin('CLK', 'Clock (rising edge)'),
+    ...Object.fromEntries([3, 4, 5, 6].map((p, i) => [p, pin('ABCD'[i], `Parallel data input ${i}`)])),
+    7: pin('ENP', 'Count enable'),
+    9: pin('LOAD', 'Load A..D on the next clock edge', true),
+    10: pin('ENT', 'Count enable, also enables RCO'),
+    ...Object.fromEntries([14, 13, 12, 11].map((p, i) => [p, pin(`Q${'ABCD'[i]}`, `Count bit ${i}`)])),
+    15: pin('RCO', 'Ripple carry output (HIGH at the terminal count)')
+});
+
+// 74LS192/193 share one pinout
+const upDownCounterPins = (top) => ({
+    ...Object.fromEntries([15, 1, 10, 9].map((p, i) => [p, pin('ABCD'[i], `Parallel data input ${i}`)])),
+    ...Object.fromEntries([3, 2, 6, 7].map((p, i) => [p, pin(`Q${'ABCD'[i]}`, `Count bit ${i}`)])),
+    4: pin('DOWN', 'Count-down clock (rising edge, UP held HIGH)'),
+    5: pin('UP', 'Count-up clock (rising edge, DOWN held HIGH)'),
+    11: pin('LOAD', 'Load A..D (asynchronous)', true),
+    12: pin('CO', `Carry output (LOW while UP is LOW at ${top})`, true),
+    13: pin('BO', 'Borrow output (LOW while DOWN is LOW at 0)', true),
+    14: pin('CLR', 'Clear (asynchronous, active HIGH)')
+});
+
+// 74LS373/374 share one pinout; pin 11 latches or clocks the data
+const octalRegisterPins = (clock) => ({
+    1: pin('OE', 'Output enable (HIGH releases the outputs)', true),
+    11: clock,
+    ...Object.fromEntries([[3, 2], [4, 5], [7, 6], [8, 9], [13, 12], [14, 15], [17, 16], [18, 19]].flatMap(([d, q], i) => [
+        [d, pin(`${i + 1}D`, `Data input ${i + 1}`)],
+        [q, pin(`${i + 1}Q`, `Output ${i + 1} (tri-state)`)]
+    ]))
+});
+
+// 74LS47/48 share one pinout; the 74LS47 pulls a lit segment LOW, the 74LS48 drives it HIGH
+const sevenSegmentDecoderPins = (activeLowSegments) => ({
+    7: pin('A', 'BCD bit 0 (LSB)'),
+    1: pin('B', 'BCD bit 1'),
+    2: pin('C', 'BCD bit 2'),
+    6: pin('D', 'BCD bit 3 (MSB)'),
+    3: pin('LT', 'Lamp test', true),
+    4: pin('BI/RBO', 'Blanking input / ripple blanking output', true),
+    5: pin('RBI', 'Ripple blanking input', true),
+    ...Object.fromEntries([13, 12, 11, 10, 9, 15, 14].map((p, i) => [p, pin('abcdefg'[i], `Segment ${'abcdefg'[i]}`, activeLowSegments)]))
+});
+
+const DATASHEETS = 'https://www.futurlec.com/Datasheet/74ls';
+
+// 74LS90/93: QA follows CKA directly; QC and QD ripple through the internal
+// stages after CKB, so a counter passes through transient states
+const RIPPLE_COUNTER_TIMING = {
+    ...delays(10, 16, 12, 18),
+    pins: {
+        9: delays(10, 16, 14, 21),  // QB
+        8: delays(21, 32, 23, 35),  // QC
+        11: delays(21, 32, 23, 35)  // QD
+    },
+    checks: {
+        pulseWidth: 15, fMax: 32, // CKA
+        pins: { 1: { pulseWidth: 30, fMax: 16 } } // CKB
+    }
+};
+
+// 74LS160..163: RCO follows the clock through the count decode
+const SYNC_COUNTER_TIMING = {
+    ...delays(13, 24, 15, 27), // CLK -> Q
+    pins: { 15: delays(20, 35, 18, 35) }, // CLK -> RCO
+    checks: { setup: 20, hold: 3, pulseWidth: 25, fMax: 25 }
+};
+
+// 74LS192/193: CO and BO follow their clock directly, the count takes longer
+const UP_DOWN_COUNTER_TIMING = {
+    ...delays(27, 38, 30, 47), // UP/DOWN -> Q
+    pins: {
+        12: delays(17, 26, 18, 24), // UP -> CO
+        13: delays(16, 24, 15, 24)  // DOWN -> BO
+    },
+    checks: { pulseWidth: 20, fMax: 25 }
+};
+
 // Register all ICs
 icRegistry.register({
     id: '74LS00',
     class: LS00,
     name: '74LS00',
     description: 'Quad 2-Input NAND Gate',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(9, 15, 10, 15),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS00.pdf`,
+    pins: quadGatePins(QUAD_GATE_LAYOUT)
 });
 
 icRegistry.register({
@@ -27,7 +168,25 @@ icRegistry.register({
     class: LS02,
     name: '74LS02',
     description: 'Quad 2-Input NOR Gate',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(10, 15, 10, 15),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS02.pdf`,
+    pins: quadGatePins(LS02_GATE_LAYOUT)
+});
+
+icRegistry.register({
+    id: '74LS03',
+    class: LS03,
+    name: '74LS03',
+    description: 'Quad 2-Input NAND Gate (Open Collector)',
+    pinCount: 14,
+    timing: delays(17, 32, 15, 28), // RL = 2k
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS03.pdf`,
+    pins: quadGatePins(QUAD_GATE_LAYOUT)
 });
 
 icRegistry.register({
@@ -35,7 +194,51 @@ icRegistry.register({
     class: LS04,
     name: '74LS04',
     description: 'Hex Inverter',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(9, 15, 10, 15),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS04.pdf`,
+    pins: hexPins('Inverter')
+});
+
+icRegistry.register({
+    id: '74LS05',
+    class: LS05,
+    name: '74LS05',
+    description: 'Hex Inverter (Open Collector)',
+    pinCount: 14,
+    timing: delays(17, 32, 15, 28), // RL = 2k
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS05.pdf`,
+    pins: hexPins('Inverter')
+});
+
+icRegistry.register({
+    id: '74LS06',
+    class: LS06,
+    name: '74LS06',
+    description: 'Hex Inverter Buffer/Driver (Open Collector)',
+    pinCount: 14,
+    timing: delays(10, 15, 15, 23),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: 'https://www.ti.com/lit/ds/symlink/sn7406.pdf',
+    pins: hexPins('Inverter')
+});
+
+icRegistry.register({
+    id: '74LS07',
+    class: LS07,
+    name: '74LS07',
+    description: 'Hex Buffer/Driver (Open Collector)',
+    pinCount: 14,
+    timing: delays(6, 10, 20, 30),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: 'https://www.ti.com/lit/ds/symlink/sn7407.pdf',
+    pins: hexPins('Buffer')
 });
 
 icRegistry.register({
@@ -43,7 +246,12 @@ icRegistry.register({
     class: LS08,
     name: '74LS08',
     description: 'Quad 2-Input AND Gate',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(8, 15, 10, 20),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS08.pdf`,
+    pins: quadGatePins(QUAD_GATE_LAYOUT)
 });
 
 icRegistry.register({
@@ -51,7 +259,12 @@ icRegistry.register({
     class: LS32,
     name: '74LS32',
     description: 'Quad 2-Input OR Gate',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(14, 22, 14, 22),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS32.pdf`,
+    pins: quadGatePins(QUAD_GATE_LAYOUT)
 });
 
 icRegistry.register({
@@ -59,7 +272,81 @@ icRegistry.register({
     class: LS86,
     name: '74LS86',
     description: 'Quad 2-Input XOR Gate',
-    pinCount: 14
+    pinCount: 14,
+    timing: delays(12, 23, 10, 17),
+    family: '74LS',
+    category: IC_CATEGORY.GATE,
+    datasheetUrl: `${DATASHEETS}/74LS86.pdf`,
+    pins: quadGatePins(QUAD_GATE_LAYOUT)
+});
+
+icRegistry.register({
+    id: '74LS125',
+    class: LS125,
+    name: '74LS125',
+    description: 'Quad Bus Buffer (Tri-State, Active-Low Enable)',
+    pinCount: 14,
+    timing: delays(9, 15, 7, 18),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: `${DATASHEETS}/74LS125.pdf`,
+    pins: busBufferPins(true)
+});
+
+icRegistry.register({
+    id: '74LS126',
+    class: LS126,
+    name: '74LS126',
+    description: 'Quad Bus Buffer (Tri-State, Active-High Enable)',
+    pinCount: 14,
+    timing: delays(9, 15, 8, 18),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: `${DATASHEETS}/74LS126.pdf`,
+    pins: busBufferPins(false)
+});
+
+icRegistry.register({
+    id: '74LS244',
+    class: LS244,
+    name: '74LS244',
+    description: 'Octal Buffer/Line Driver (Tri-State)',
+    pinCount: 20,
+    timing: delays(12, 18, 12, 18),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: `${DATASHEETS}/74LS244.pdf`,
+    pins: {
+        1: pin('1G', 'Output enable, buffers 1A1..1A4', true),
+        19: pin('2G', 'Output enable, buffers 2A1..2A4', true),
+        ...Object.fromEntries([[2, 18], [4, 16], [6, 14], [8, 12], [11, 9], [13, 7], [15, 5], [17, 3]].flatMap(([a, y], i) => {
+            const [group, bit] = [Math.floor(i / 4) + 1, (i % 4) + 1];
+            return [
+                [a, pin(`${group}A${bit}`, `Group ${group} buffer ${bit} input`)],
+                [y, pin(`${group}Y${bit}`, `Group ${group} buffer ${bit} output (tri-state)`)]
+            ];
+        }))
+    }
+});
+
+icRegistry.register({
+    id: '74LS245',
+    class: LS245,
+    name: '74LS245',
+    description: 'Octal Bus Transceiver (Tri-State)',
+    pinCount: 20,
+    timing: delays(8, 12, 8, 12),
+    family: '74LS',
+    category: IC_CATEGORY.BUFFER,
+    datasheetUrl: `${DATASHEETS}/74LS245.pdf`,
+    pins: {
+        1: pin('DIR', 'Direction: HIGH drives B from A, LOW drives A from B'),
+        19: pin('G', 'Enable (HIGH releases both ports)', true),
+        ...Object.fromEntries([[2, 18], [3, 17], [4, 16], [5, 15], [6, 14], [7, 13], [8, 12], [9, 11]].flatMap(([a, b], i) => [
+            [a, pin(`A${i + 1}`, `Port A bit ${i + 1} (bidirectional)`)],
+            [b, pin(`B${i + 1}`, `Port B bit ${i + 1} (bidirectional)`)]
+        ]))
+    }
 });
 
 icRegistry.register({
@@ -67,7 +354,28 @@ icRegistry.register({
     class: LS74,
     name: '74LS74',
     description: 'Dual D-Type Positive-Edge-Triggered Flip-Flop',
-    pinCount: 14
+    pinCount: 14,
+    timing: {
+        ...delays(13, 25, 25, 40), // CLK -> Q
+        checks: { setup: 20, hold: 5, pulseWidth: 25, fMax: 25 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.FLIP_FLOP,
+    datasheetUrl: `${DATASHEETS}/74LS74.pdf`,
+    pins: {
+        1: pin('CLR1', 'Flip-flop 1 clear', true),
+        2: pin('D1', 'Flip-flop 1 data'),
+        3: pin('CLK1', 'Flip-flop 1 clock (rising edge)'),
+        4: pin('PR1', 'Flip-flop 1 preset', true),
+        5: pin('Q1', 'Flip-flop 1 output'),
+        6: pin('Q1', 'Flip-flop 1 inverted output', true),
+        8: pin('Q2', 'Flip-flop 2 inverted output', true),
+        9: pin('Q2', 'Flip-flop 2 output'),
+        10: pin('PR2', 'Flip-flop 2 preset', true),
+        11: pin('CLK2', 'Flip-flop 2 clock (rising edge)'),
+        12: pin('D2', 'Flip-flop 2 data'),
+        13: pin('CLR2', 'Flip-flop 2 clear', true)
+    }
 });
 
 icRegistry.register({
@@ -75,7 +383,30 @@ icRegistry.register({
     class: LS76,
     name: '74LS76',
     description: 'Dual JK Negative-Edge-Triggered Flip-Flop',
-    pinCount: 16
+    pinCount: 16,
+    timing: {
+        ...delays(15, 20, 15, 20), // CLK -> Q
+        checks: { setup: 20, hold: 0, pulseWidth: 20, fMax: 30 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.FLIP_FLOP,
+    datasheetUrl: `${DATASHEETS}/74LS76.pdf`,
+    pins: {
+        1: pin('CLK1', 'Flip-flop 1 clock (falling edge)'),
+        2: pin('PR1', 'Flip-flop 1 preset', true),
+        3: pin('CLR1', 'Flip-flop 1 clear', true),
+        4: pin('J1', 'Flip-flop 1 J input'),
+        6: pin('K1', 'Flip-flop 1 K input'),
+        7: pin('Q1', 'Flip-flop 1 inverted output', true),
+        8: pin('Q2', 'Flip-flop 2 inverted output', true),
+        9: pin('Q2', 'Flip-flop 2 output'),
+        10: pin('CLR2', 'Flip-flop 2 clear', true),
+        11: pin('J2', 'Flip-flop 2 J input'),
+        12: pin('CLK2', 'Flip-flop 2 clock (falling edge)'),
+        14: pin('K2', 'Flip-flop 2 K input'),
+        15: pin('Q1', 'Flip-flop 1 output'),
+        16: pin('PR2', 'Flip-flop 2 preset', true)
+    }
 });
 
 icRegistry.register({
@@ -83,7 +414,16 @@ icRegistry.register({
     class: LS90,
     name: '74LS90',
     description: 'Decade Counter (Divide-by-10)',
-    pinCount: 14
+    pinCount: 14,
+    timing: RIPPLE_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS90.pdf`,
+    pins: {
+        ...rippleCounterPins('divide-by-5'),
+        6: pin('R9(1)', 'Set to 9 (with R9(2))'),
+        7: pin('R9(2)', 'Set to 9 (with R9(1))')
+    }
 });
 
 icRegistry.register({
@@ -91,7 +431,246 @@ icRegistry.register({
     class: LS93,
     name: '74LS93',
     description: '4-Bit Binary Counter (Divide-by-16)',
-    pinCount: 14
+    pinCount: 14,
+    timing: RIPPLE_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS93.pdf`,
+    pins: {
+        ...rippleCounterPins('divide-by-8'),
+        6: pin('NC', 'Not connected'),
+        7: pin('NC', 'Not connected')
+    }
+});
+
+icRegistry.register({
+    id: '74LS160',
+    class: LS160,
+    name: '74LS160',
+    description: 'Synchronous 4-Bit Decade Counter, Asynchronous Clear',
+    pinCount: 16,
+    timing: SYNC_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS160.pdf`,
+    pins: syncCounterPins('Clear (asynchronous)')
+});
+
+icRegistry.register({
+    id: '74LS161',
+    class: LS161,
+    name: '74LS161',
+    description: 'Synchronous 4-Bit Binary Counter, Asynchronous Clear',
+    pinCount: 16,
+    timing: SYNC_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS161.pdf`,
+    pins: syncCounterPins('Clear (asynchronous)')
+});
+
+icRegistry.register({
+    id: '74LS162',
+    class: LS162,
+    name: '74LS162',
+    description: 'Synchronous 4-Bit Decade Counter, Synchronous Clear',
+    pinCount: 16,
+    timing: SYNC_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS162.pdf`,
+    pins: syncCounterPins('Clear on the next clock edge')
+});
+
+icRegistry.register({
+    id: '74LS163',
+    class: LS163,
+    name: '74LS163',
+    description: 'Synchronous 4-Bit Binary Counter, Synchronous Clear',
+    pinCount: 16,
+    timing: SYNC_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS163.pdf`,
+    pins: syncCounterPins('Clear on the next clock edge')
+});
+
+icRegistry.register({
+    id: '74LS192',
+    class: LS192,
+    name: '74LS192',
+    description: 'Synchronous Up/Down Decade Counter (Dual Clock)',
+    pinCount: 16,
+    timing: UP_DOWN_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS192.pdf`,
+    pins: upDownCounterPins(9)
+});
+
+icRegistry.register({
+    id: '74LS193',
+    class: LS193,
+    name: '74LS193',
+    description: 'Synchronous Up/Down 4-Bit Binary Counter (Dual Clock)',
+    pinCount: 16,
+    timing: UP_DOWN_COUNTER_TIMING,
+    family: '74LS',
+    category: IC_CATEGORY.COUNTER,
+    datasheetUrl: `${DATASHEETS}/74LS193.pdf`,
+    pins: upDownCounterPins(15)
+});
+
+icRegistry.register({
+    id: '74LS164',
+    class: LS164,
+    name: '74LS164',
+    description: '8-Bit Serial-In, Parallel-Out Shift Register',
+    pinCount: 14,
+    timing: {
+        ...delays(17, 27, 21, 32), // CLK -> Q
+        checks: { setup: 15, hold: 5, pulseWidth: 20, fMax: 25 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.SHIFT_REGISTER,
+    datasheetUrl: `${DATASHEETS}/74LS164.pdf`,
+    pins: {
+        1: pin('A', 'Serial data input (ANDed with B)'),
+        2: pin('B', 'Serial data input (ANDed with A)'),
+        8: pin('CLK', 'Clock (rising edge)'),
+        9: pin('CLR', 'Clear', true),
+        ...Object.fromEntries([3, 4, 5, 6, 10, 11, 12, 13].map((p, i) => [p, pin(`Q${'ABCDEFGH'[i]}`, `Stage ${i} output`)]))
+    }
+});
+
+icRegistry.register({
+    id: '74LS165',
+    class: LS165,
+    name: '74LS165',
+    description: '8-Bit Parallel-In, Serial-Out Shift Register',
+    pinCount: 16,
+    timing: {
+        ...delays(16, 25, 21, 30), // CLK -> QH
+        checks: { setup: 20, hold: 0, pulseWidth: 25, fMax: 25 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.SHIFT_REGISTER,
+    datasheetUrl: `${DATASHEETS}/74LS165.pdf`,
+    pins: {
+        1: pin('SH/LD', 'Shift when HIGH, load A..H when LOW'),
+        2: pin('CLK', 'Clock (rising edge, ORed with CLK INH)'),
+        15: pin('CLK INH', 'Clock inhibit (HIGH holds the register)'),
+        10: pin('SER', 'Serial data input'),
+        ...Object.fromEntries([11, 12, 13, 14, 3, 4, 5, 6].map((p, i) => [p, pin('ABCDEFGH'[i], `Parallel data input ${i}`)])),
+        9: pin('QH', 'Serial output'),
+        7: pin('QH', 'Inverted serial output', true)
+    }
+});
+
+icRegistry.register({
+    id: '74LS194',
+    class: LS194,
+    name: '74LS194',
+    description: '4-Bit Bidirectional Universal Shift Register',
+    pinCount: 16,
+    timing: {
+        ...delays(14, 22, 17, 26), // CLK -> Q
+        checks: { setup: 20, hold: 0, pulseWidth: 20, fMax: 25 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.SHIFT_REGISTER,
+    datasheetUrl: `${DATASHEETS}/74LS194.pdf`,
+    pins: {
+        1: pin('CLR', 'Clear', true),
+        2: pin('SR', 'Shift-right serial input'),
+        7: pin('SL', 'Shift-left serial input'),
+        9: pin('S0', 'Mode select bit 0'),
+        10: pin('S1', 'Mode select bit 1'),
+        11: pin('CLK', 'Clock (rising edge)'),
+        ...Object.fromEntries([3, 4, 5, 6].map((p, i) => [p, pin('ABCD'[i], `Parallel data input ${i}`)])),
+        ...Object.fromEntries([15, 14, 13, 12].map((p, i) => [p, pin(`Q${'ABCD'[i]}`, `Stage ${i} output`)]))
+    }
+});
+
+icRegistry.register({
+    id: '74LS195',
+    class: LS195,
+    name: '74LS195',
+    description: '4-Bit Parallel-Access Shift Register',
+    pinCount: 16,
+    timing: {
+        ...delays(14, 22, 17, 26), // CLK -> Q
+        checks: { setup: 15, hold: 0, pulseWidth: 16, fMax: 30 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.SHIFT_REGISTER,
+    datasheetUrl: `${DATASHEETS}/74LS195.pdf`,
+    pins: {
+        1: pin('CLR', 'Clear', true),
+        2: pin('J', 'First stage J input'),
+        3: pin('K', 'First stage K input', true),
+        9: pin('SH/LD', 'Shift when HIGH, load A..D when LOW'),
+        10: pin('CLK', 'Clock (rising edge)'),
+        ...Object.fromEntries([4, 5, 6, 7].map((p, i) => [p, pin('ABCD'[i], `Parallel data input ${i}`)])),
+        ...Object.fromEntries([15, 14, 13, 12].map((p, i) => [p, pin(`Q${'ABCD'[i]}`, `Stage ${i} output`)])),
+        11: pin('QD', 'Inverted last stage output', true)
+    }
+});
+
+icRegistry.register({
+    id: '74LS75',
+    class: LS75,
+    name: '74LS75',
+    description: '4-Bit Bistable Latch',
+    pinCount: 16,
+    timing: {
+        ...delays(15, 27, 9, 17), // D -> Q
+        checks: { setup: 20, hold: 0, pulseWidth: 20 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.LATCH,
+    datasheetUrl: `${DATASHEETS}/74LS75.pdf`,
+    pins: {
+        ...Object.fromEntries([[2, 16, 1], [3, 15, 14], [6, 10, 11], [7, 9, 8]].flatMap(([d, q, qBar], i) => [
+            [d, pin(`${i + 1}D`, `Latch ${i + 1} data`)],
+            [q, pin(`${i + 1}Q`, `Latch ${i + 1} output`)],
+            [qBar, pin(`${i + 1}Q`, `Latch ${i + 1} inverted output`, true)]
+        ])),
+        13: pin('1C/2C', 'Enable, latches 1 and 2 (HIGH = transparent)'),
+        4: pin('3C/4C', 'Enable, latches 3 and 4 (HIGH = transparent)')
+    }
+});
+
+icRegistry.register({
+    id: '74LS373',
+    class: LS373,
+    name: '74LS373',
+    description: 'Octal Transparent Latch (Tri-State)',
+    pinCount: 20,
+    timing: {
+        ...delays(12, 18, 12, 18), // D -> Q
+        checks: { setup: 5, hold: 20, pulseWidth: 15 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.LATCH,
+    datasheetUrl: `${DATASHEETS}/74LS373.pdf`,
+    pins: octalRegisterPins(pin('C', 'Latch enable (HIGH = transparent)'))
+});
+
+icRegistry.register({
+    id: '74LS374',
+    class: LS374,
+    name: '74LS374',
+    description: 'Octal D-Type Flip-Flop (Tri-State)',
+    pinCount: 20,
+    timing: {
+        ...delays(15, 28, 19, 28), // CLK -> Q
+        checks: { setup: 20, hold: 0, pulseWidth: 15, fMax: 35 }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.FLIP_FLOP,
+    datasheetUrl: `${DATASHEETS}/74LS374.pdf`,
+    pins: octalRegisterPins(pin('CLK', 'Clock (rising edge)'))
 });
 
 icRegistry.register({
@@ -99,7 +678,57 @@ icRegistry.register({
     class: LS138,
     name: '74LS138',
     description: '3-to-8 Line Decoder/Demultiplexer',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(13, 20, 27, 41), // Select -> Y
+    family: '74LS',
+    category: IC_CATEGORY.DECODER,
+    datasheetUrl: `${DATASHEETS}/74LS138.pdf`,
+    pins: {
+        1: pin('A', 'Select bit 0'),
+        2: pin('B', 'Select bit 1'),
+        3: pin('C', 'Select bit 2'),
+        4: pin('G2A', 'Enable', true),
+        5: pin('G2B', 'Enable', true),
+        6: pin('G1', 'Enable'),
+        ...Object.fromEntries([15, 14, 13, 12, 11, 10, 9, 7].map((p, i) => [p, pin(`Y${i}`, `Output ${i}`, true)]))
+    }
+});
+
+icRegistry.register({
+    id: '74LS139',
+    class: LS139,
+    name: '74LS139',
+    description: 'Dual 2-to-4 Line Decoder/Demultiplexer',
+    pinCount: 16,
+    timing: delays(13, 20, 22, 33), // Select -> Y
+    family: '74LS',
+    category: IC_CATEGORY.DECODER,
+    datasheetUrl: `${DATASHEETS}/74LS139.pdf`,
+    pins: Object.fromEntries([[1, 2, 3, [4, 5, 6, 7]], [15, 14, 13, [12, 11, 10, 9]]].flatMap(([g, a, b, ys], i) => [
+        [g, pin(`${i + 1}G`, `Decoder ${i + 1} enable`, true)],
+        [a, pin(`${i + 1}A`, `Decoder ${i + 1} select bit 0`)],
+        [b, pin(`${i + 1}B`, `Decoder ${i + 1} select bit 1`)],
+        ...ys.map((y, n) => [y, pin(`${i + 1}Y${n}`, `Decoder ${i + 1} output ${n}`, true)])
+    ]))
+});
+
+icRegistry.register({
+    id: '74LS42',
+    class: LS42,
+    name: '74LS42',
+    description: 'BCD-to-Decimal Decoder',
+    pinCount: 16,
+    timing: delays(15, 25, 15, 25),
+    family: '74LS',
+    category: IC_CATEGORY.DECODER,
+    datasheetUrl: `${DATASHEETS}/74LS42.pdf`,
+    pins: {
+        15: pin('A', 'BCD bit 0 (LSB)'),
+        14: pin('B', 'BCD bit 1'),
+        13: pin('C', 'BCD bit 2'),
+        12: pin('D', 'BCD bit 3 (MSB)'),
+        ...Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 9, 10, 11].map((p, i) => [p, pin(`${i}`, `Decimal output ${i}`, true)]))
+    }
 });
 
 icRegistry.register({
@@ -107,7 +736,61 @@ icRegistry.register({
     class: LS47,
     name: '74LS47',
     description: 'BCD to 7-Segment Decoder/Driver',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(50, 100, 50, 100),
+    family: '74LS',
+    category: IC_CATEGORY.DECODER,
+    datasheetUrl: `${DATASHEETS}/74LS47.pdf`,
+    pins: sevenSegmentDecoderPins(true)
+});
+
+icRegistry.register({
+    id: '74LS48',
+    class: LS48,
+    name: '74LS48',
+    description: 'BCD to 7-Segment Decoder (active-HIGH outputs)',
+    pinCount: 16,
+    timing: delays(50, 100, 50, 100),
+    family: '74LS',
+    category: IC_CATEGORY.DECODER,
+    datasheetUrl: `${DATASHEETS}/74LS48.pdf`,
+    pins: sevenSegmentDecoderPins(false)
+});
+
+icRegistry.register({
+    id: '74LS147',
+    class: LS147,
+    name: '74LS147',
+    description: '10-Line to 4-Line Priority Encoder (BCD)',
+    pinCount: 16,
+    timing: delays(21, 33, 15, 23), // Input -> output, out of phase
+    family: '74LS',
+    category: IC_CATEGORY.ENCODER,
+    datasheetUrl: `${DATASHEETS}/74LS147.pdf`,
+    pins: {
+        ...Object.fromEntries([11, 12, 13, 1, 2, 3, 4, 5, 10].map((p, i) => [p, pin(`${i + 1}`, `Decimal input ${i + 1} (highest wins)`, true)])),
+        ...Object.fromEntries([9, 7, 6, 14].map((p, i) => [p, pin('ABCD'[i], `BCD bit ${i} (inverted)`, true)])),
+        15: pin('NC', 'Not connected')
+    }
+});
+
+icRegistry.register({
+    id: '74LS148',
+    class: LS148,
+    name: '74LS148',
+    description: '8-Line to 3-Line Priority Encoder',
+    pinCount: 16,
+    timing: delays(14, 25, 15, 25), // Input -> A, out of phase
+    family: '74LS',
+    category: IC_CATEGORY.ENCODER,
+    datasheetUrl: `${DATASHEETS}/74LS148.pdf`,
+    pins: {
+        ...Object.fromEntries([10, 11, 12, 13, 1, 2, 3, 4].map((p, i) => [p, pin(`${i}`, `Input ${i} (highest wins)`, true)])),
+        5: pin('EI', 'Enable input', true),
+        ...Object.fromEntries([9, 7, 6].map((p, i) => [p, pin(`A${i}`, `Code bit ${i} (inverted)`, true)])),
+        14: pin('GS', 'Group select (LOW while any input is active)', true),
+        15: pin('EO', 'Enable output (LOW when enabled with no input active)', true)
+    }
 });
 
 icRegistry.register({
@@ -115,7 +798,20 @@ icRegistry.register({
     class: LS151,
     name: '74LS151',
     description: '8-to-1 Data Selector/Multiplexer',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(20, 32, 16, 26), // Data -> Y
+    family: '74LS',
+    category: IC_CATEGORY.MULTIPLEXER,
+    datasheetUrl: `${DATASHEETS}/74LS151.pdf`,
+    pins: {
+        ...Object.fromEntries([4, 3, 2, 1, 12, 11, 10, 9].map((p, i) => [p, pin(`D${i}`, `Data input ${i}`)])),
+        15: pin('S0', 'Select bit 0'),
+        14: pin('S1', 'Select bit 1'),
+        13: pin('S2', 'Select bit 2'),
+        7: pin('STROBE', 'Enable', true),
+        5: pin('Y', 'Output'),
+        6: pin('W', 'Inverted output')
+    }
 });
 
 icRegistry.register({
@@ -123,7 +819,21 @@ icRegistry.register({
     class: LS153,
     name: '74LS153',
     description: 'Dual 4-to-1 Multiplexer',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(10, 15, 17, 26), // Data -> Y
+    family: '74LS',
+    category: IC_CATEGORY.MULTIPLEXER,
+    datasheetUrl: `${DATASHEETS}/74LS153.pdf`,
+    pins: {
+        1: pin('1G', 'Multiplexer 1 enable', true),
+        ...Object.fromEntries([6, 5, 4, 3].map((p, i) => [p, pin(`1C${i}`, `Multiplexer 1 data input ${i}`)])),
+        7: pin('1Y', 'Multiplexer 1 output'),
+        15: pin('2G', 'Multiplexer 2 enable', true),
+        ...Object.fromEntries([10, 11, 12, 13].map((p, i) => [p, pin(`2C${i}`, `Multiplexer 2 data input ${i}`)])),
+        9: pin('2Y', 'Multiplexer 2 output'),
+        2: pin('S0', 'Select bit 0 (both multiplexers)'),
+        14: pin('S1', 'Select bit 1 (both multiplexers)')
+    }
 });
 
 icRegistry.register({
@@ -131,7 +841,20 @@ icRegistry.register({
     class: LS157,
     name: '74LS157',
     description: 'Quad 2-to-1 Data Selector/Multiplexer',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(9, 14, 9, 14), // Data -> Y
+    family: '74LS',
+    category: IC_CATEGORY.MULTIPLEXER,
+    datasheetUrl: 'https://www.jameco.com/Jameco/Products/ProdDS/301612-DS01.pdf',
+    pins: {
+        1: pin('SELECT', 'Selects the B inputs when HIGH'),
+        15: pin('STROBE', 'Enable', true),
+        ...Object.fromEntries([[2, 3, 4], [5, 6, 7], [11, 10, 9], [14, 13, 12]].flatMap(([a, b, y], i) => [
+            [a, pin(`${i + 1}A`, `Selector ${i + 1} input A`)],
+            [b, pin(`${i + 1}B`, `Selector ${i + 1} input B`)],
+            [y, pin(`${i + 1}Y`, `Selector ${i + 1} output`)]
+        ]))
+    }
 });
 
 icRegistry.register({
@@ -139,7 +862,78 @@ icRegistry.register({
     class: LS283,
     name: '74LS283',
     description: '4-Bit Binary Full Adder',
-    pinCount: 16
+    pinCount: 16,
+    timing: delays(16, 24, 15, 24), // C0 -> Sum
+    family: '74LS',
+    category: IC_CATEGORY.ARITHMETIC,
+    datasheetUrl: `${DATASHEETS}/74LS283.pdf`,
+    pins: {
+        ...Object.fromEntries([[1, 2, 13], [3, 4, 12], [5, 6, 10], [7, 11, 9]].flatMap(([a, b, sum], i) => [
+            [a, pin(`A${i + 1}`, `Operand A bit ${i}`)],
+            [b, pin(`B${i + 1}`, `Operand B bit ${i}`)],
+            [sum, pin(`SUM${i + 1}`, `Sum bit ${i}`)]
+        ])),
+        15: pin('C0', 'Carry in'),
+        14: pin('C4', 'Carry out')
+    }
+});
+
+icRegistry.register({
+    id: '74LS85',
+    class: LS85,
+    name: '74LS85',
+    description: '4-Bit Magnitude Comparator',
+    pinCount: 16,
+    timing: delays(24, 36, 20, 30), // A/B -> outputs
+    family: '74LS',
+    category: IC_CATEGORY.ARITHMETIC,
+    datasheetUrl: `${DATASHEETS}/74LS85.pdf`,
+    pins: {
+        ...Object.fromEntries([[10, 9], [12, 11], [13, 14], [15, 1]].flatMap(([a, b], i) => [
+            [a, pin(`A${i}`, `Word A bit ${i}`)],
+            [b, pin(`B${i}`, `Word B bit ${i}`)]
+        ])),
+        2: pin('A<B IN', 'Cascade input from the less significant stage'),
+        3: pin('A=B IN', 'Cascade input (HIGH on the least significant stage)'),
+        4: pin('A>B IN', 'Cascade input from the less significant stage'),
+        5: pin('A>B', 'A greater than B'),
+        6: pin('A=B', 'A equal to B'),
+        7: pin('A<B', 'A less than B')
+    }
+});
+
+icRegistry.register({
+    id: '74LS181',
+    class: LS181,
+    name: '74LS181',
+    description: '4-Bit Arithmetic Logic Unit',
+    pinCount: 24,
+    timing: {
+        ...delays(20, 32, 22, 33), // A/B -> F
+        pins: {
+            14: delays(23, 35, 26, 40), // A=B (RL = 2k)
+            15: delays(13, 20, 15, 23), // P
+            16: delays(18, 27, 19, 29), // Cn+4
+            17: delays(13, 20, 15, 23)  // G
+        }
+    },
+    family: '74LS',
+    category: IC_CATEGORY.ARITHMETIC,
+    datasheetUrl: `${DATASHEETS}/74LS181.pdf`,
+    pins: {
+        ...Object.fromEntries([[2, 1, 9], [23, 22, 10], [21, 20, 11], [19, 18, 13]].flatMap(([a, b, f], i) => [
+            [a, pin(`A${i}`, `Operand A bit ${i}`)],
+            [b, pin(`B${i}`, `Operand B bit ${i}`)],
+            [f, pin(`F${i}`, `Function output bit ${i}`)]
+        ])),
+        ...Object.fromEntries([6, 5, 4, 3].map((p, i) => [p, pin(`S${i}`, `Function select ${i}`)])),
+        7: pin('Cn', 'Carry in (LOW = carry)', true),
+        8: pin('M', 'Mode: HIGH = logic, LOW = arithmetic'),
+        14: pin('A=B', 'HIGH when F is all 1s (open collector)'),
+        15: pin('P', 'Carry propagate (to a 74LS182)', true),
+        16: pin('Cn+4', 'Carry out (LOW = carry)', true),
+        17: pin('G', 'Carry generate (to a 74LS182)', true)
+    }
 });
 
 export { icRegistry };
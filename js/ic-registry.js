@@ -3,16 +3,43 @@
  * Modular system for registering and creating IC instances
  */
 
+// What a chip is for, used to group the IC picker
+export const IC_CATEGORY = {
+    GATE: 'gate',
+    BUFFER: 'buffer',
+    FLIP_FLOP: 'flip-flop',
+    LATCH: 'latch',
+    COUNTER: 'counter',
+    SHIFT_REGISTER: 'shift-register',
+    DECODER: 'decoder',
+    ENCODER: 'encoder',
+    MULTIPLEXER: 'multiplexer',
+    ARITHMETIC: 'arithmetic',
+    CUSTOM: 'custom'
+};
+
+// Ids of user-defined chips ("74LS10", "HALF_ADDER", "ALU-4"): they are
+// stored with saved circuits and shown in the IC picker and on the socket
+export const IC_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+/**
+ * Pin name as printed on a datasheet, with a leading / when the pin is active LOW
+ */
+export function formatPinName(info) {
+    if (!info?.name) return null;
+    return info.activeLow ? `/${info.name}` : info.name;
+}
+
 export class ICRegistry {
     constructor() {
-        this.registry = new Map(); // id -> { class, name, description, pinCount }
+        this.registry = new Map(); // id -> { class, name, description, pinCount, timing, family, category, datasheetUrl, pins }
     }
 
     /**
      * Register an IC class
      */
     register(config) {
-        const { id, class: ICClass, name, description, pinCount } = config;
+        const { id, class: ICClass, name, description, pinCount, timing, family, category, datasheetUrl, pins } = config;
         
         if (!id || !ICClass) {
             throw new Error('IC registration requires id and class');
@@ -23,7 +50,12 @@ export class ICRegistry {
             class: ICClass,
             name: name || id,
             description: description || '',
-            pinCount: pinCount || 14
+            pinCount: pinCount || 14,
+            timing: timing || null, // Datasheet tPLH/tPHL in ns: { tPLH: { typ, max }, tPHL: { typ, max }, pins?, checks? }
+            family: family || null, // Logic family, e.g. 74LS
+            category: category || IC_CATEGORY.CUSTOM,
+            datasheetUrl: datasheetUrl || null,
+            pins: pins || {} // pin -> { name, function, activeLow }; VCC/GND come from the chip
         });
     }
 
@@ -37,7 +69,11 @@ export class ICRegistry {
             return null;
         }
 
-        return new entry.class(instanceId, entry.name);
+        const ic = new entry.class(instanceId, entry.name);
+        ic.type = id; // Registry id, used to save and re-create the chip
+        if (entry.timing) ic.timing = entry.timing;
+        ic.pinInfo = entry.pins;
+        return ic;
     }
 
     /**
@@ -0,0 +1,367 @@
+/**
+ * Web IC Trainer - Netlist Export
+ * Writes the board's nets as a KiCad netlist, a SPICE subcircuit or EDIF
+ * 2 0 0. Socketed chips become 74LS parts U1..U4 (by socket) with their real
+ * pin numbers. Board resources wired into the circuit (switches, LEDs,
+ * clocks, ...) become pins of one header J1 after +5V and GND, so whatever
+ * replaces the trainer plugs in there; used pull-ups become resistors R1..R4.
+ */
+
+import { PIN_TYPE } from './ttl-chip.js';
+
+export const NETLIST_FORMAT = {
+    KICAD: 'kicad',
+    SPICE: 'spice',
+    EDIF: 'edif'
+};
+
+export const NETLIST_EXTENSION = {
+    [NETLIST_FORMAT.KICAD]: 'net',
+    [NETLIST_FORMAT.SPICE]: 'cir',
+    [NETLIST_FORMAT.EDIF]: 'edf'
+};
+
+const DESIGN_NAME = 'TRAINER_CIRCUIT';
+const TOOL_NAME = 'Web IC Trainer';
+const PULLUP_VALUE = '4.7k';
+const GND_PINS = ['gnd', 'gnd-2', 'clock-gnd', 'pulse-gnd'];
+
+// Board pin -> signal name on the J1 header
+const BOARD_SIGNALS = [
+    [/^switch-(\d+)$/, m => `SW${m[1]}`],
+    [/^led-(\d+)-in$/, m => `LED${m[1]}`],
+    [/^clock-(\w+)$/, m => `CLK_${m[1].toUpperCase()}`],
+    [/^pulse-out$/, () => 'PULSE'],
+    [/^bcd-out-([a-d])$/, m => `BCD_OUT_${m[1].toUpperCase()}`],
+    [/^bcd-([a-d])$/, m => `BCD_${m[1].toUpperCase()}`],
+    [/^seg-(\w+)$/, m => `SEG_${m[1].toUpperCase()}`]
+];
+
+const KICAD_PIN_TYPE = {
+    [PIN_TYPE.INPUT]: 'input',
+    [PIN_TYPE.CLOCK]: 'input',
+    [PIN_TYPE.OUTPUT]: 'output',
+    [PIN_TYPE.OPEN_COLLECTOR]: 'open_collector',
+    [PIN_TYPE.TRISTATE]: 'tri_state',
+    [PIN_TYPE.BIDIRECTIONAL]: 'bidirectional',
+    [PIN_TYPE.POWER]: 'power_in',
+    [PIN_TYPE.NC]: 'no_connect'
+};
+
+const EDIF_DIRECTION = {
+    [PIN_TYPE.INPUT]: 'INPUT',
+    [PIN_TYPE.CLOCK]: 'INPUT',
+    [PIN_TYPE.POWER]: 'INPUT',
+    [PIN_TYPE.OUTPUT]: 'OUTPUT',
+    [PIN_TYPE.OPEN_COLLECTOR]: 'OUTPUT',
+    [PIN_TYPE.TRISTATE]: 'OUTPUT',
+    [PIN_TYPE.BIDIRECTIONAL]: 'INOUT'
+};
+
+/**
+ * Suffix repeated names with _2, _3, ... so each is used once
+ */
+function makeUnique(names) {
+    const taken = new Set();
+    return names.map(base => {
+        let name = base;
+        for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+        taken.add(name);
+        return name;
+    });
+}
+
+export class NetlistExporter {
+    constructor(wiring) {
+        this.wiring = wiring;
+    }
+
+    /**
+     * Netlist text for the chips currently socketed.
+     * `options.date` stamps the file (defaults to now).
+     */
+    export(format, chips, options = {}) {
+        const design = this.collect(chips);
+        const date = options.date || new Date();
+        switch (format) {
+            case NETLIST_FORMAT.KICAD: return this.toKicad(design, date);
+            case NETLIST_FORMAT.SPICE: return this.toSpice(design, date);
+            case NETLIST_FORMAT.EDIF: return this.toEdif(design, date);
+            default:
+                throw new Error(`Unknown netlist format: ${format}`);
+        }
+    }
+
+    /**
+     * { components, nets }: components are { ref, value, lib, part,
+     * footprint, pins: [{ number, name, type }] } (type null = passive),
+     * nets are { name, auto, nodes: [{ ref, pin }] } where `auto` marks an
+     * unnamed net, called after its first node.
+     */
+    collect(chips) {
+        const components = [];
+        const pinNodes = new Map(); // pinId -> { ref, pin }
+
+        [...chips].sort((a, b) => a.id.localeCompare(b.id)).forEach(ic => {
+            const ref = `U${ic.id.replace(/^ic-/, '')}`;
+            const pins = [];
+            for (let pin = 1; pin <= ic.pinCount; pin++) {
+                pins.push({ number: String(pin), name: ic.getPinName(pin) || '', type: ic.pinTypes[pin] || PIN_TYPE.NC });
+                pinNodes.set(`${ic.id}-pin-${pin}`, { ref, pin: String(pin) });
+            }
+            components.push({
+                ref,
+                value: ic.name,
+                lib: '74xx',
+                part: ic.name,
+                footprint: `Package_DIP:DIP-${ic.pinCount}_W${ic.pinCount >= 24 ? '15.24' : '7.62'}mm`, // 24-pin parts are 600 mil wide
+                pins
+            });
+        });
+
+        const groups = new Map(); // nodeId -> pins
+        this.wiring.pinToNodeId.forEach((nodeId, pinId) => {
+            if (!groups.has(nodeId)) groups.set(nodeId, []);
+            groups.get(nodeId).push(pinId);
+        });
+
+        // Board pins that are part of the circuit: on a net with anything else
+        const used = [...groups.values()]
+            .filter(pins => pins.length > 1)
+            .flat()
+            .filter(pinId => !pinNodes.has(pinId) && pinId !== 'vcc' && !GND_PINS.includes(pinId))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        const header = [{ name: '+5V' }, { name: 'GND' }];
+        pinNodes.set('vcc', { ref: 'J1', pin: '1' });
+        pinNodes.set('gnd', { ref: 'J1', pin: '2' });
+
+        const pullUps = [];
+        used.forEach(pinId => {
+            const pullUp = /^pullup-(\d+)$/.exec(pinId);
+            if (pullUp) {
+                const ref = `R${parseInt(pullUp[1], 10) + 1}`;
+                pullUps.push(ref);
+                pinNodes.set(pinId, { ref, pin: '2' });
+                components.push({
+                    ref,
+                    value: PULLUP_VALUE,
+                    lib: 'Device',
+                    part: 'R',
+                    footprint: 'Resistor_THT:R_Axial_DIN0207_L6.3mm_D2.5mm_P7.62mm_Horizontal',
+                    pins: [{ number: '1', name: '', type: null }, { number: '2', name: '', type: null }]
+                });
+                return;
+            }
+            header.push({ name: this.getBoardSignalName(pinId) });
+            pinNodes.set(pinId, { ref: 'J1', pin: String(header.length) });
+        });
+
+        const count = String(header.length).padStart(2, '0');
+        components.unshift({
+            ref: 'J1',
+            value: 'TRAINER',
+            lib: 'Connector_Generic',
+            part: `Conn_01x${count}`,
+            footprint: `Connector_PinHeader_2.54mm:PinHeader_1x${count}_P2.54mm_Vertical`,
+            pins: header.map((h, i) => ({ number: String(i + 1), name: h.name, type: null }))
+        });
+
+        const byNode = (a, b) => a.ref.localeCompare(b.ref) || parseInt(a.pin, 10) - parseInt(b.pin, 10);
+        const nets = [];
+        groups.forEach(pins => {
+            const nodes = pins.filter(pinId => pinNodes.has(pinId)).map(pinId => pinNodes.get(pinId));
+            if (pins.includes('vcc')) {
+                pullUps.forEach(ref => nodes.push({ ref, pin: '1' }));
+            }
+            if (nodes.length === 0) return;
+            nodes.sort(byNode);
+
+            const named = pins.includes('vcc') ? '+5V'
+                : pins.includes('gnd') ? 'GND'
+                    : this.wiring.getNetLabel(pins[0]) ||
+                        header[parseInt(nodes.find(n => n.ref === 'J1')?.pin, 10) - 1]?.name;
+            nets.push({ name: named || null, auto: !named, nodes });
+        });
+        nets.sort((a, b) => (a.auto - b.auto) || byNode(a.nodes[0], b.nodes[0]));
+
+        return { components, nets };
+    }
+
+    getBoardSignalName(pinId) {
+        for (const [pattern, name] of BOARD_SIGNALS) {
+            const match = pattern.exec(pinId);
+            if (match) return name(match);
+        }
+        return pinId.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    }
+
+    /**
+     * Net names made unique (and legal, via `clean`) for one output format
+     */
+    nameNets(nets, autoName, clean = name => name) {
+        return makeUnique(nets.map(net => net.name ? clean(net.name) : autoName(net.nodes[0], net.nodes.length === 1)));
+    }
+
+    toKicad(design, date) {
+        const q = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const names = this.nameNets(design.nets, (node, alone) =>
+            `${alone ? 'unconnected' : 'Net'}-(${node.ref}-Pad${node.pin})`);
+        const pinType = (component, pin) => {
+            const type = component.pins.find(p => p.number === pin)?.type;
+            return type ? KICAD_PIN_TYPE[type] || 'unspecified' : 'passive';
+        };
+        const components = new Map(design.components.map(c => [c.ref, c]));
+        const libparts = new Map(design.components.map(c => [`${c.lib}:${c.part}`, c]));
+
+        const lines = [
+            '(export (version "E")',
+            '  (design',
+            `    (source ${q(DESIGN_NAME)})`,
+            `    (date ${q(date.toISOString())})`,
+            `    (tool ${q(TOOL_NAME)}))`,
+            '  (components'
+        ];
+        design.components.forEach(c => {
+            lines.push(
+                `    (comp (ref ${q(c.ref)})`,
+                `      (value ${q(c.value)})`,
+                `      (footprint ${q(c.footprint)})`,
+                `      (libsource (lib ${q(c.lib)}) (part ${q(c.part)}) (description "")))`
+            );
+        });
+        lines.push('  )', '  (libparts');
+        libparts.forEach(c => {
+            lines.push(`    (libpart (lib ${q(c.lib)}) (part ${q(c.part)})`, '      (pins');
+            c.pins.forEach(p => {
+                lines.push(`        (pin (num ${q(p.number)}) (name ${q(p.name || '~')}) (type ${q(pinType(c, p.number))}))`);
+            });
+            lines.push('      ))');
+        });
+        lines.push('  )', '  (nets');
+        design.nets.forEach((net, i) => {
+            lines.push(`    (net (code ${q(i + 1)}) (name ${q(names[i])})`);
+            net.nodes.forEach(node => {
+                lines.push(`      (node (ref ${q(node.ref)}) (pin ${q(node.pin)}) (pintype ${q(pinType(components.get(node.ref), node.pin))}))`);
+            });
+            lines[lines.length - 1] += ')';
+        });
+        lines.push('  ))', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * One .SUBCKT whose ports are the J1 header signals; GND is node 0 and
+     * each chip is an X instance with its nodes in DIP pin order 1..N
+     */
+    toSpice(design, date) {
+        const clean = (name) => name.replace(/[^A-Za-z0-9_]/g, '_');
+        const names = this.nameNets(
+            design.nets,
+            (node, alone) => `${alone ? 'NC' : 'N'}_${node.ref}_${node.pin}`,
+            name => name === '+5V' ? 'VCC' : name === 'GND' ? '0' : clean(name)
+        );
+        // Subcircuit names are single tokens too ("ALU-4" -> ALU_4)
+        const parts = [...new Set(design.components.map(c => c.part))];
+        const partNames = new Map(makeUnique(parts.map(clean)).map((name, i) => [parts[i], name]));
+        const nodeName = new Map(); // "ref.pin" -> net name
+        design.nets.forEach((net, i) => net.nodes.forEach(node => nodeName.set(`${node.ref}.${node.pin}`, names[i])));
+        const netOf = (ref, pin) => nodeName.get(`${ref}.${pin}`) || `NC_${ref}_${pin}`;
+
+        const header = design.components.find(c => c.ref === 'J1');
+        const ports = header.pins.map(p => netOf('J1', p.number)).filter(name => name !== '0');
+
+        const lines = [
+            `* ${TOOL_NAME} netlist, ${date.toISOString()}`,
+            '* U<n>: 74LS subcircuits, nodes in DIP pin order 1..N; GND is node 0',
+            `.SUBCKT ${DESIGN_NAME} ${ports.join(' ')}`
+        ];
+        design.components.forEach(c => {
+            if (c.ref === 'J1') return;
+            if (c.part === 'R') {
+                lines.push(`${c.ref} ${netOf(c.ref, '1')} ${netOf(c.ref, '2')} ${c.value}`);
+                return;
+            }
+            lines.push(`X${c.ref} ${c.pins.map(p => netOf(c.ref, p.number)).join(' ')} ${partNames.get(c.part)}`);
+        });
+        lines.push(`.ENDS ${DESIGN_NAME}`, '');
+        return lines.join('\n');
+    }
+
+    toEdif(design, date) {
+        // EDIF strings escape characters as %<decimal code>%
+        const str = (text) => `"${String(text).replace(/[%"]/g, ch => `%${ch.charCodeAt(0)}%`)}"`;
+        const legal = (name) => {
+            if (/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) return name;
+            if (/^[A-Za-z0-9_]+$/.test(name)) return `&${name}`;
+            return name.replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?![A-Za-z])/, 'N');
+        };
+        // `as` is the identifier written; it is renamed back when it differs from the name
+        const id = (name, as = legal(name)) => as === name || as === `&${name}` ? as : `(rename ${as} ${str(name)})`;
+        const names = this.nameNets(design.nets, (node, alone) => `${alone ? 'NC' : 'N'}_${node.ref}_${node.pin}`, legal);
+        const parts = new Map(design.components.map(c => [c.part, c]));
+        const partList = [...parts.keys()];
+        const cellNames = new Map(makeUnique(partList.map(legal)).map((name, i) => [partList[i], name]));
+        const stamp = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+            date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()].join(' ');
+
+        const lines = [
+            `(edif ${DESIGN_NAME}`,
+            '  (edifVersion 2 0 0)',
+            '  (edifLevel 0)',
+            '  (keywordMap (keywordLevel 0))',
+            `  (status (written (timeStamp ${stamp}) (program ${str(TOOL_NAME)})))`,
+            '  (library PARTS',
+            '    (edifLevel 0)',
+            '    (technology (numberDefinition))'
+        ];
+        parts.forEach(c => {
+            lines.push(
+                `    (cell ${id(c.part, cellNames.get(c.part))}`,
+                '      (cellType GENERIC)',
+                '      (view netlist',
+                '        (viewType NETLIST)',
+                '        (interface'
+            );
+            c.pins.forEach(p => {
+                lines.push(`          (port ${id(p.number)} (direction ${EDIF_DIRECTION[p.type] || 'INOUT'}))`);
+            });
+            lines[lines.length - 1] += ')))';
+        });
+        lines.push(
+            '  )',
+            '  (library DESIGN',
+            '    (edifLevel 0)',
+            '    (technology (numberDefinition))',
+            `    (cell ${DESIGN_NAME}`,
+            '      (cellType GENERIC)',
+            '      (view netlist',
+            '        (viewType NETLIST)',
+            '        (interface)',
+            '        (contents'
+        );
+        design.components.forEach(c => {
+            lines.push(
+                `          (instance ${id(c.ref)}`,
+                `            (viewRef netlist (cellRef ${cellNames.get(c.part)} (libraryRef PARTS)))`,
+                `            (property VALUE (string ${str(c.value)}))`,
+                `            (property FOOTPRINT (string ${str(c.footprint)})))`
+            );
+        });
+        design.nets.forEach((net, i) => {
+            lines.push(`          (net ${id(net.name || names[i], names[i])}`, '            (joined');
+            net.nodes.forEach(node => {
+                lines.push(`              (portRef ${id(node.pin)} (instanceRef ${id(node.ref)}))`);
+            });
+            lines[lines.length - 1] += '))';
+        });
+        lines.push(
+            '        )))',
+            '  )',
+            `  (design ${DESIGN_NAME}`,
+            `    (cellRef ${DESIGN_NAME} (libraryRef DESIGN))))`,
+            ''
+        );
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Web IC Trainer - Netlist
+ * Tracks which pins share an electrical net. Connecting a wire is a
+ * union-find merge; removing one walks only the net it belonged to and
+ * reports the pins that split off, so the wiring layer can move just those
+ * pins to a new simulation node. Net labels join pins the same way as
+ * wires, without anything drawn on the board.
+ */
+
+export class Netlist {
+    constructor() {
+        this.parent = new Map(); // pinId -> parent pinId (a net's root points to itself)
+        this.members = new Map(); // root pinId -> Set(pinId) on that net
+        this.links = new Map(); // pinId -> Set(pinId) joined by a wire (adjacency list)
+        this.ties = new Map(); // pinId -> Set(pinId) joined on the board itself, e.g. the GND sockets
+        this.labelLinks = new Map(); // pinId -> Set(pinId) joined by sharing a net label
+    }
+
+    addPin(pinId) {
+        if (this.parent.has(pinId)) return;
+        this.parent.set(pinId, pinId);
+        this.members.set(pinId, new Set([pinId]));
+        this.links.set(pinId, new Set());
+        this.ties.set(pinId, new Set());
+        this.labelLinks.set(pinId, new Set());
+    }
+
+    hasPin(pinId) {
+        return this.parent.has(pinId);
+    }
+
+    /**
+     * Drop a pin that has no wires or labels left, cutting its ties.
+     * Returns the rest of its former net as Sets of pins that are still
+     * connected to each other, largest first (empty when it was alone).
+     */
+    removePin(pinId) {
+        if (!this.parent.has(pinId)) return [];
+        if (this.links.get(pinId).size > 0) {
+            throw new Error(`Pin ${pinId} still has wires`);
+        }
+        if (this.labelLinks.get(pinId).size > 0) {
+            throw new Error(`Pin ${pinId} still has a net label`);
+        }
+
+        const root = this.find(pinId);
+        const net = this.members.get(root);
+        this.members.delete(root);
+        for (const other of this.ties.get(pinId)) this.ties.get(other).delete(pinId);
+        net.delete(pinId);
+
+        this.parent.delete(pinId);
+        this.members.delete(pinId);
+        this.links.delete(pinId);
+        this.ties.delete(pinId);
+        this.labelLinks.delete(pinId);
+
+        return net.size > 0 ? this.regroup(net) : [];
+    }
+
+    /**
+     * Root pin of the net a pin is on (with path compression)
+     */
+    find(pinId) {
+        let root = pinId;
+        while (this.parent.get(root) !== root) root = this.parent.get(root);
+        while (pinId !== root) {
+            const next = this.parent.get(pinId);
+            this.parent.set(pinId, root);
+            pinId = next;
+        }
+        return root;
+    }
+
+    /**
+     * Join the nets of two pins, the smaller one into the larger.
+     * Returns { kept, absorbed } (a pin of the surviving net and the Set of
+     * pins that moved into it), or null when they already share a net.
+     */
+    union(pinA, pinB) {
+        let kept = this.find(pinA);
+        let absorbed = this.find(pinB);
+        if (kept === absorbed) return null;
+        if (this.members.get(kept).size < this.members.get(absorbed).size) {
+            [kept, absorbed] = [absorbed, kept];
+        }
+
+        const moved = this.members.get(absorbed);
+        moved.forEach(pinId => this.members.get(kept).add(pinId));
+        this.members.delete(absorbed);
+        this.parent.set(absorbed, kept);
+        return { kept, absorbed: moved };
+    }
+
+    /**
+     * Permanent board connection that no wire edit can split
+     */
+    tie(pinA, pinB) {
+        this.addPin(pinA);
+        this.addPin(pinB);
+        this.ties.get(pinA).add(pinB);
+        this.ties.get(pinB).add(pinA);
+        return this.union(pinA, pinB);
+    }
+
+    /**
+     * Wire two pins together, see union()
+     */
+    connect(pinA, pinB) {
+        this.addPin(pinA);
+        this.addPin(pinB);
+        this.links.get(pinA).add(pinB);
+        this.links.get(pinB).add(pinA);
+        return this.union(pinA, pinB);
+    }
+
+    /**
+     * Remove the wire between two pins. Returns null when the net stays in
+     * one piece, otherwise { kept, split }: the side with more pins stays
+     * on the net (pinA's side when both have the same number) and `split`
+     * holds the pins cut off.
+     */
+    disconnect(pinA, pinB) {
+        return this.cut(this.links, pinA, pinB);
+    }
+
+    /**
+     * Join two pins that carry the same net label, see union()
+     */
+    joinLabel(pinA, pinB) {
+        this.labelLinks.get(pinA).add(pinB);
+        this.labelLinks.get(pinB).add(pinA);
+        return this.union(pinA, pinB);
+    }
+
+    /**
+     * Undo joinLabel(), with the same result as disconnect()
+     */
+    separateLabel(pinA, pinB) {
+        return this.cut(this.labelLinks, pinA, pinB);
+    }
+
+    /**
+     * Drop the pinA-pinB link from one adjacency map (wires or labels) and
+     * split the net if that was its only path; see disconnect() for the result
+     */
+    cut(adjacency, pinA, pinB) {
+        if (!adjacency.get(pinA)?.has(pinB)) return null;
+        adjacency.get(pinA).delete(pinB);
+        adjacency.get(pinB).delete(pinA);
+
+        const sideA = this.walk(pinA, pinB);
+        if (sideA.has(pinB)) return null;
+
+        const root = this.find(pinA);
+        const net = this.members.get(root);
+        this.members.delete(root);
+        const sideB = new Set([...net].filter(pinId => !sideA.has(pinId)));
+        this.reroot(sideA);
+        this.reroot(sideB);
+        return sideA.size >= sideB.size ? { kept: sideA, split: sideB } : { kept: sideB, split: sideA };
+    }
+
+    connected(pinA, pinB) {
+        return this.hasPin(pinA) && this.hasPin(pinB) && this.find(pinA) === this.find(pinB);
+    }
+
+    /**
+     * Every pin on the same net as pinId
+     */
+    getNet(pinId) {
+        return this.hasPin(pinId) ? [...this.members.get(this.find(pinId))] : [];
+    }
+
+    /**
+     * Pins reachable from `start` over wires, ties and labels; stops early once `target` is reached
+     */
+    walk(start, target = null) {
+        const visited = new Set([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            const pinId = stack.pop();
+            for (const next of [...this.links.get(pinId), ...this.ties.get(pinId), ...this.labelLinks.get(pinId)]) {
+                if (visited.has(next)) continue;
+                visited.add(next);
+                if (next === target) return visited;
+                stack.push(next);
+            }
+        }
+        return visited;
+    }
+
+    /**
+     * Split a former net into its connected pieces, largest first
+     */
+    regroup(pins) {
+        const groups = [];
+        const seen = new Set();
+        pins.forEach(pinId => {
+            if (seen.has(pinId)) return;
+            const group = this.walk(pinId);
+            group.forEach(p => seen.add(p));
+            groups.push(group);
+        });
+        groups.forEach(group => this.reroot(group));
+        return groups.sort((a, b) => b.size - a.size);
+    }
+
+    /**
+     * Make a set of pins one net with a fresh root
+     */
+    reroot(pins) {
+        const root = pins.values().next().value;
+        pins.forEach(pinId => this.parent.set(pinId, root));
+        this.members.set(root, new Set(pins));
+    }
+}
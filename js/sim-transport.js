@@ -0,0 +1,176 @@
+/**
+ * Web IC Trainer - Simulation Transport
+ * Pause, single-step, run-until and speed control over the CircuitEngine
+ * timeline. The host calls tick() once per animation frame with the elapsed
+ * wall-clock time; everything else advances simulated time directly.
+ */
+
+export const MIN_SPEED = 0.01;
+export const MAX_SPEED = 1000;
+
+export class SimulationTransport {
+    constructor(engine, clockManager) {
+        this.engine = engine;
+        this.clockManager = clockManager;
+        this.paused = false;
+        this.speed = 1; // Simulated time per unit of real time
+        this.maxFrameCatchUpMs = 100;
+        this.maxFrameWorkMs = 40; // Wall-clock time one frame may spend simulating
+        this.achievedSpeed = 1; // Speed actually reached in the last frame
+        this.runTarget = null; // Absolute ns to stop at, set by runUntil()
+
+        // Callbacks
+        this.onStateChange = null; // (transport) => void
+    }
+
+    get currentTime() {
+        return this.engine.currentTime;
+    }
+
+    notify() {
+        if (this.onStateChange) this.onStateChange(this);
+    }
+
+    pause() {
+        this.paused = true;
+        this.runTarget = null;
+        this.notify();
+    }
+
+    resume() {
+        this.paused = false;
+        this.notify();
+    }
+
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
+        return this.paused;
+    }
+
+    /**
+     * Set the speed multiplier, clamped to MIN_SPEED..MAX_SPEED
+     */
+    setSpeed(multiplier) {
+        const value = Number(multiplier);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid simulation speed: ${multiplier}`);
+        }
+        this.speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, value));
+        this.notify();
+        return this.speed;
+    }
+
+    /**
+     * Advance simulated time for one animation frame.
+     * The frame is simulated in growing slices and stops early once it has
+     * used maxFrameWorkMs of real time, so a circuit too busy for the chosen
+     * speed runs slower (see achievedSpeed) instead of freezing the page.
+     * Returns the number of nanoseconds simulated.
+     */
+    tick(elapsedMs) {
+        if (this.paused) return 0;
+
+        // Cap catch-up so a backgrounded tab doesn't replay minutes of clock edges
+        const frameMs = Math.min(Math.max(elapsedMs, 0), this.maxFrameCatchUpMs);
+        const startedAt = this.engine.currentTime;
+        let targetTime = startedAt + frameMs * 1e6 * this.speed;
+        const reachesRunTarget = this.runTarget !== null && this.runTarget <= targetTime;
+        if (reachesRunTarget) targetTime = this.runTarget;
+
+        const frameStartedAt = performance.now();
+        let sliceNs = (targetTime - startedAt) / 1024;
+        do {
+            if (!this.engine.runUntil(Math.min(targetTime, this.engine.currentTime + sliceNs))) {
+                this.pause(); // Halted by a breakpoint
+                break;
+            }
+            const spentMs = performance.now() - frameStartedAt;
+            if (spentMs >= this.maxFrameWorkMs) break;
+            // Grow the slice, but no further than the rest of the budget allows at the rate so far
+            const nsPerMs = (this.engine.currentTime - startedAt) / Math.max(spentMs, 0.01);
+            sliceNs = Math.min(sliceNs * 2, nsPerMs * (this.maxFrameWorkMs - spentMs));
+        } while (this.engine.currentTime < targetTime);
+
+        const simulated = this.engine.currentTime - startedAt;
+        const finished = this.engine.currentTime >= targetTime;
+        if (frameMs > 0) {
+            this.achievedSpeed = finished ? this.speed : simulated / (frameMs * 1e6);
+        }
+        if (finished && reachesRunTarget) this.pause();
+        return simulated;
+    }
+
+    /**
+     * Pause and advance to the next clock edge. Pass one frequency or a list
+     * to restrict the step to those clocks. Returns the edge time, or null
+     * when none of the clocks is running.
+     */
+    stepEdge(frequencies = null) {
+        const list = frequencies === null ? [null] : [].concat(frequencies);
+        let next = null;
+        list.forEach((frequency) => {
+            const edgeAt = this.clockManager.getNextEdgeTime(frequency);
+            if (edgeAt !== null && (next === null || edgeAt < next)) {
+                next = edgeAt;
+            }
+        });
+
+        this.pause();
+        if (next === null) return null;
+
+        this.engine.runUntil(next);
+        return this.engine.currentTime; // Earlier than the edge if a breakpoint hit
+    }
+
+    /**
+     * Pause and advance by a fixed number of nanoseconds
+     */
+    stepTime(durationNs) {
+        const value = Number(durationNs);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid step duration: ${durationNs}`);
+        }
+        this.pause();
+        this.engine.runUntil(this.engine.currentTime + value);
+        return this.engine.currentTime;
+    }
+
+    /**
+     * Run at the current speed and pause once simulated time reaches timeNs
+     */
+    runUntil(timeNs) {
+        const value = Number(timeNs);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid run-until time: ${timeNs}`);
+        }
+        if (value <= this.engine.currentTime) {
+            this.pause();
+            return false;
+        }
+        this.runTarget = value;
+        this.resume();
+        return true;
+    }
+}
+
+/**
+ * Format simulated nanoseconds for display (e.g. "12.500 ms")
+ */
+export function formatSimTime(ns) {
+    const abs = Math.abs(ns);
+    if (abs >= 1e9) return `${(ns / 1e9).toFixed(3)} s`;
+    if (abs >= 1e6) return `${(ns / 1e6).toFixed(3)} ms`;
+    if (abs >= 1e3) return `${(ns / 1e3).toFixed(3)} µs`;
+    return `${Math.round(ns)} ns`;
+}
+
+/**
+ * Parse a duration such as "500", "250ns", "10us", "2.5ms" or "1s" into ns
+ */
+export function parseSimTime(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(ns|us|µs|ms|s)?$/);
+    if (!match) return null;
+    const scale = { ns: 1, us: 1e3, 'µs': 1e3, ms: 1e6, s: 1e9 }[match[2] || 'ns'];
+    return Number(match[1]) * scale;
+}
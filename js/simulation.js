@@ -8,34 +8,167 @@ export const STATE_LOW = 0;
 export const STATE_HIGH = 1;
 export const STATE_FLOAT = 2; // High-Z / Disconnected
 export const STATE_ERROR = 3; // Short Circuit / Contention
+export const STATE_UNKNOWN = 4; // Metastable / undetermined level
 
 // Time Steps (in nanoseconds)
 export const TIME_STEP = 1; // 1ns resolution
 
+// Which datasheet delay ICs use for their outputs
+export const TIMING_MODE = {
+    TYPICAL: 'typical',
+    WORST: 'worst', // Datasheet maximums
+    ZERO: 'zero' // Outputs settle in delta cycles, no simulated time passes
+};
+
+// How chips read undriven inputs and start up
+export const LOGIC_MODE = {
+    TTL: 'ttl', // Floating inputs read HIGH, flip-flops power up LOW
+    STRICT: 'strict' // Floating inputs and uninitialised flip-flops are UNKNOWN
+};
+
+// What happens to a feedback loop that keeps toggling
+export const OSCILLATION_MODE = {
+    MARK: 'mark', // Report it and force the loop's nets UNKNOWN
+    RING: 'ring' // Report it and let it ring at the modelled propagation delay
+};
+
+/*
+ * Pessimistic logic on states. ERROR (contention) wins, then a controlling
+ * level (LOW for AND, HIGH for OR); anything else undetermined is UNKNOWN.
+ */
+
+export function isKnown(state) {
+    return state === STATE_HIGH || state === STATE_LOW;
+}
+
+export function logicBuffer(a) {
+    if (a === STATE_ERROR || isKnown(a)) return a;
+    return STATE_UNKNOWN;
+}
+
+export function logicNot(a) {
+    if (a === STATE_HIGH) return STATE_LOW;
+    if (a === STATE_LOW) return STATE_HIGH;
+    return logicBuffer(a);
+}
+
+export function logicAnd(...inputs) {
+    if (inputs.includes(STATE_ERROR)) return STATE_ERROR;
+    if (inputs.includes(STATE_LOW)) return STATE_LOW;
+    return inputs.every(a => a === STATE_HIGH) ? STATE_HIGH : STATE_UNKNOWN;
+}
+
+export function logicOr(...inputs) {
+    if (inputs.includes(STATE_ERROR)) return STATE_ERROR;
+    if (inputs.includes(STATE_HIGH)) return STATE_HIGH;
+    return inputs.every(a => a === STATE_LOW) ? STATE_LOW : STATE_UNKNOWN;
+}
+
+export function logicXor(a, b) {
+    if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
+    if (!isKnown(a) || !isKnown(b)) return STATE_UNKNOWN;
+    return (a !== b) ? STATE_HIGH : STATE_LOW;
+}
+
+/**
+ * Data input picked by select lines (LSB first). With unknown select lines
+ * the result is only known when every candidate input agrees.
+ */
+export function logicSelect(inputs, selectBits) {
+    const candidates = inputs.filter((_, index) => selectBits.every((bit, i) => {
+        if (!isKnown(bit)) return true;
+        return ((index >> i) & 1) === (bit === STATE_HIGH ? 1 : 0);
+    })).map(logicBuffer);
+    return candidates.every(a => a === candidates[0]) ? candidates[0] : STATE_UNKNOWN;
+}
+
+/**
+ * One-line description of an oscillation report, e.g.
+ * "t=120ns: net_3 → 74LS04 ic-1 → net_3 (marked X)"
+ */
+export function describeOscillation(report, netName = (nodeId) => nodeId) {
+    const steps = report.cycle.map(step => `${netName(step.nodeId)} → ${step.chip}`);
+    const outcome = report.mode === OSCILLATION_MODE.RING ? 'ringing' : 'marked X';
+    return `t=${report.time}ns: ${steps.join(' → ')} → ${netName(report.cycle[0].nodeId)} (${outcome})`;
+}
+
+/**
+ * Drivers fighting over a net, e.g.
+ * "HIGH from 74LS125 ic-1 pin 3; LOW from 74LS125 ic-1 pin 6"
+ */
+export function describeContention(report) {
+    const from = (state) => report.drivers
+        .filter(d => d.state === state)
+        .map(d => d.label)
+        .join(', ') || 'none';
+    return `HIGH from ${from(STATE_HIGH)}; LOW from ${from(STATE_LOW)}`;
+}
+
+// A bridge between two TTL nets behaves as wired-AND: the LOW side wins
+function bridgeLevels(a, b) {
+    if (a === STATE_ERROR || b === STATE_ERROR) return STATE_ERROR;
+    if (a === STATE_LOW || b === STATE_LOW) return STATE_LOW;
+    if (a === STATE_UNKNOWN || b === STATE_UNKNOWN) return STATE_UNKNOWN;
+    if (a === STATE_HIGH || b === STATE_HIGH) return STATE_HIGH;
+    return STATE_FLOAT;
+}
+
 export class Node {
     constructor(id) {
         this.id = id;
         this.state = STATE_FLOAT;
         this.drivers = new Set(); // Who is driving this node?
+        this.driverInfo = new Map(); // driverFn -> { pinId, label, tristate, chip, cause }
         this.listeners = new Set(); // Who is listening to this node?
+        this.listenerInfo = new Map(); // listenerFn -> { pinId, chip }
+        this.pullUps = new Set(); // () => bool, true while the resistor is tied to a live +5V
+        this.pullUpInfo = new Map(); // pullUpFn -> { pinId }
+        this.busKeeper = false; // Hold the last driven level while every tri-state driver is off
+        this.keptState = STATE_FLOAT;
         this.voltage = 0; // For future analog extensions (optional)
         this.isVCC = false;
         this.isGND = false;
+        this.oscillating = false; // Set by the oscillation detector in mark mode
+        this.stuckAt = null; // STATE_LOW/HIGH while a stuck-at fault holds the net, see FaultInjector
+        this.bridges = new Set(); // Nets shorted to this one by a bridging fault
+        this.transitions = { windowStart: 0, count: 0, reported: false };
+        this.onChange = null; // (node, oldState) => void, set by CircuitEngine
     }
 
     /**
      * Resolve the logic state based on all drivers.
      * Rules:
+     * - Marked as oscillating -> UNKNOWN
+     * - Bridged to other nets -> wired-AND of each net's own level
+     */
+    resolve() {
+        if (this.oscillating) return STATE_UNKNOWN;
+
+        let state = this.resolveDrivers();
+        for (const other of this.bridges) {
+            state = bridgeLevels(state, other.resolveDrivers());
+        }
+        return state;
+    }
+
+    /**
+     * Level this net's own drivers produce.
+     * Rules:
+     * - Stuck-at fault -> the stuck level
      * - Any ERROR drive -> ERROR
      * - Multiple diff logic levels (HIGH + LOW) -> ERROR (Short)
-     * - Any HIGH + Pull-up -> HIGH
-     * - Any LOW + Pull-down -> LOW
+     * - Any UNKNOWN drive -> UNKNOWN
+     * - Any LOW driver wins over a pull-up (open-collector / wired-AND)
+     * - No HIGH/LOW driver + active pull-up -> HIGH
      * - All FLOAT -> FLOAT
      */
-    resolve() {
+    resolveDrivers() {
+        if (this.stuckAt !== null) return this.stuckAt;
+
         let hasHigh = false;
         let hasLow = false;
         let hasError = false;
+        let hasUnknown = false;
         let driverCount = 0;
 
         for (const driver of this.drivers) {
@@ -44,6 +177,7 @@ export class Node {
             if (val === STATE_ERROR) hasError = true;
             if (val === STATE_HIGH) hasHigh = true;
             if (val === STATE_LOW) hasLow = true;
+            if (val === STATE_UNKNOWN) hasUnknown = true;
         }
 
         if (hasError || (hasHigh && hasLow)) {
@@ -51,15 +185,36 @@ export class Node {
             return STATE_ERROR;
         }
 
+        if (hasUnknown) return STATE_UNKNOWN;
         if (hasHigh) return STATE_HIGH;
         if (hasLow) return STATE_LOW;
-        
+
+        // Nothing drives the net: a pull-up resistor lifts it HIGH
+        for (const pullUp of this.pullUps) {
+            if (pullUp()) return STATE_HIGH;
+        }
+
+        // Bus keeper: a released tri-state bus keeps its last level
+        if (this.busKeeper && this.keptState !== STATE_FLOAT && this.hasTristateDriver()) {
+            return this.keptState;
+        }
+
         // Default to Float if no drivers
         return STATE_FLOAT;
     }
 
+    hasTristateDriver() {
+        for (const info of this.driverInfo.values()) {
+            if (info.tristate) return true;
+        }
+        return false;
+    }
+
     update() {
         const newState = this.resolve();
+        if (newState === STATE_HIGH || newState === STATE_LOW) {
+            this.keptState = newState;
+        }
         if (newState !== this.state) {
             const oldState = this.state;
             this.state = newState;
@@ -67,6 +222,9 @@ export class Node {
             for (const listener of this.listeners) {
                 listener(this.state);
             }
+            if (this.onChange) this.onChange(this, oldState);
+            // Bridged nets always share a level
+            for (const other of this.bridges) other.update();
             return true; // State changed
         }
         return false;
@@ -81,49 +239,371 @@ export class Node {
     }
 }
 
+/**
+ * Binary min-heap of scheduled events.
+ * Ordered by time, then delta cycle, then insertion sequence, so events
+ * scheduled for the same instant always run in the order they were queued.
+ */
+export class EventQueue {
+    constructor() {
+        this.heap = [];
+        this.seqCounter = 0;
+    }
+
+    get length() {
+        return this.heap.length;
+    }
+
+    static compare(a, b) {
+        return (a.time - b.time) || (a.delta - b.delta) || (a.seq - b.seq);
+    }
+
+    push(event) {
+        event.seq = this.seqCounter++;
+        const heap = this.heap;
+        heap.push(event);
+
+        // Sift up
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (EventQueue.compare(heap[i], heap[parent]) >= 0) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    peek() {
+        return this.heap.length > 0 ? this.heap[0] : null;
+    }
+
+    pop() {
+        const heap = this.heap;
+        if (heap.length === 0) return null;
+
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+
+            // Sift down
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && EventQueue.compare(heap[left], heap[smallest]) < 0) smallest = left;
+                if (right < heap.length && EventQueue.compare(heap[right], heap[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    clear() {
+        this.heap = [];
+    }
+}
+
 export class CircuitEngine {
     constructor() {
         this.nodes = new Map(); // id -> Node
-        this.eventQueue = []; // [{ time, task }]
+        this.driverNodes = new Map(); // driverFn -> Node it currently drives, see updateDriver()
+        this.eventQueue = new EventQueue(); // { time, delta, seq, task }
         this.currentTime = 0;
+        this.currentDelta = 0; // Delta cycle of the event being processed
+        this.maxDeltaCycles = 1000; // Zero-delay iterations allowed per instant
         this.nodeCounter = 0;
         this.running = false;
-        this.breakOnChange = false;
+        this.breakOnChange = false; // Route node changes through onNodeChange
+        this.haltRequested = false;
+        this.busKeeper = false; // Applied to every node, see setBusKeeper()
+        this.timingMode = TIMING_MODE.TYPICAL;
+        this.logicMode = LOGIC_MODE.TTL;
+        this.unknownOnViolation = false; // Setup/hold/pulse-width violations drive flip-flop outputs UNKNOWN
+        this.oscillationMode = OSCILLATION_MODE.MARK;
+        this.oscillationWindowNs = 10000; // Transitions are counted per net over this window
+        this.oscillationThreshold = 50; // Transitions within one window that count as oscillation
+
+        // Callbacks
+        this.onNodeChange = null; // (node, oldState) => true to halt the run
+        this.onContention = null; // (node, drivers) => void, when a net enters STATE_ERROR; see describeContention()
+        this.onTimingViolation = null; // (violation) => void, see TTLChip.checkClockTiming()
+        this.onOscillation = null; // (report) => void, see reportOscillation()
     }
 
     createNode() {
         const id = `node_${++this.nodeCounter}`;
         const node = new Node(id);
+        node.onChange = (changed, oldState) => this.handleNodeChange(changed, oldState);
+        node.busKeeper = this.busKeeper;
         this.nodes.set(id, node);
         return node;
     }
 
+    handleNodeChange(node, oldState) {
+        this.countTransition(node);
+        if (node.state === STATE_ERROR && this.onContention) {
+            this.onContention(node, this.getActiveDrivers(node.id));
+        }
+        if (!this.breakOnChange || !this.onNodeChange) return;
+        if (this.onNodeChange(node, oldState)) {
+            this.halt();
+        }
+    }
+
+    /**
+     * Drivers currently forcing a level onto a node, for contention reports.
+     * Returns [{ pinId, label, state }]
+     */
+    getActiveDrivers(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return [];
+
+        const active = [];
+        for (const driver of node.drivers) {
+            const state = driver();
+            if (state === STATE_FLOAT) continue;
+            const info = node.driverInfo.get(driver) || {};
+            active.push({ pinId: info.pinId || null, label: info.label || info.pinId || 'unnamed driver', state });
+        }
+        return active;
+    }
+
+    setTimingMode(mode) {
+        if (!Object.values(TIMING_MODE).includes(mode)) {
+            throw new Error(`Unknown timing mode: ${mode}`);
+        }
+        this.timingMode = mode;
+    }
+
+    setLogicMode(mode) {
+        if (!Object.values(LOGIC_MODE).includes(mode)) {
+            throw new Error(`Unknown logic mode: ${mode}`);
+        }
+        this.logicMode = mode;
+    }
+
+    /**
+     * Switching to ring mode releases the nets marked so far; returns how many
+     */
+    setOscillationMode(mode) {
+        if (!Object.values(OSCILLATION_MODE).includes(mode)) {
+            throw new Error(`Unknown oscillation mode: ${mode}`);
+        }
+        this.oscillationMode = mode;
+        return mode === OSCILLATION_MODE.RING ? this.clearOscillations() : 0;
+    }
+
+    setUnknownOnViolation(enabled) {
+        this.unknownOnViolation = !!enabled;
+    }
+
+    reportTimingViolation(violation) {
+        if (this.onTimingViolation) this.onTimingViolation(violation);
+    }
+
+    /**
+     * Count a net transition in its window; a net that toggles more than
+     * `oscillationThreshold` times in one window is reported once per episode
+     */
+    countTransition(node) {
+        const counter = node.transitions;
+        const elapsed = this.currentTime - counter.windowStart;
+        if (elapsed >= this.oscillationWindowNs) {
+            // A quiet window ends the episode, so the next one is reported again
+            if (counter.count < this.oscillationThreshold || elapsed >= 2 * this.oscillationWindowNs) {
+                counter.reported = false;
+            }
+            counter.windowStart = this.currentTime;
+            counter.count = 0;
+        }
+        counter.count++;
+        if (counter.count >= this.oscillationThreshold && !counter.reported) {
+            this.reportOscillation(node);
+        }
+    }
+
+    /**
+     * Report an oscillating net with the feedback cycle through it:
+     * { time, mode, nodeIds, cycle: [{ nodeId, chip }] }, where each net
+     * feeds `chip`, which drives the next net (the last one closes the loop).
+     * In mark mode the nets in the loop resolve UNKNOWN until cleared.
+     */
+    reportOscillation(node) {
+        const cycle = this.findFeedbackCycle(node);
+        node.transitions.reported = true;
+        // A fast net outside any chip loop (e.g. a clock) is not oscillation
+        if (cycle.length === 0) return;
+
+        const nodes = cycle.map(step => step.node);
+        nodes.forEach(n => { n.transitions.reported = true; });
+
+        if (this.oscillationMode === OSCILLATION_MODE.MARK) {
+            nodes.forEach(n => { n.oscillating = true; });
+            this.schedule(0, () => nodes.forEach(n => n.update()));
+        }
+
+        if (this.onOscillation) {
+            this.onOscillation({
+                time: this.currentTime,
+                mode: this.oscillationMode,
+                nodeIds: nodes.map(n => n.id),
+                cycle: cycle.map(step => ({ nodeId: step.node.id, chip: step.chip }))
+            });
+        }
+    }
+
+    /**
+     * Breadth-first search from a net through the chips listening to it and
+     * the nets they drive, back to the start, so the shortest loop is
+     * reported. Only nets toggling in the current window are followed, and
+     * an output whose driver names the input `cause` of its last change is
+     * only reached through that input.
+     * Returns [{ node, chip }], or [] when no loop of chips closes through the net.
+     */
+    findFeedbackCycle(start) {
+        const drivenBy = new Map(); // chip -> [{ node, cause }] for the nets it drives
+        this.nodes.forEach(node => {
+            for (const info of node.driverInfo.values()) {
+                if (!info.chip) continue;
+                if (!drivenBy.has(info.chip)) drivenBy.set(info.chip, []);
+                drivenBy.get(info.chip).push({ node, cause: info.cause ? info.cause() : null });
+            }
+        });
+
+        const isToggling = (node) => node.transitions.count > 1 &&
+            this.currentTime - node.transitions.windowStart < this.oscillationWindowNs;
+
+        const cameFrom = new Map([[start, null]]); // net -> { node, chip } step that reached it
+        const queue = [start];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            for (const info of node.listenerInfo.values()) {
+                if (!info.chip) continue;
+                for (const { node: next, cause } of drivenBy.get(info.chip) || []) {
+                    if (cause && cause !== info.pinId) continue;
+                    if (next === start) {
+                        const path = [{ node, chip: info.chip }];
+                        for (let step = cameFrom.get(node); step; step = cameFrom.get(step.node)) {
+                            path.unshift(step);
+                        }
+                        return path;
+                    }
+                    if (cameFrom.has(next) || !isToggling(next)) continue;
+                    cameFrom.set(next, { node, chip: info.chip });
+                    queue.push(next);
+                }
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Release every net marked as oscillating and restart the counts
+     * (power-off, wiring changes, switching modes). Returns how many nets
+     * were released; their chips keep reading UNKNOWN until an input changes.
+     */
+    clearOscillations() {
+        let released = 0;
+        this.nodes.forEach(node => {
+            node.transitions = { windowStart: this.currentTime, count: 0, reported: false };
+            if (node.oscillating) {
+                node.oscillating = false;
+                node.update();
+                released++;
+            }
+        });
+        return released;
+    }
+
+    /**
+     * Enable/disable bus keepers on every net
+     */
+    setBusKeeper(enabled) {
+        this.busKeeper = !!enabled;
+        this.nodes.forEach(node => {
+            node.busKeeper = this.busKeeper;
+            node.update();
+        });
+    }
+
+    /**
+     * Forget every kept bus level (e.g. on power-off, when the keepers lose supply)
+     */
+    releaseBusKeepers() {
+        this.nodes.forEach(node => {
+            node.keptState = STATE_FLOAT;
+            node.update();
+        });
+    }
+
+    /**
+     * Stop the current runUntil() after the event being processed.
+     * Simulated time stays at that event so the triggering state is visible.
+     */
+    halt() {
+        this.haltRequested = true;
+    }
+
     /**
      * Connects a driver function to a node.
      * driverFn: () => STATE_XXX
+     * info: optional { pinId, label, tristate } used to name drivers in contention
+     * reports; the pinId also decides which side keeps the driver when a net splits
      */
-    addDriver(nodeId, driverFn) {
+    addDriver(nodeId, driverFn, info = null) {
         const node = this.nodes.get(nodeId);
         if (node) {
             node.drivers.add(driverFn);
+            if (info) node.driverInfo.set(driverFn, info);
+            this.driverNodes.set(driverFn, node);
             // Immediately update node state with new driver
             node.update();
         }
     }
 
+    /**
+     * Connects a pull-up resistor to a node.
+     * pullUpFn: () => bool (true while the pull-up is powered)
+     * info: optional { pinId } of the resistor's socket
+     */
+    addPullUp(nodeId, pullUpFn, info = null) {
+        const node = this.nodes.get(nodeId);
+        if (node) {
+            node.pullUps.add(pullUpFn);
+            if (info) node.pullUpInfo.set(pullUpFn, info);
+            node.update();
+        }
+    }
+
     /**
      * Connects a listener function to a node.
      * listenerFn: (newState) => void
+     * info: optional { pinId, chip } used to trace feedback loops
      */
-    addListener(nodeId, listenerFn) {
+    addListener(nodeId, listenerFn, info = null) {
         const node = this.nodes.get(nodeId);
         if (node) {
             node.listeners.add(listenerFn);
+            if (info) node.listenerInfo.set(listenerFn, info);
             // Initial update
             listenerFn(node.state);
         }
     }
 
+    /**
+     * Re-resolve whichever node a driver is on now, for sources (switches,
+     * clocks, the pulse button) whose net may have been merged or split
+     * since they were attached. Returns true if the node changed state.
+     */
+    updateDriver(driverFn) {
+        const node = this.driverNodes.get(driverFn);
+        return node ? node.update() : false;
+    }
+
     scheduleNodeUpdate(nodeId, delay = 0) {
         if (delay === 0) {
             // Immediate update
@@ -140,44 +620,79 @@ export class CircuitEngine {
         }
     }
 
-    schedule(delayNa, task) {
-        const executeTime = this.currentTime + delayNa;
-        this.eventQueue.push({ time: executeTime, task });
-        this.eventQueue.sort((a, b) => a.time - b.time); // Keep sorted
+    /**
+     * Queue a task `delayNs` nanoseconds from now.
+     * Zero-delay tasks run in the next delta cycle: after everything already
+     * queued for this instant, but before simulated time advances.
+     */
+    schedule(delayNs, task) {
+        const delay = Math.max(0, delayNs);
+        this.eventQueue.push({
+            time: this.currentTime + delay,
+            delta: delay === 0 ? this.currentDelta + 1 : 0,
+            task
+        });
     }
 
-    step(dt) {
-        this.currentTime += dt;
-        
-        // Process all events up to current time
-        while (this.eventQueue.length > 0 && this.eventQueue[0].time <= this.currentTime) {
-            const event = this.eventQueue.shift();
+    /**
+     * Process every event up to and including `targetTime`, then park the
+     * clock at `targetTime`. Returns false if halt() stopped the run early.
+     */
+    runUntil(targetTime) {
+        let overflowAt = null;
+        this.haltRequested = false;
+        this.running = true;
+
+        while (this.eventQueue.length > 0 && this.eventQueue.peek().time <= targetTime) {
+            const event = this.eventQueue.pop();
+            this.currentTime = event.time;
+            this.currentDelta = event.delta;
+
+            if (event.delta > this.maxDeltaCycles) {
+                // Zero-delay loop that never settles: drop it rather than hang
+                if (overflowAt !== event.time) {
+                    overflowAt = event.time;
+                    console.warn(`[Engine] Delta cycle limit (${this.maxDeltaCycles}) exceeded at ${event.time}ns; dropping zero-delay events`);
+                }
+                continue;
+            }
+
             event.task();
+
+            if (this.haltRequested) {
+                this.running = false;
+                return false;
+            }
         }
+
+        this.running = false;
+        this.currentTime = Math.max(this.currentTime, targetTime);
+        this.currentDelta = 0;
+        return true;
     }
 
     /**
-     * Run simulation for a specific duration (or until stable if duration is null)
-     * CAUTION: 'Until stable' can infinite loop with oscillators.
+     * Run all delta cycles queued for the current instant
+     */
+    settle() {
+        return this.runUntil(this.currentTime);
+    }
+
+    step(dt) {
+        return this.runUntil(this.currentTime + dt);
+    }
+
+    /**
+     * Run simulation for a specific duration.
+     * Jumps straight from event to event, so long idle spans are cheap.
      */
     run(duration = 1000) { // 1000ns default
-        const targetTime = this.currentTime + duration;
-        
-        while (this.currentTime < targetTime) {
-            // Jump to next event if it's sooner than step
-            if (this.eventQueue.length > 0 && this.eventQueue[0].time <= targetTime) {
-                this.currentTime = this.eventQueue[0].time;
-                const event = this.eventQueue.shift();
-                event.task();
-            } else {
-                this.currentTime = targetTime;
-            }
-        }
+        return this.runUntil(this.currentTime + duration);
     }
 
     /**
      * Merges two nodes into one (Connection wired)
-     * All drivers and listeners from nodeB move to nodeA.
+     * All drivers, listeners and pull-ups from nodeB move to nodeA.
      * nodeB is removed.
      */
     mergeNodes(nodeAId, nodeBId) {
@@ -188,20 +703,90 @@ export class CircuitEngine {
 
         if (!nodeA || !nodeB) return;
 
+        // Listeners from nodeB last saw nodeB's state
+        const movedListeners = [...nodeB.listeners];
+        const stateB = nodeB.state;
+
         // Move drivers
-        for (const d of nodeB.drivers) nodeA.drivers.add(d);
+        for (const d of nodeB.drivers) {
+            nodeA.drivers.add(d);
+            this.driverNodes.set(d, nodeA);
+        }
+        for (const [d, info] of nodeB.driverInfo) nodeA.driverInfo.set(d, info);
         // Move listeners
         for (const l of nodeB.listeners) nodeA.listeners.add(l);
+        for (const [l, info] of nodeB.listenerInfo) nodeA.listenerInfo.set(l, info);
+        // Move pull-ups
+        for (const p of nodeB.pullUps) nodeA.pullUps.add(p);
+        for (const [p, info] of nodeB.pullUpInfo) nodeA.pullUpInfo.set(p, info);
 
-        // Update ID references in listeners if needed? 
-        // (Depends on if listeners hold ID refs. Assuming closures for now.)
+        this.removeNode(nodeBId);
 
-        this.nodes.delete(nodeBId);
-        
-        // Trigger update on resolved node
-        nodeA.update();
+        // Trigger update on resolved node; if nodeA kept its state, tell the
+        // moved listeners about it anyway when it differs from what they saw
+        if (!nodeA.update() && nodeA.state !== stateB) {
+            movedListeners.forEach(l => l(nodeA.state));
+        }
 
         return nodeAId;
     }
-}
 
+    /**
+     * Splits a node in two (Connection cut)
+     * Drivers, listeners and pull-ups whose info names a pin in `pinIds`
+     * move to a new node that starts at the old state. Neither node is
+     * updated here: the caller points the split pins at the new node first,
+     * then updates both. Returns the new node.
+     */
+    splitNode(nodeId, pinIds) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+
+        const split = this.createNode();
+        split.state = node.state;
+        split.keptState = node.keptState;
+
+        const moves = (info) => info && pinIds.has(info.pinId);
+
+        // Move drivers
+        for (const [d, info] of node.driverInfo) {
+            if (!moves(info)) continue;
+            node.drivers.delete(d);
+            node.driverInfo.delete(d);
+            split.drivers.add(d);
+            split.driverInfo.set(d, info);
+            this.driverNodes.set(d, split);
+        }
+        // Move listeners
+        for (const [l, info] of node.listenerInfo) {
+            if (!moves(info)) continue;
+            node.listeners.delete(l);
+            node.listenerInfo.delete(l);
+            split.listeners.add(l);
+            split.listenerInfo.set(l, info);
+        }
+        // Move pull-ups
+        for (const [p, info] of node.pullUpInfo) {
+            if (!moves(info)) continue;
+            node.pullUps.delete(p);
+            node.pullUpInfo.delete(p);
+            split.pullUps.add(p);
+            split.pullUpInfo.set(p, info);
+        }
+
+        return split;
+    }
+
+    /**
+     * Delete a node no pin uses any more
+     */
+    removeNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+        for (const d of node.drivers) {
+            if (this.driverNodes.get(d) === node) this.driverNodes.delete(d);
+        }
+        for (const other of node.bridges) other.bridges.delete(node);
+        this.nodes.delete(nodeId);
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * Web IC Trainer - Subcircuit ICs
+ * Packages a board circuit as a new chip type: the switches feeding it
+ * become input pins and the LEDs it drives become output pins. A placed
+ * subcircuit builds its internal nets in the same engine as the board, so
+ * every chip inside keeps its own datasheet delays and timing checks.
+ */
+
+import { TTLChip, PIN_TYPE } from './ttl-chip.js';
+import { icRegistry, IC_CATEGORY, IC_ID_PATTERN } from './ic-registry.js';
+import { STATE_LOW, STATE_HIGH, STATE_FLOAT } from './simulation.js';
+
+export const SUBCIRCUIT_FORMAT = 'ic-trainer-subcircuit-v1';
+
+// DIP packages a subcircuit can use, smallest first
+const PACKAGE_SIZES = [14, 16];
+
+const PIN_NAME_PATTERN = /^[A-Za-z0-9_/]+$/;
+const PORT_TYPES = [PIN_TYPE.INPUT, PIN_TYPE.OUTPUT, PIN_TYPE.OPEN_COLLECTOR, PIN_TYPE.TRISTATE];
+
+/**
+ * Signal pins of a DIP package, skipping GND (last of the first row) and VCC (last pin)
+ */
+function getSignalPins(pinCount) {
+    const pins = [];
+    for (let pin = 1; pin < pinCount; pin++) {
+        if (pin !== pinCount / 2) pins.push(pin);
+    }
+    return pins;
+}
+
+/**
+ * Package reference of a socketed chip: ic-1 -> U1
+ */
+function getChipRef(socketId) {
+    const match = /^ic-(\d+)$/.exec(socketId);
+    return match ? `U${match[1]}` : socketId;
+}
+
+/**
+ * Build a subcircuit definition from the chips and wiring on a board.
+ * options: { id, description, inputs: [{ name, pin }], outputs: [{ name, pin }] }
+ * where input pins are board outputs (switch-0, clock-1khz, pulse-out) and
+ * output pins are board inputs (led-0-in). Throws when the board cannot be
+ * packaged as described.
+ */
+export function captureSubcircuit(wiring, chips, options, registry = icRegistry) {
+    const { id, description = '', inputs = [], outputs = [] } = options;
+    if (typeof id !== 'string' || !id.trim()) throw new Error('Give the new IC a name');
+    if (!IC_ID_PATTERN.test(id)) throw new Error(`IC name "${id}" must be up to 32 letters, digits, _ and -`);
+    if (registry.has(id)) throw new Error(`IC ${id} is already registered`);
+    if (chips.size === 0) throw new Error('Place at least one IC on the board to package');
+    if (inputs.length === 0 || outputs.length === 0) throw new Error('Map at least one switch to an input pin and one LED to an output pin');
+
+    const isBoardPin = (pinId, type) => wiring.pinTypes.get(pinId) === type && !wiring.pinToIC.has(pinId);
+    const names = new Set();
+    [...inputs, ...outputs].forEach(({ name, pin }) => {
+        if (!PIN_NAME_PATTERN.test(name || '')) throw new Error(`Pin name "${name}" must use letters, digits, _ and /`);
+        if (names.has(name)) throw new Error(`Pin name ${name} is used twice`);
+        names.add(name);
+        if (wiring.netlist.getNet(pin).length < 2) throw new Error(`${pin} is not wired into the circuit`);
+    });
+    inputs.forEach(({ pin }) => {
+        if (!isBoardPin(pin, 'OUTPUT')) throw new Error(`${pin} cannot be an input: map a switch, clock or pulse output`);
+    });
+    outputs.forEach(({ pin }) => {
+        if (!isBoardPin(pin, 'INPUT')) throw new Error(`${pin} cannot be an output: map an LED input`);
+    });
+
+    const signals = inputs.length + outputs.length;
+    const pinCount = PACKAGE_SIZES.find(size => getSignalPins(size).length >= signals);
+    if (!pinCount) {
+        const largest = PACKAGE_SIZES[PACKAGE_SIZES.length - 1];
+        throw new Error(`${signals} signals do not fit a ${largest}-pin package (${getSignalPins(largest).length} at most)`);
+    }
+
+    // Inputs first, then outputs, on the package's signal pins
+    const signalPins = getSignalPins(pinCount);
+    const ports = new Map(); // board pinId -> package pin
+    const pins = {};
+    [...inputs, ...outputs].forEach(({ name, pin }, i) => {
+        ports.set(pin, signalPins[i]);
+        pins[signalPins[i]] = { name, type: i < inputs.length ? PIN_TYPE.INPUT : PIN_TYPE.OUTPUT, source: pin };
+    });
+
+    const refs = new Map(); // IC instance -> ref
+    chips.forEach((ic, socketId) => refs.set(ic, getChipRef(socketId)));
+
+    // Every net that reaches a chip pin or a mapped board pin
+    const seen = new Set();
+    const nets = [];
+    const visit = (start) => {
+        if (seen.has(start)) return;
+        const members = wiring.netlist.getNet(start);
+        members.forEach(pinId => seen.add(pinId));
+
+        const net = { pins: [], ports: [] };
+        const driverTypes = new Set();
+        members.forEach(pinId => {
+            const ic = wiring.pinToIC.get(pinId);
+            const type = wiring.pinTypes.get(pinId);
+            if (ic) {
+                const pin = parseInt(/-pin-(\d+)$/.exec(pinId)[1], 10);
+                net.pins.push(`${refs.get(ic)}.${pin}`);
+                driverTypes.add(ic.pinTypes[pin]);
+            } else if (ports.has(pinId)) {
+                net.ports.push(ports.get(pinId));
+            } else if (type === 'POWER') {
+                net.rail = pinId === 'vcc' ? 'vcc' : 'gnd';
+            } else if (type === 'PULLUP') {
+                net.pullUp = true;
+            } else if (type === 'OUTPUT') {
+                throw new Error(`${pinId} drives the circuit but is not mapped to an input pin`);
+            }
+        });
+
+        // An output pin passes on what drives its net inside the package
+        net.ports.filter(pin => pins[pin].type !== PIN_TYPE.INPUT).forEach(pin => {
+            if (net.rail || net.pullUp || driverTypes.has(PIN_TYPE.OUTPUT)) return;
+            if (driverTypes.has(PIN_TYPE.TRISTATE) || driverTypes.has(PIN_TYPE.BIDIRECTIONAL)) pins[pin].type = PIN_TYPE.TRISTATE;
+            else if (driverTypes.has(PIN_TYPE.OPEN_COLLECTOR)) pins[pin].type = PIN_TYPE.OPEN_COLLECTOR;
+        });
+
+        const ends = net.pins.length + net.ports.length + (net.rail ? 1 : 0) + (net.pullUp ? 1 : 0);
+        if (ends >= 2) nets.push(net);
+    };
+    chips.forEach((ic, socketId) => {
+        for (let pin = 1; pin <= ic.pinCount; pin++) visit(`${socketId}-pin-${pin}`);
+    });
+    ports.forEach((_, pinId) => visit(pinId));
+
+    return {
+        format: SUBCIRCUIT_FORMAT,
+        id,
+        description,
+        pinCount,
+        vcc: pinCount,
+        gnd: pinCount / 2,
+        pins,
+        chips: [...chips].map(([socketId, ic]) => ({ ref: getChipRef(socketId), type: ic.type })),
+        nets
+    };
+}
+
+/**
+ * Check a subcircuit definition against the registry. Returns { ok, errors }.
+ */
+export function validateSubcircuit(def, registry = icRegistry) {
+    const errors = [];
+    if (!def || typeof def !== 'object' || def.format !== SUBCIRCUIT_FORMAT) {
+        return { ok: false, errors: [`Subcircuit must be an object with format "${SUBCIRCUIT_FORMAT}".`] };
+    }
+    if (typeof def.id !== 'string' || !IC_ID_PATTERN.test(def.id)) {
+        errors.push('`id` must be 1-32 letters, digits, _ and -, starting with a letter or digit.');
+    }
+    if (!PACKAGE_SIZES.includes(def.pinCount)) errors.push(`\`pinCount\` must be one of ${PACKAGE_SIZES.join(', ')}.`);
+
+    const isPin = (pin) => Number.isInteger(pin) && pin >= 1 && pin <= def.pinCount && pin !== def.vcc && pin !== def.gnd;
+    Object.entries(def.pins || {}).forEach(([pin, entry]) => {
+        if (!isPin(Number(pin)) || !PORT_TYPES.includes(entry?.type)) {
+            errors.push(`\`pins.${pin}\` must be a signal pin with type ${PORT_TYPES.join(', ')}.`);
+        }
+        if (!PIN_NAME_PATTERN.test(entry?.name || '')) errors.push(`\`pins.${pin}.name\` must use letters, digits, _ and /.`);
+    });
+
+    const chips = new Map((Array.isArray(def.chips) ? def.chips : []).map(chip => [chip?.ref, chip?.type]));
+    chips.forEach((type, ref) => {
+        if (!registry.has(type)) errors.push(`${def.id} uses IC ${type} (${ref}), which is not registered.`);
+    });
+    (Array.isArray(def.nets) ? def.nets : []).forEach((net, i) => {
+        (net?.pins || []).forEach(ref => {
+            const [chipRef, pin] = String(ref).split('.');
+            if (chips.has(chipRef) && !registry.has(chips.get(chipRef))) return; // Reported above
+            const pinCount = registry.getInfo(chips.get(chipRef))?.pinCount;
+            if (!pinCount || !(Number(pin) >= 1 && Number(pin) <= pinCount)) {
+                errors.push(`\`nets[${i}]\`: no chip pin ${ref}.`);
+            }
+        });
+        (net?.ports || []).forEach(pin => {
+            if (!def.pins?.[pin]) errors.push(`\`nets[${i}]\`: pin ${pin} is not a package pin.`);
+        });
+    });
+    return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Chip that simulates a packaged board circuit (see captureSubcircuit)
+ */
+export class SubcircuitChip extends TTLChip {
+    constructor(id, name, definition, registry = icRegistry) {
+        super(id, name, definition.pinCount);
+        this.definition = definition;
+
+        this.vccPin = definition.vcc;
+        this.gndPin = definition.gnd;
+        this.pinNames = new Array(definition.pinCount + 1).fill(null);
+        Object.entries(definition.pins).forEach(([pin, { name: pinName, type }]) => {
+            this.setPinType(Number(pin), type);
+            this.pinNames[pin] = pinName;
+        });
+        this.setPinType(this.vccPin, PIN_TYPE.POWER);
+        this.setPinType(this.gndPin, PIN_TYPE.POWER);
+        this.pinNames[this.vccPin] = 'VCC';
+        this.pinNames[this.gndPin] = 'GND';
+
+        // Chips inside, e.g. "ic-2.U1" for U1 of the package in socket ic-2
+        this.chips = new Map(definition.chips.map(({ ref, type }) => [ref, registry.create(type, `${id}.${ref}`)]));
+        this.internalNodes = [];
+        this.boundaryNodes = []; // Internal nodes driven from outside: rails, pull-ups, input pins
+        this.portNodes = new Map(); // package pin -> internal node
+    }
+
+    /**
+     * The chips inside carry the propagation delays; the package adds none
+     */
+    getOutputDelay() {
+        return 0;
+    }
+
+    setup(engine) {
+        this.engine = engine;
+        this.buildInternalNets();
+        this.chips.forEach(chip => chip.setup(engine));
+        super.setup(engine);
+    }
+
+    buildInternalNets() {
+        this.definition.nets.forEach(net => {
+            const node = this.engine.createNode();
+            this.internalNodes.push(node);
+
+            if (net.rail) {
+                const level = net.rail === 'vcc' ? STATE_HIGH : STATE_LOW;
+                this.engine.addDriver(node.id, () => (this.isPowered() ? level : STATE_FLOAT), {
+                    pinId: `${this.id}.${net.rail}`,
+                    label: `${this.name} ${this.id} ${net.rail.toUpperCase()}`
+                });
+            }
+            if (net.pullUp) {
+                this.engine.addPullUp(node.id, () => this.isPowered(), { pinId: `${this.id}.pullup` });
+            }
+            net.ports.forEach(pin => {
+                this.portNodes.set(pin, node);
+                if (this.pinTypes[pin] !== PIN_TYPE.INPUT) return;
+                this.engine.addDriver(node.id, () => (this.isPowered() ? this.getInputState(pin) : STATE_FLOAT), {
+                    pinId: `${this.id}.pin-${pin}`,
+                    label: `${this.name} ${this.id} pin ${pin}`
+                });
+            });
+            if (net.rail || net.pullUp || net.ports.some(pin => this.pinTypes[pin] === PIN_TYPE.INPUT)) {
+                this.boundaryNodes.push(node);
+            }
+
+            net.pins.forEach(ref => {
+                const [chipRef, pin] = ref.split('.');
+                this.chips.get(chipRef).setPinNode(parseInt(pin, 10), node);
+            });
+        });
+    }
+
+    /**
+     * Also follow the internal nets behind the output pins
+     */
+    registerListeners() {
+        super.registerListeners();
+        this.portNodes.forEach((node, pin) => {
+            if (this.pinTypes[pin] === PIN_TYPE.INPUT) return;
+            this.engine.addListener(node.id, () => this.triggerEvaluation(), { pinId: `${this.id}.pin-${pin}`, chip: `${this.name} ${this.id}` });
+        });
+    }
+
+    evaluate() {
+        // Power and input levels reach the chips inside through the boundary nodes
+        this.boundaryNodes.forEach(node => node.update());
+
+        const powered = this.isPowered();
+        const updates = [];
+        for (let pin = 1; pin <= this.pinCount; pin++) {
+            const type = this.pinTypes[pin];
+            if (type !== PIN_TYPE.OUTPUT && type !== PIN_TYPE.OPEN_COLLECTOR && type !== PIN_TYPE.TRISTATE) continue;
+            const node = this.portNodes.get(pin);
+            updates.push({ pin, state: powered && node ? node.state : STATE_FLOAT });
+        }
+        return updates;
+    }
+
+    reset() {
+        super.reset();
+        this.chips.forEach(chip => chip.reset());
+    }
+
+    dispose() {
+        this.chips.forEach(chip => chip.dispose());
+        this.internalNodes.forEach(node => this.engine?.removeNode(node.id));
+        this.internalNodes = [];
+        this.boundaryNodes = [];
+        this.portNodes.clear();
+    }
+}
+
+/**
+ * Register a subcircuit definition as a chip type.
+ * Throws when it is invalid or its id is already taken.
+ */
+export function registerSubcircuit(def, registry = icRegistry) {
+    const { ok, errors } = validateSubcircuit(def, registry);
+    if (!ok) throw new Error(`Invalid subcircuit ${def?.id ?? ''}: ${errors.join(' ')}`);
+    if (registry.has(def.id)) throw new Error(`IC ${def.id} is already registered`);
+
+    const inner = def.chips.map(chip => chip.type).join(', ');
+    registry.register({
+        id: def.id,
+        class: class extends SubcircuitChip {
+            constructor(id, name = def.id) {
+                super(id, name, def, registry);
+            }
+        },
+        name: def.id,
+        description: def.description || `Subcircuit (${inner})`,
+        pinCount: def.pinCount,
+        category: IC_CATEGORY.CUSTOM,
+        pins: Object.fromEntries(Object.entries(def.pins).map(([pin, { name, type, source }]) => [pin, {
+            name: name.startsWith('/') ? name.slice(1) : name,
+            function: `${type === PIN_TYPE.INPUT ? 'Input' : 'Output'} (was ${source} on the board)`,
+            activeLow: name.startsWith('/')
+        }]))
+    });
+    return registry.getInfo(def.id);
+}
@@ -0,0 +1,579 @@
+/**
+ * Web IC Trainer - Headless Trainer Board
+ * DOM-free model of the trainer hardware (power rails, switches, LEDs, clocks,
+ * mono pulse, BCD section and IC sockets) so circuits can be driven from Node.
+ */
+
+import { CircuitEngine, STATE_LOW, STATE_HIGH, STATE_FLOAT, describeOscillation, describeContention } from './simulation.js';
+import { WiringManager } from './wiring-engine.js';
+import { ClockManager } from './clock-manager.js';
+import { BreakpointManager } from './breakpoints.js';
+import { FaultInjector } from './fault-injector.js';
+import { DesignRuleChecker } from './design-rules.js';
+import { NetlistExporter } from './netlist-export.js';
+import { captureSubcircuit, registerSubcircuit } from './subcircuit.js';
+import { icRegistry } from './ic-registration.js';
+import { describeTimingViolation } from './ttl-chip.js';
+
+export const CIRCUIT_SCHEMA = 'ic-trainer-circuit-v1';
+
+export const SOCKET_IDS = ['ic-1', 'ic-2', 'ic-3', 'ic-4'];
+
+export const SWITCH_COUNT = 8;
+export const LED_COUNT = 8;
+export const PULLUP_COUNT = 4; // pullup-0..3, resistors to +5V
+
+// Clock frequencies in Hz
+export const CLOCK_SOURCES = [
+    { freq: 1, pinId: 'clock-1hz' },
+    { freq: 10, pinId: 'clock-10hz' },
+    { freq: 100, pinId: 'clock-100hz' },
+    { freq: 1000, pinId: 'clock-1khz' },
+    { freq: 10000, pinId: 'clock-10khz' }
+];
+
+// Matches the 100ms pulse produced by the trainer's push button
+export const DEFAULT_PULSE_WIDTH_NS = 100e6;
+
+export class TrainerBoard {
+    /**
+     * options.circuit: optional ic-trainer-circuit-v1 payload to load immediately
+     * options.timingMode: TIMING_MODE value for IC delays (default typical)
+     * options.unknownOnViolation: timing violations drive flip-flop outputs UNKNOWN
+     * options.logicMode: LOGIC_MODE value (default ttl, 'strict' for X propagation)
+     * options.oscillationMode: OSCILLATION_MODE value (default mark)
+     */
+    constructor(options = {}) {
+        this.engine = new CircuitEngine();
+        if (options.timingMode) this.engine.setTimingMode(options.timingMode);
+        if (options.logicMode) this.engine.setLogicMode(options.logicMode);
+        if (options.oscillationMode) this.engine.setOscillationMode(options.oscillationMode);
+        this.engine.setUnknownOnViolation(options.unknownOnViolation);
+        this.wiring = new WiringManager(this.engine);
+        this.clockManager = new ClockManager(this.engine);
+        this.breakpoints = new BreakpointManager(this.engine, this.wiring);
+        this.faults = new FaultInjector(this.engine, this.wiring);
+        this.designRules = new DesignRuleChecker(this.wiring);
+        this.netlistExporter = new NetlistExporter(this.wiring);
+        this.icInstances = new Map(); // socketId -> IC Object
+
+        this.isPowered = false;
+
+        this.switchStates = new Array(SWITCH_COUNT).fill(STATE_LOW);
+        this.switchNodes = [];
+        this.ledStates = new Array(LED_COUNT).fill(STATE_FLOAT);
+        this.pulseActive = false;
+        this.bcdValue = null;
+        this.timingViolations = []; // Every setup/hold/pulse-width/fMAX violation, oldest first
+        this.oscillations = []; // Every feedback loop the engine caught oscillating, oldest first
+        this.contentions = []; // { time, nodeId, drivers } for every net driven HIGH and LOW at once, oldest first
+
+        // Listeners for host updates (optional)
+        this.onLedChange = null; // (index, isLit) => void
+        this.onLog = null; // (type, msg) => void
+
+        this.wiring.onNetUpdate = (pins, newNode) => this.handleNetUpdate(pins, newNode);
+        this.engine.onTimingViolation = (violation) => {
+            this.timingViolations.push(violation);
+            this.log('Timing', describeTimingViolation(violation));
+        };
+        this.engine.onOscillation = (report) => {
+            this.oscillations.push(report);
+            this.log('Oscillation', describeOscillation(report, nodeId => this.getNetName(nodeId)));
+        };
+        this.engine.onContention = (node, drivers) => {
+            const report = { time: this.engine.currentTime, nodeId: node.id, drivers };
+            const last = this.contentions[this.contentions.length - 1];
+            // Same fight re-resolved in one instant
+            if (last && last.time === report.time && last.nodeId === report.nodeId &&
+                describeContention(last) === describeContention(report)) return;
+            this.contentions.push(report);
+            this.log('Contention', `${this.getNetName(node.id)}: ${describeContention(report)}`);
+        };
+        this.wiring.onWireError = (sourcePin, targetPin, error) => {
+            this.log('Wire', `Wiring error: ${error} (${sourcePin} -> ${targetPin})`);
+        };
+
+        this.setupPowerRails();
+        this.setupPullUps();
+        this.setupSwitches();
+        this.setupLEDs();
+        this.setupClocks();
+        this.setupMonoPulse();
+        this.setupBCDDecoder();
+
+        if (options.circuit) {
+            this.loadCircuit(options.circuit);
+        }
+    }
+
+    log(type, msg) {
+        if (this.onLog) this.onLog(type, msg);
+    }
+
+    setupPowerRails() {
+        this.vccNode = this.engine.createNode();
+        this.vccNode.isVCC = true;
+        this.vccDriver = () => this.isPowered ? STATE_HIGH : STATE_FLOAT;
+        this.engine.addDriver(this.vccNode.id, this.vccDriver, { pinId: 'vcc', label: 'vcc' });
+
+        this.gndNode = this.engine.createNode();
+        this.gndNode.isGND = true;
+        this.gndDriver = () => this.isPowered ? STATE_LOW : STATE_FLOAT;
+        this.engine.addDriver(this.gndNode.id, this.gndDriver, { pinId: 'gnd', label: 'gnd' });
+
+        this.wiring.registerPin('vcc', this.vccNode.id, 'POWER');
+        this.wiring.registerPin('gnd', this.gndNode.id, 'POWER');
+        this.wiring.registerPin('gnd-2', this.gndNode.id, 'POWER');
+        this.wiring.registerPin('clock-gnd', this.gndNode.id, 'POWER');
+        this.wiring.registerPin('pulse-gnd', this.gndNode.id, 'POWER');
+    }
+
+    setupPullUps() {
+        for (let i = 0; i < PULLUP_COUNT; i++) {
+            const pinId = `pullup-${i}`;
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'PULLUP');
+
+            this.engine.addPullUp(node.id, () => this.isPowered, { pinId });
+        }
+    }
+
+    setupSwitches() {
+        for (let i = 0; i < SWITCH_COUNT; i++) {
+            const pinId = `switch-${i}`;
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'OUTPUT');
+
+            const driver = () => this.isPowered ? this.switchStates[i] : STATE_FLOAT;
+            this.engine.addDriver(node.id, driver, { pinId, label: pinId });
+            this.switchNodes.push(pinId);
+        }
+    }
+
+    setupLEDs() {
+        for (let i = 0; i < LED_COUNT; i++) {
+            const pinId = `led-${i}-in`;
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'INPUT');
+
+            const listener = (state) => {
+                const wasLit = this.isLedLit(i);
+                this.ledStates[i] = state;
+                const isLit = this.isLedLit(i);
+                if (wasLit !== isLit && this.onLedChange) {
+                    this.onLedChange(i, isLit);
+                }
+            };
+            this.engine.addListener(node.id, listener, { pinId });
+        }
+    }
+
+    setupClocks() {
+        CLOCK_SOURCES.forEach(({ freq, pinId }) => {
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'OUTPUT');
+            this.clockManager.registerClock(freq, node.id, pinId);
+        });
+    }
+
+    setupMonoPulse() {
+        const node = this.engine.createNode();
+        this.wiring.registerPin('pulse-out', node.id, 'OUTPUT');
+
+        const driver = () => this.isPowered && this.pulseActive ? STATE_HIGH : STATE_LOW;
+        this.engine.addDriver(node.id, driver, { pinId: 'pulse-out', label: 'pulse-out' });
+    }
+
+    setupBCDDecoder() {
+        const inputPins = ['bcd-a', 'bcd-b', 'bcd-c', 'bcd-d'];
+        const outputPins = ['bcd-out-a', 'bcd-out-b', 'bcd-out-c', 'bcd-out-d'];
+        const outputStates = [STATE_FLOAT, STATE_FLOAT, STATE_FLOAT, STATE_FLOAT];
+
+        outputPins.forEach((pinId, index) => {
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'OUTPUT');
+            const driver = () => this.isPowered ? outputStates[index] : STATE_FLOAT;
+            this.engine.addDriver(node.id, driver, { pinId, label: pinId });
+        });
+
+        const updateDecoder = () => {
+            if (!this.isPowered) {
+                this.bcdValue = null;
+                outputStates.fill(STATE_FLOAT);
+            } else {
+                // Read BCD inputs (A=LSB, D=MSB)
+                const bits = inputPins.map(pinId => this.readPin(pinId) === STATE_HIGH ? 1 : 0);
+                const value = bits[3] * 8 + bits[2] * 4 + bits[1] * 2 + bits[0];
+                this.bcdValue = value;
+                for (let i = 0; i < 4; i++) {
+                    outputStates[i] = ((value >> i) & 1) ? STATE_HIGH : STATE_LOW;
+                }
+            }
+            outputPins.forEach(pinId => {
+                const nodeId = this.wiring.pinToNodeId.get(pinId);
+                if (nodeId) this.engine.scheduleNodeUpdate(nodeId, 0);
+            });
+        };
+
+        inputPins.forEach(pinId => {
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'INPUT');
+            // One listener per pin, so each follows its own pin when nets split
+            this.engine.addListener(node.id, () => updateDecoder(), { pinId });
+        });
+        this.updateBCDDecoder = updateDecoder;
+    }
+
+    /**
+     * Refresh after the wiring layer moves pins to another node (drivers,
+     * listeners and chip pin references move with them)
+     */
+    handleNetUpdate(pins, node) {
+        const touchedICs = new Set();
+        pins.forEach(pinId => {
+            const ic = this.wiring.pinToIC.get(pinId);
+            if (ic && this.icInstances.get(ic.id) === ic) touchedICs.add(ic);
+        });
+
+        node.update();
+        touchedICs.forEach(ic => ic.triggerEvaluation());
+        this.faults.apply(); // Faults follow their pins onto the new node
+    }
+
+    /**
+     * Design rule check over the board and its chips, see DesignRuleChecker.check()
+     */
+    checkDesign() {
+        return this.designRules.check(this.icInstances.values());
+    }
+
+    /**
+     * KiCad / SPICE / EDIF netlist text, see NetlistExporter
+     */
+    exportNetlist(format, options = {}) {
+        return this.netlistExporter.export(format, this.icInstances.values(), options);
+    }
+
+    /**
+     * A net's label, or its pins joined with '/', for log messages
+     */
+    getNetName(nodeId) {
+        return this.wiring.getNetName(nodeId);
+    }
+
+    /**
+     * Name the net a pin is on; pins with the same name are connected.
+     * An empty name removes the label. Throws on an unknown pin or bad name.
+     */
+    setNetLabel(pinId, name) {
+        this.wiring.setNetLabel(pinId, name);
+    }
+
+    /**
+     * Add a bus of `width` bits and tap `pins` onto it, LSB first
+     */
+    addBus(name, width, pins = []) {
+        const bus = this.wiring.addBus(name, width);
+        this.wiring.connectBus(name, pins);
+        return bus;
+    }
+
+    /**
+     * Bus value as a number, or null while any bit is not HIGH or LOW
+     */
+    readBus(name) {
+        return this.wiring.readBus(name).value;
+    }
+
+    /**
+     * Power rails ON/OFF
+     */
+    setPower(on) {
+        this.isPowered = !!on;
+        this.clockManager.setPower(this.isPowered);
+        if (!this.isPowered) this.engine.releaseBusKeepers();
+        this.engine.clearOscillations();
+
+        // Every board resource driver depends on the power state
+        this.engine.nodes.forEach(node => node.update());
+        this.icInstances.forEach(ic => ic.triggerEvaluation());
+        this.updateBCDDecoder();
+
+        this.log('System', `Power logic ${this.isPowered ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Place an IC from the registry into a socket
+     * Returns the IC instance, or null if the type or socket is invalid
+     */
+    placeIC(type, socketId) {
+        if (!SOCKET_IDS.includes(socketId)) {
+            this.log('IC', `Unknown socket: ${socketId}`);
+            return null;
+        }
+        if (this.icInstances.has(socketId)) {
+            this.removeIC(socketId);
+        }
+
+        const ic = icRegistry.create(type, socketId);
+        if (!ic) return null;
+
+        this.icInstances.set(socketId, ic);
+
+        for (let pin = 1; pin <= ic.pinCount; pin++) {
+            const pinId = `${socketId}-pin-${pin}`;
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, ic.pinTypes[pin] || 'INPUT', ic);
+            ic.setPinNode(pin, node);
+        }
+
+        // Auto-connect VCC and GND pins to power rails (like physical trainer)
+        this.wiring.addWire(`${socketId}-pin-${ic.vccPin}`, 'vcc', '#ff3b30');
+        this.wiring.addWire(`${socketId}-pin-${ic.gndPin}`, 'gnd', '#000000');
+
+        ic.setup(this.engine);
+        this.log('IC', `Placed ${type} in ${socketId}`);
+        return ic;
+    }
+
+    removeIC(socketId) {
+        const ic = this.icInstances.get(socketId);
+        if (!ic) return;
+
+        const icPinPrefix = `${socketId}-pin-`;
+        this.wiring.wires
+            .filter(w => w.source.startsWith(icPinPrefix) || w.target.startsWith(icPinPrefix))
+            .forEach(w => this.wiring.removeWire(w.id));
+        for (let pin = 1; pin <= ic.pinCount; pin++) {
+            this.wiring.unregisterPin(`${icPinPrefix}${pin}`);
+        }
+        ic.dispose();
+
+        this.icInstances.delete(socketId);
+        this.log('IC', `Removed ${ic.name}`);
+    }
+
+    /**
+     * Register the circuit on the board as a new IC type (see captureSubcircuit)
+     * and return its definition, e.g.
+     * packageAsIC({ id: 'FULLADD', inputs: [{ name: 'A', pin: 'switch-0' }], outputs: [{ name: 'S', pin: 'led-0-in' }] })
+     */
+    packageAsIC(options) {
+        const definition = captureSubcircuit(this.wiring, this.icInstances, options);
+        registerSubcircuit(definition);
+        this.log('IC', `Packaged the board as ${definition.id} (${definition.pinCount} pins)`);
+        return definition;
+    }
+
+    connectPins(sourcePin, targetPin, color = 'var(--color-text)') {
+        const alreadyConnected = this.wiring.wires.some(w =>
+            (w.source === sourcePin && w.target === targetPin) ||
+            (w.source === targetPin && w.target === sourcePin)
+        );
+        if (alreadyConnected) {
+            return 'existing-wire';
+        }
+        return this.wiring.addWire(sourcePin, targetPin, color);
+    }
+
+    /**
+     * Remove every IC, wire, bus, net label and fault, release switches and the pulse
+     */
+    clear() {
+        this.faults.clear();
+        [...this.wiring.buses.keys()].forEach(name => this.wiring.removeBus(name));
+        [...this.wiring.netLabels.keys()].forEach(pinId => this.wiring.setNetLabel(pinId, null));
+        Array.from(this.icInstances.keys()).forEach(socketId => this.removeIC(socketId));
+        [...this.wiring.wires].forEach(wire => this.wiring.removeWire(wire.id));
+        for (let i = 0; i < SWITCH_COUNT; i++) {
+            this.setSwitch(i, false);
+        }
+        this.pulseActive = false;
+    }
+
+    /**
+     * Load an ic-trainer-circuit-v1 payload onto a cleared board
+     * Returns { ok, errors }
+     */
+    loadCircuit(payload) {
+        const errors = [];
+        if (!payload || typeof payload !== 'object') {
+            return { ok: false, errors: ['Top-level JSON must be an object.'] };
+        }
+        if (payload.schema && payload.schema !== CIRCUIT_SCHEMA) {
+            return { ok: false, errors: [`Unsupported schema "${payload.schema}".`] };
+        }
+
+        const ics = Array.isArray(payload.ics) ? payload.ics : [];
+        const wires = Array.isArray(payload.wires) ? payload.wires : [];
+        const switches = Array.isArray(payload.switches) ? payload.switches : [];
+        const buses = Array.isArray(payload.buses) ? payload.buses : [];
+        const labels = Array.isArray(payload.labels) ? payload.labels : [];
+
+        this.clear();
+
+        ics.forEach(entry => {
+            if (!entry || !this.placeIC(entry.type, entry.socket)) {
+                errors.push(`Failed to place IC "${entry?.type}" in ${entry?.socket}`);
+            }
+        });
+
+        for (let i = 0; i < SWITCH_COUNT; i++) {
+            const val = switches[i];
+            this.setSwitch(i, val === 1 || val === true || val === '1');
+        }
+
+        wires.forEach(wire => {
+            const ok = wire && this.connectPins(wire.source, wire.target, wire.color || 'var(--color-text)');
+            if (!ok) {
+                errors.push(`Failed wire: ${wire?.source} -> ${wire?.target}`);
+            }
+        });
+
+        buses.forEach(entry => {
+            try {
+                this.wiring.addBus(entry?.name, entry?.width, entry?.color, entry?.display);
+            } catch (err) {
+                errors.push(`Failed bus "${entry?.name}": ${err.message}`);
+            }
+        });
+
+        labels.forEach(entry => {
+            try {
+                this.wiring.setNetLabel(entry?.pin, entry?.name);
+            } catch (err) {
+                errors.push(`Failed net label "${entry?.name}" on ${entry?.pin}: ${err.message}`);
+            }
+        });
+
+        const faultResult = this.faults.load(payload.faults || null);
+        errors.push(...faultResult.errors);
+
+        this.setPower(!!payload.powerOn);
+
+        return { ok: errors.length === 0, errors };
+    }
+
+    /**
+     * Snapshot the board as an ic-trainer-circuit-v1 payload
+     * Auto power wires are skipped, as in the browser export.
+     */
+    toCircuitJson() {
+        const isAutoPowerWire = (wire) => {
+            const check = (icPin, rail) => {
+                const match = icPin.match(/^(ic-\d+)-pin-(\d+)$/);
+                const ic = match && this.icInstances.get(match[1]);
+                if (!ic) return false;
+                const pinNum = parseInt(match[2], 10);
+                return (rail === 'vcc' && pinNum === ic.vccPin) || (rail === 'gnd' && pinNum === ic.gndPin);
+            };
+            return check(wire.source, wire.target) || check(wire.target, wire.source);
+        };
+
+        return {
+            schema: CIRCUIT_SCHEMA,
+            createdAt: new Date().toISOString(),
+            powerOn: this.isPowered,
+            presetId: null,
+            presetTitle: null,
+            expressionMeta: null,
+            ics: Array.from(this.icInstances.entries()).map(([socket, ic]) => ({ socket, type: ic.type })),
+            wires: this.wiring.wires
+                .filter(w => !isAutoPowerWire(w))
+                .map(w => ({ source: w.source, target: w.target, color: w.color })),
+            buses: Array.from(this.wiring.buses.values(), bus => ({ ...bus })),
+            labels: Array.from(this.wiring.netLabels, ([pin, name]) => ({ pin, name })),
+            switches: this.switchStates.map(s => s === STATE_HIGH ? 1 : 0),
+            faults: this.faults.serialize()
+        };
+    }
+
+    setSwitch(index, isHigh) {
+        if (index < 0 || index >= SWITCH_COUNT) {
+            throw new Error(`Switch index out of range: ${index}`);
+        }
+        this.switchStates[index] = isHigh ? STATE_HIGH : STATE_LOW;
+        const nodeId = this.wiring.pinToNodeId.get(`switch-${index}`);
+        if (nodeId) this.engine.scheduleNodeUpdate(nodeId, 0);
+    }
+
+    isLedLit(index) {
+        return this.isPowered && this.ledStates[index] === STATE_HIGH;
+    }
+
+    /**
+     * Returns true when LED `index` is lit
+     */
+    readLed(index) {
+        if (index < 0 || index >= LED_COUNT) {
+            throw new Error(`LED index out of range: ${index}`);
+        }
+        return this.readPin(`led-${index}-in`) === STATE_HIGH && this.isPowered;
+    }
+
+    /**
+     * Value shown on the BCD display, or null when blank/invalid
+     */
+    readBcdDisplay() {
+        return this.bcdValue !== null && this.bcdValue <= 9 ? this.bcdValue : null;
+    }
+
+    /**
+     * Fire the mono pulse: HIGH now, LOW again after widthNs of simulated time
+     */
+    pulse(widthNs = DEFAULT_PULSE_WIDTH_NS) {
+        if (!this.isPowered || this.pulseActive) return false;
+
+        const setPulse = (active) => {
+            this.pulseActive = active;
+            const nodeId = this.wiring.pinToNodeId.get('pulse-out');
+            if (nodeId) this.engine.scheduleNodeUpdate(nodeId, 0);
+        };
+
+        setPulse(true);
+        this.engine.schedule(widthNs, () => setPulse(false));
+        return true;
+    }
+
+    /**
+     * Advance simulated time by `ns` nanoseconds, running every due event.
+     * Stops early if a breakpoint hits (see breakpoints.lastHit).
+     */
+    advance(ns) {
+        this.engine.run(ns);
+        return this.engine.currentTime;
+    }
+
+    /**
+     * Advance to the next edge of one clock (Hz), or of any clock when omitted.
+     * Returns the edge time, or null when no clock is running.
+     */
+    stepClockEdge(frequency = null) {
+        const edgeAt = this.clockManager.getNextEdgeTime(frequency);
+        if (edgeAt === null) return null;
+        this.engine.runUntil(edgeAt);
+        return edgeAt;
+    }
+
+    /**
+     * Resolved logic state (STATE_*) of any board or IC pin
+     */
+    readPin(pinId) {
+        const nodeId = this.wiring.pinToNodeId.get(pinId);
+        if (!nodeId) {
+            throw new Error(`Unknown pin: ${pinId}`);
+        }
+        const node = this.engine.nodes.get(nodeId);
+        if (!node) return STATE_FLOAT;
+        node.update();
+        return node.state;
+    }
+
+    /**
+     * Stop clock generators
+     */
+    dispose() {
+        this.clockManager.stopAll();
+    }
+}
@@ -3,7 +3,9 @@
  * Base class for all TTL ICs with power validation, pin management, and evaluation framework
  */
 
-import { STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_ERROR } from './simulation.js';
+import { STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_ERROR, STATE_UNKNOWN, TIMING_MODE, LOGIC_MODE } from './simulation.js';
+import { FAULT_TYPE } from './fault-injector.js';
+import { formatPinName } from './ic-registry.js';
 
 // Pin Type Constants
 export const PIN_TYPE = {
@@ -11,9 +13,43 @@ export const PIN_TYPE = {
     OUTPUT: 'OUTPUT',
     POWER: 'POWER',
     CLOCK: 'CLOCK',
+    OPEN_COLLECTOR: 'OPEN_COLLECTOR', // Sinks LOW, otherwise floats (needs a pull-up)
+    TRISTATE: 'TRISTATE', // Drives HIGH/LOW while enabled, high-Z otherwise
+    BIDIRECTIONAL: 'BIDIRECTIONAL', // Tri-state output that is read as an input while released (transceivers)
     NC: 'NC' // No Connect
 };
 
+// Datasheet timing checks around a clock input
+export const TIMING_VIOLATION = {
+    SETUP: 'setup', // Data changed less than tSU before the active edge
+    HOLD: 'hold', // Data changed less than tH after the active edge
+    PULSE_WIDTH: 'pulse-width', // Clock HIGH or LOW for less than tW
+    FMAX: 'fmax' // Active edges closer together than 1 / fMAX
+};
+
+/**
+ * Human readable violation, e.g. "74LS74 ic-1 pin 2 (D1) changed 8 ns before
+ * the clock edge on pin 3 (CLK1) (tSU 20 ns)"
+ */
+export function describeTimingViolation(violation) {
+    const { type, chip, icId, pin, clockPin, pinName, clockPinName, actual, required } = violation;
+    const prefix = `${chip} ${icId}`;
+    const data = `pin ${pin}${pinName ? ` (${pinName})` : ''}`;
+    const clock = `pin ${clockPin}${clockPinName ? ` (${clockPinName})` : ''}`;
+    switch (type) {
+        case TIMING_VIOLATION.SETUP:
+            return `${prefix} ${data} changed ${actual} ns before the clock edge on ${clock} (tSU ${required} ns)`;
+        case TIMING_VIOLATION.HOLD:
+            return `${prefix} ${data} changed ${actual} ns after the clock edge on ${clock} (tH ${required} ns)`;
+        case TIMING_VIOLATION.PULSE_WIDTH:
+            return `${prefix} clock ${clock} pulse ${actual} ns wide (tW ${required} ns)`;
+        case TIMING_VIOLATION.FMAX:
+            return `${prefix} clock ${clock} edges ${actual} ns apart (fMAX ${Math.round(1000 / required)} MHz)`;
+        default:
+            return `${prefix} ${data}: ${type}`;
+    }
+}
+
 /**
  * Base class for all TTL ICs
  */
@@ -21,6 +57,7 @@ export class TTLChip {
     constructor(id, name, pinCount = 14) {
         this.id = id; // e.g., "ic-1"
         this.name = name;
+        this.type = null; // Registry id, set by ICRegistry.create()
         this.pinCount = pinCount;
 
         // Pin management: 1-indexed array
@@ -28,22 +65,37 @@ export class TTLChip {
         this.pinTypes = new Array(pinCount + 1).fill(PIN_TYPE.NC);
         this.pinNodes = new Array(pinCount + 1).fill(null); // Node references
 
-        // Power pins (default for 14-pin DIP)
-        this.vccPin = 14;
-        this.gndPin = 7;
+        // Power pins (default: corner pins, VCC last and GND at the end of the first row)
+        this.vccPin = pinCount;
+        this.gndPin = pinCount / 2;
+        this.pinInfo = {}; // pin -> { name, function, activeLow }, set by the registry
 
         // Internal state
         this.internalState = {};
         this.outputStates = new Map(); // pin -> state
 
-        // Propagation delay (ns)
+        // Propagation delay (ns), used when the registry gives no datasheet timing
         this.propDelay = 10;
+        this.timing = null; // { tPLH: { typ, max }, tPHL: { typ, max }, pins?: { [pin]: {...} }, checks? }
+        this.pendingOutputs = new Map(); // pin -> { state, token } scheduled but not yet driven
+        this.outputSeq = 0;
+        this.lastChangedInput = null; // Input pin whose change triggered the current evaluation
+        this.outputCauses = new Map(); // output pin -> input pin behind its last change (feedback tracing)
+        this.pinFaults = new Map(); // pin -> FAULT_TYPE, set by FaultInjector
+
+        // Input edge history for setup/hold/pulse-width checks
+        this.inputHistory = new Map(); // pin -> { state, previousState, changedAt, previousChangeAt, holdCheckedAt }
+        this.clockChecks = new Map(); // clock pin -> { lastActiveEdgeAt, widthCheckedAt }
+        this.poweredAt = null; // Simulated time the chip last powered up
 
         // Engine reference (set during setup)
         this.engine = null;
 
         // Evaluation flag to prevent infinite loops
         this.evaluating = false;
+        this.pendingEvaluation = false; // Input changed while evaluating (e.g. QA wired to CKB)
+        this.maxReevaluations = 100;
+        this.checkingPower = false; // An output wired onto a rail re-enters validatePower() through its own driver
 
         // Debug flag
         this.debug = false;
@@ -57,7 +109,7 @@ export class TTLChip {
     }
 
     /**
-     * Set pin type (INPUT, OUTPUT, POWER, CLOCK, NC)
+     * Set pin type (INPUT, OUTPUT, POWER, CLOCK, OPEN_COLLECTOR, TRISTATE, BIDIRECTIONAL, NC)
      */
     setPinType(pinNumber, type) {
         if (pinNumber > 0 && pinNumber <= this.pinCount) {
@@ -65,6 +117,18 @@ export class TTLChip {
         }
     }
 
+    /**
+     * Turn every totem-pole output into an open-collector output
+     * (e.g. 74LS03 is a 74LS00 with open-collector outputs)
+     */
+    setOpenCollectorOutputs() {
+        for (let pin = 1; pin <= this.pinCount; pin++) {
+            if (this.pinTypes[pin] === PIN_TYPE.OUTPUT) {
+                this.pinTypes[pin] = PIN_TYPE.OPEN_COLLECTOR;
+            }
+        }
+    }
+
     /**
      * Set pin node reference
      */
@@ -83,23 +147,86 @@ export class TTLChip {
     }
 
     /**
-     * Get input state with TTL floating behavior (floats HIGH)
+     * Datasheet metadata for a pin: { name, function, activeLow }, or null
+     */
+    getPinInfo(pinNumber) {
+        if (pinNumber === this.vccPin) return { name: 'VCC', function: '+5V supply', activeLow: false };
+        if (pinNumber === this.gndPin) return { name: 'GND', function: 'Ground', activeLow: false };
+        return this.pinInfo[pinNumber] || null;
+    }
+
+    /**
+     * Datasheet pin name, e.g. "1Y" or "/CLR1", or null when the chip has none
+     */
+    getPinName(pinNumber) {
+        return formatPinName(this.getPinInfo(pinNumber));
+    }
+
+    /**
+     * "74LS74 ic-1 pin 1 (/CLR1)"
+     */
+    describePin(pinNumber) {
+        const name = this.getPinName(pinNumber);
+        return `${this.name} ${this.id} pin ${pinNumber}${name ? ` (${name})` : ''}`;
+    }
+
+    /**
+     * Get input state with TTL floating behavior (floats HIGH), or UNKNOWN
+     * for a floating input in strict logic mode
      */
     getInputState(pinNumber) {
+        const fault = this.pinFaults.get(pinNumber);
+        if (fault === FAULT_TYPE.STUCK_AT_0) return STATE_LOW;
+        if (fault === FAULT_TYPE.STUCK_AT_1) return STATE_HIGH;
+        if (fault === FAULT_TYPE.OPEN) return this.getFloatingInputState();
+
         const node = this.pinNodes[pinNumber];
-        if (!node) return STATE_FLOAT; // Physically disconnected
+        if (!node || node.state === STATE_FLOAT) return this.getFloatingInputState();
+        return node.state;
+    }
+
+    getFloatingInputState() {
+        return this.engine?.logicMode === LOGIC_MODE.STRICT ? STATE_UNKNOWN : STATE_HIGH;
+    }
 
-        const state = node.state;
-        // TTL behavior: floating inputs default to HIGH
-        if (state === STATE_FLOAT) return STATE_HIGH;
+    /**
+     * Apply a pin fault (stuck-at-0/1 or open) inside the chip, null to repair it.
+     * Inputs read the faulty level; outputs drive it (or nothing, when open).
+     */
+    setPinFault(pinNumber, type) {
+        if (type) {
+            this.pinFaults.set(pinNumber, type);
+        } else {
+            this.pinFaults.delete(pinNumber);
+        }
+        this.getPinNode(pinNumber)?.update();
+    }
+
+    clearPinFaults() {
+        const pins = [...this.pinFaults.keys()];
+        this.pinFaults.clear();
+        pins.forEach(pin => this.getPinNode(pin)?.update());
+    }
+
+    /**
+     * Level an output pin actually drives, after any pin fault
+     */
+    getFaultedOutput(pinNumber, state) {
+        const fault = this.pinFaults.get(pinNumber);
+        if (fault === FAULT_TYPE.OPEN) return STATE_FLOAT;
+        if (fault === FAULT_TYPE.STUCK_AT_0) return STATE_LOW;
+        if (fault === FAULT_TYPE.STUCK_AT_1) return STATE_HIGH;
         return state;
     }
 
     /**
      * Validate power connections
-     * Returns true if VCC is HIGH and GND is LOW
+     * Returns true if VCC is HIGH and GND is LOW (and neither pin is open)
      */
     validatePower() {
+        if (this.pinFaults.get(this.vccPin) === FAULT_TYPE.OPEN || this.pinFaults.get(this.gndPin) === FAULT_TYPE.OPEN) {
+            return false;
+        }
         const vccNode = this.pinNodes[this.vccPin];
         const gndNode = this.pinNodes[this.gndPin];
 
@@ -110,9 +237,17 @@ export class TTLChip {
             return false;
         }
 
-        // Force node resolution before checking state
-        vccNode.update();
-        gndNode.update();
+        // Force node resolution before checking state (once: resolving a rail
+        // that one of our outputs is wired to calls back in here)
+        if (!this.checkingPower) {
+            this.checkingPower = true;
+            try {
+                vccNode.update();
+                gndNode.update();
+            } finally {
+                this.checkingPower = false;
+            }
+        }
 
         const vccState = vccNode.state;
         const gndState = gndNode.state;
@@ -138,90 +273,294 @@ export class TTLChip {
     reset() {
         this.internalState = {};
         this.outputStates.clear();
+        this.pendingOutputs.clear();
+        this.outputCauses.clear();
+        this.lastChangedInput = null;
+        this.inputHistory.clear();
+        this.clockChecks.clear();
+        this.poweredAt = null;
         this.evaluating = false;
+        this.pendingEvaluation = false;
     }
 
+    /**
+     * Release anything the chip created in the engine, once it leaves its socket
+     */
+    dispose() {}
+
     /**
      * Evaluate chip logic (to be overridden by subclasses)
-     * Returns array of {pin, state} updates
+     * Returns array of {pin, state} updates. TRISTATE and BIDIRECTIONAL pins
+     * may add `enabled: false` to release the pin (high-Z).
      */
     evaluate() {
         // To be implemented by subclasses
         return [];
     }
 
+    /**
+     * Output delay (ns) for a transition, from the datasheet timing and the
+     * engine's timing mode. Chips without timing data use propDelay.
+     */
+    getOutputDelay(pin, fromState, toState) {
+        const mode = this.engine.timingMode;
+        if (mode === TIMING_MODE.ZERO) return 0;
+        if (!this.timing) return this.propDelay;
+
+        const timing = this.timing.pins?.[pin] || this.timing;
+        const pick = (spec) => (mode === TIMING_MODE.WORST ? spec.max : spec.typ);
+        if (toState === STATE_HIGH) return pick(timing.tPLH);
+        if (toState === STATE_LOW) return pick(timing.tPHL);
+        // Enable/disable and power transitions: use the slower edge
+        return Math.max(pick(timing.tPLH), pick(timing.tPHL));
+    }
+
+    /**
+     * Notice VCC/GND becoming valid or dropping out. Returns true while powered.
+     */
+    trackPower() {
+        if (!this.isPowered()) {
+            this.inputHistory.clear();
+            this.clockChecks.clear();
+            this.poweredAt = null;
+            return false;
+        }
+        if (this.poweredAt === null) {
+            this.poweredAt = this.engine.currentTime;
+            this.powerUp();
+        }
+        return true;
+    }
+
+    /**
+     * Called once per power-up, before the first powered evaluation.
+     * Sequential chips put their state into getPowerOnState() here.
+     */
+    powerUp() {}
+
+    /**
+     * Flip-flop level right after power-up: LOW like the trainer's parts
+     * usually settle, or UNKNOWN in strict logic mode
+     */
+    getPowerOnState() {
+        return this.engine.logicMode === LOGIC_MODE.STRICT ? STATE_UNKNOWN : STATE_LOW;
+    }
+
+    /**
+     * Note the simulated time of every input level change
+     */
+    recordInputChanges() {
+        if (this.poweredAt === null) return;
+
+        const now = this.engine.currentTime;
+        // Levels settling at the power-up instant are the baseline, not edges
+        const settling = now === this.poweredAt;
+
+        for (let pin = 1; pin <= this.pinCount; pin++) {
+            const type = this.pinTypes[pin];
+            if (type !== PIN_TYPE.INPUT && type !== PIN_TYPE.CLOCK) continue;
+
+            const state = this.getInputState(pin);
+            const history = this.inputHistory.get(pin);
+            if (!history || settling) {
+                this.inputHistory.set(pin, { state, previousState: null, changedAt: null, previousChangeAt: null, holdCheckedAt: null });
+            } else if (history.state !== state) {
+                history.previousState = history.state;
+                history.state = state;
+                history.previousChangeAt = history.changedAt;
+                history.changedAt = now;
+            }
+        }
+    }
+
+    /**
+     * Setup/hold/pulse-width/fMAX limits for a clock pin, or null when the
+     * chip has none. Limits are in ns, fMax in MHz.
+     */
+    getTimingChecks(clockPin) {
+        const checks = this.timing?.checks;
+        if (!checks) return null;
+        return { ...checks, ...(checks.pins?.[clockPin] || {}) };
+    }
+
+    /**
+     * Check the datasheet limits around one clock input. Chips call this on
+     * every evaluation, passing whether the active edge happened now and the
+     * synchronous inputs sampled by it. Each violation is reported to the
+     * engine once; the ones found at this instant are returned.
+     * Skipped in zero-delay mode, where every change lands on the same instant.
+     */
+    checkClockTiming(clockPin, activeEdge, dataPins = []) {
+        const spec = this.getTimingChecks(clockPin);
+        const clock = this.inputHistory.get(clockPin);
+        if (!spec || !clock || this.engine.timingMode === TIMING_MODE.ZERO) return [];
+
+        const now = this.engine.currentTime;
+        const violations = [];
+        const report = (type, pin, actual, required) => {
+            const violation = {
+                type,
+                chip: this.name,
+                icId: this.id,
+                pin,
+                pinId: `${this.id}-pin-${pin}`,
+                clockPin,
+                pinName: this.getPinName(pin),
+                clockPinName: this.getPinName(clockPin),
+                time: now,
+                actual,
+                required
+            };
+            violations.push(violation);
+            this.engine.reportTimingViolation(violation);
+        };
+
+        let state = this.clockChecks.get(clockPin);
+        if (!state) {
+            state = { lastActiveEdgeAt: null, widthCheckedAt: null };
+            this.clockChecks.set(clockPin, state);
+        }
+
+        // Width of the clock level that just ended
+        const isLevel = (level) => level === STATE_HIGH || level === STATE_LOW;
+        if (spec.pulseWidth && clock.changedAt === now && state.widthCheckedAt !== now &&
+            clock.previousChangeAt !== null && isLevel(clock.state) && isLevel(clock.previousState)) {
+            state.widthCheckedAt = now;
+            const width = now - clock.previousChangeAt;
+            if (width < spec.pulseWidth) {
+                report(TIMING_VIOLATION.PULSE_WIDTH, clockPin, width, spec.pulseWidth);
+            }
+        }
+
+        if (activeEdge) {
+            if (spec.fMax && state.lastActiveEdgeAt !== null) {
+                const period = now - state.lastActiveEdgeAt;
+                const minPeriod = 1000 / spec.fMax;
+                if (period < minPeriod) {
+                    report(TIMING_VIOLATION.FMAX, clockPin, period, minPeriod);
+                }
+            }
+            if (spec.setup) {
+                dataPins.forEach(pin => {
+                    const data = this.inputHistory.get(pin);
+                    if (data && data.changedAt !== null && now - data.changedAt < spec.setup) {
+                        report(TIMING_VIOLATION.SETUP, pin, now - data.changedAt, spec.setup);
+                    }
+                });
+            }
+            state.lastActiveEdgeAt = now;
+        } else if (spec.hold && state.lastActiveEdgeAt !== null) {
+            dataPins.forEach(pin => {
+                const data = this.inputHistory.get(pin);
+                if (!data || data.changedAt !== now || data.holdCheckedAt === now) return;
+                data.holdCheckedAt = now;
+                const elapsed = now - state.lastActiveEdgeAt;
+                if (elapsed < spec.hold) {
+                    report(TIMING_VIOLATION.HOLD, pin, elapsed, spec.hold);
+                }
+            });
+        }
+
+        return violations;
+    }
+
+    /**
+     * True when violations found by checkClockTiming() should leave the
+     * affected outputs UNKNOWN (engine set to model metastability)
+     */
+    forcesUnknown(violations) {
+        return violations.length > 0 && this.engine.unknownOnViolation;
+    }
+
     /**
      * Propagate outputs to nodes
+     * Each change is scheduled after the chip's propagation delay. A newer
+     * evaluation supersedes a pending one, so pulses shorter than the delay
+     * are swallowed (inertial delay) just like on the real part.
      */
     propagate(updates) {
         if (!this.engine) return;
 
-        console.log(`[${this.name}] PROPAGATE called with ${updates.length} updates:`, updates.map(u => `pin ${u.pin} -> ${u.state === STATE_HIGH ? 'HIGH' : u.state === STATE_LOW ? 'LOW' : 'FLOAT'}`));
-
-        updates.forEach(({ pin, state }) => {
+        updates.forEach(({ pin, state: level, enabled = true }) => {
+            const state = enabled ? level : STATE_FLOAT;
+            const pending = this.pendingOutputs.get(pin);
             const currentState = this.outputStates.get(pin);
-            console.log(`[${this.name}] Processing pin ${pin}: current=${currentState}, new=${state}`);
 
-            if (currentState !== state) {
-                this.outputStates.set(pin, state);
-                const node = this.getPinNode(pin);
-                console.log(`[${this.name}] Pin ${pin} node:`, node?.id, 'drivers:', node?.drivers.size, 'listeners:', node?.listeners.size);
+            if (pending) {
+                if (pending.state === state) return; // Already on its way
+                this.pendingOutputs.delete(pin); // Superseded
+            }
+            if (currentState === state) return;
+
+            const token = ++this.outputSeq;
+            this.pendingOutputs.set(pin, { state, token });
+            this.outputCauses.set(pin, this.lastChangedInput);
+            this.engine.schedule(this.getOutputDelay(pin, currentState, state), () => {
+                if (this.pendingOutputs.get(pin)?.token !== token) return;
+                this.pendingOutputs.delete(pin);
+                this.applyOutput(pin, state);
+            });
+        });
+    }
 
-                if (node) {
-                    if (this.debug) {
-                        console.log(`[${this.name}] Setting output pin ${pin} to ${state === STATE_HIGH ? 'HIGH' : state === STATE_LOW ? 'LOW' : 'FLOAT'} (was ${currentState === STATE_HIGH ? 'HIGH' : currentState === STATE_LOW ? 'LOW' : 'FLOAT'})`);
-                        console.log(`[${this.name}] Node before update: ${node.state === STATE_HIGH ? 'HIGH' : node.state === STATE_LOW ? 'LOW' : 'FLOAT'}, drivers: ${node.drivers.size}`);
-                    }
-                    // Force node resolution - the driver function will return the new state
-                    const oldNodeState = node.state;
-                    const changed = node.update();
-                    const newNodeState = node.state;
+    /**
+     * Drive a new output level onto the pin's node
+     */
+    applyOutput(pin, state) {
+        const currentState = this.outputStates.get(pin);
 
-                    console.log(`[${this.name}] Pin ${pin} after node.update(): oldState=${oldNodeState}, newState=${newNodeState}, changed=${changed}`);
+        if (currentState !== state) {
+            this.outputStates.set(pin, state);
+            const node = this.getPinNode(pin);
 
-                    if (this.debug) {
-                        const resolvedState = node.resolve();
-                        console.log(`[${this.name}] Pin ${pin} node update:`, {
-                            oldState: oldNodeState === STATE_HIGH ? 'HIGH' : oldNodeState === STATE_LOW ? 'LOW' : 'FLOAT',
-                            newState: newNodeState === STATE_HIGH ? 'HIGH' : newNodeState === STATE_LOW ? 'LOW' : 'FLOAT',
-                            resolvedState: resolvedState === STATE_HIGH ? 'HIGH' : resolvedState === STATE_LOW ? 'LOW' : 'FLOAT',
-                            changed,
-                            drivers: node.drivers.size,
-                            listeners: node.listeners.size,
-                            driverReturns: node.drivers.size > 0 ? Array.from(node.drivers)[0]() : 'no drivers'
-                        });
-                    }
+            if (node) {
+                if (this.debug) {
+                    console.log(`[${this.name}] Setting output pin ${pin} to ${state === STATE_HIGH ? 'HIGH' : state === STATE_LOW ? 'LOW' : 'FLOAT'} (was ${currentState === STATE_HIGH ? 'HIGH' : currentState === STATE_LOW ? 'LOW' : 'FLOAT'})`);
+                    console.log(`[${this.name}] Node before update: ${node.state === STATE_HIGH ? 'HIGH' : node.state === STATE_LOW ? 'LOW' : 'FLOAT'}, drivers: ${node.drivers.size}`);
+                }
+                // Force node resolution - the driver function will return the new state
+                const oldNodeState = node.state;
+                const changed = node.update();
+                const newNodeState = node.state;
+
+                if (this.debug) {
+                    const resolvedState = node.resolve();
+                    console.log(`[${this.name}] Pin ${pin} node update:`, {
+                        oldState: oldNodeState === STATE_HIGH ? 'HIGH' : oldNodeState === STATE_LOW ? 'LOW' : 'FLOAT',
+                        newState: newNodeState === STATE_HIGH ? 'HIGH' : newNodeState === STATE_LOW ? 'LOW' : 'FLOAT',
+                        resolvedState: resolvedState === STATE_HIGH ? 'HIGH' : resolvedState === STATE_LOW ? 'LOW' : 'FLOAT',
+                        changed,
+                        drivers: node.drivers.size,
+                        listeners: node.listeners.size,
+                        driverReturns: node.drivers.size > 0 ? Array.from(node.drivers)[0]() : 'no drivers'
+                    });
+                }
 
-                    // CRITICAL: Always notify listeners when output state changes, even if node state appears unchanged
-                    // This ensures LEDs and other listeners get updated when IC output changes
-                    if (currentState !== state) {
-                        // Output state changed - ensure listeners are notified
-                        if (!changed) {
-                            // Node state didn't change (was already correct), but output state did change
-                            // Force notify all listeners with the current resolved state
-                            const resolvedState = node.resolve();
-                            console.log(`[${this.name}] Forcing notification to ${node.listeners.size} listeners with state ${resolvedState}`);
-                            for (const listener of node.listeners) {
-                                listener(resolvedState);
-                            }
-                            if (this.debug) {
-                                console.log(`[${this.name}] Output state changed, forced notification to ${node.listeners.size} listeners: ${resolvedState === STATE_HIGH ? 'HIGH' : resolvedState === STATE_LOW ? 'LOW' : 'FLOAT'}`);
-                            }
-                        } else {
-                            // Node state changed, listeners were already notified by node.update()
-                            console.log(`[${this.name}] Node state changed, ${node.listeners.size} listeners already notified by node.update()`);
-                            if (this.debug) {
-                                console.log(`[${this.name}] Node state changed, ${node.listeners.size} listeners notified`);
-                            }
+                // CRITICAL: Always notify listeners when output state changes, even if node state appears unchanged
+                // This ensures LEDs and other listeners get updated when IC output changes
+                if (currentState !== state) {
+                    // Output state changed - ensure listeners are notified
+                    if (!changed) {
+                        // Node state didn't change (was already correct), but output state did change
+                        // Force notify all listeners with the current resolved state
+                        const resolvedState = node.resolve();
+                        for (const listener of node.listeners) {
+                            listener(resolvedState);
+                        }
+                        if (this.debug) {
+                            console.log(`[${this.name}] Output state changed, forced notification to ${node.listeners.size} listeners: ${resolvedState === STATE_HIGH ? 'HIGH' : resolvedState === STATE_LOW ? 'LOW' : 'FLOAT'}`);
                         }
+                    } else if (this.debug) {
+                        // Node state changed, listeners were already notified by node.update()
+                        console.log(`[${this.name}] Node state changed, ${node.listeners.size} listeners notified`);
                     }
-                } else if (this.debug) {
-                    console.warn(`[${this.name}] Output pin ${pin} has no node!`);
                 }
             } else if (this.debug) {
-                console.log(`[${this.name}] Output pin ${pin} already at ${state === STATE_HIGH ? 'HIGH' : state === STATE_LOW ? 'LOW' : 'FLOAT'}, skipping`);
+                console.warn(`[${this.name}] Output pin ${pin} has no node!`);
             }
-        });
+        } else if (this.debug) {
+            console.log(`[${this.name}] Output pin ${pin} already at ${state === STATE_HIGH ? 'HIGH' : state === STATE_LOW ? 'LOW' : 'FLOAT'}, skipping`);
+        }
     }
 
     /**
@@ -241,17 +580,32 @@ export class TTLChip {
      */
     registerDrivers() {
         for (let pin = 1; pin <= this.pinCount; pin++) {
-            if (this.pinTypes[pin] === PIN_TYPE.OUTPUT) {
+            const type = this.pinTypes[pin];
+            if (type === PIN_TYPE.OUTPUT || type === PIN_TYPE.OPEN_COLLECTOR || type === PIN_TYPE.TRISTATE ||
+                type === PIN_TYPE.BIDIRECTIONAL) {
                 const node = this.getPinNode(pin);
                 if (node) {
                     this.outputStates.set(pin, STATE_FLOAT);
                     const driverFn = () => {
                         if (!this.isPowered()) return STATE_FLOAT;
-                        const state = this.outputStates.get(pin);
+                        const state = this.getFaultedOutput(pin, this.outputStates.get(pin));
+                        // Open-collector: the transistor only pulls down (or might, when UNKNOWN)
+                        if (type === PIN_TYPE.OPEN_COLLECTOR) {
+                            return (state === STATE_LOW || state === STATE_ERROR || state === STATE_UNKNOWN) ? state : STATE_FLOAT;
+                        }
                         // Handle STATE_LOW (0) correctly - can't use || because 0 is falsy!
                         return state !== undefined && state !== null ? state : STATE_FLOAT;
                     };
-                    this.engine.addDriver(node.id, driverFn);
+                    this.engine.addDriver(node.id, driverFn, {
+                        pinId: `${this.id}-pin-${pin}`,
+                        label: `${this.name} ${this.id} pin ${pin}`,
+                        tristate: type === PIN_TYPE.TRISTATE || type === PIN_TYPE.BIDIRECTIONAL,
+                        chip: `${this.name} ${this.id}`,
+                        cause: () => {
+                            const input = this.outputCauses.get(pin);
+                            return input ? `${this.id}-pin-${input}` : null;
+                        }
+                    });
                     // Immediately resolve initial state
                     node.update();
                 }
@@ -264,15 +618,17 @@ export class TTLChip {
      */
     registerListeners() {
         for (let pin = 1; pin <= this.pinCount; pin++) {
-            if (this.pinTypes[pin] === PIN_TYPE.INPUT || this.pinTypes[pin] === PIN_TYPE.CLOCK) {
+            const type = this.pinTypes[pin];
+            if (type === PIN_TYPE.INPUT || type === PIN_TYPE.CLOCK || type === PIN_TYPE.BIDIRECTIONAL) {
                 const node = this.getPinNode(pin);
                 if (node) {
                     this.engine.addListener(node.id, (newState) => {
                         if (this.debug) {
                             console.log(`[${this.name}] Input pin ${pin} changed to ${newState === STATE_HIGH ? 'HIGH' : newState === STATE_LOW ? 'LOW' : 'FLOAT'}`);
                         }
+                        this.lastChangedInput = pin;
                         this.triggerEvaluation();
-                    });
+                    }, { pinId: `${this.id}-pin-${pin}`, chip: `${this.name} ${this.id}` });
                     // Trigger initial evaluation with current state
                     if (node.state !== STATE_FLOAT) {
                         setTimeout(() => this.triggerEvaluation(), 0);
@@ -290,7 +646,7 @@ export class TTLChip {
                     console.log(`[${this.name}] VCC pin changed`);
                 }
                 this.triggerEvaluation();
-            });
+            }, { pinId: `${this.id}-pin-${this.vccPin}` });
         }
         if (gndNode) {
             this.engine.addListener(gndNode.id, () => {
@@ -298,30 +654,43 @@ export class TTLChip {
                     console.log(`[${this.name}] GND pin changed`);
                 }
                 this.triggerEvaluation();
-            });
+            }, { pinId: `${this.id}-pin-${this.gndPin}` });
         }
     }
 
     /**
      * Trigger evaluation (with loop prevention)
+     * A trigger that arrives mid-evaluation (an output fed back into one of
+     * the chip's own inputs) is queued and re-run once the current pass ends.
      */
     triggerEvaluation() {
-        if (this.evaluating || !this.engine) return;
+        if (!this.engine) return;
+        if (this.evaluating) {
+            this.pendingEvaluation = true;
+            return;
+        }
 
         this.evaluating = true;
         try {
-            const updates = this.evaluate();
-            console.log(`[${this.name}] triggerEvaluation: evaluate() returned`, updates);
-            if (updates && updates.length > 0) {
-                console.log(`[${this.name}] Calling propagate with ${updates.length} updates`);
-                this.propagate(updates);
-            } else {
-                console.log(`[${this.name}] No updates to propagate (updates=${updates}, length=${updates?.length})`);
+            let passes = 0;
+            do {
+                this.pendingEvaluation = false;
+                this.trackPower();
+                this.recordInputChanges();
+                const updates = this.evaluate();
+                if (updates && updates.length > 0) {
+                    this.propagate(updates);
+                }
+            } while (this.pendingEvaluation && ++passes < this.maxReevaluations);
+
+            if (this.pendingEvaluation) {
+                console.warn(`[${this.name}] Outputs did not settle after ${this.maxReevaluations} passes`);
             }
         } catch (error) {
             console.error(`[${this.name}] Evaluation error:`, error);
         } finally {
             this.evaluating = false;
+            this.pendingEvaluation = false;
         }
     }
 
@@ -3,62 +3,54 @@
  * Integrates Simulation, Wiring, and UI interactions.
  */
 
-import { CircuitEngine, STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_ERROR } from './simulation.js';
-import { WiringManager } from './wiring-engine.js';
+import { CircuitEngine, STATE_LOW, STATE_HIGH, STATE_FLOAT, STATE_ERROR, STATE_UNKNOWN, TIMING_MODE, LOGIC_MODE, OSCILLATION_MODE, describeOscillation, describeContention } from './simulation.js';
+import { WiringManager, BUS_DISPLAY, formatBusValue } from './wiring-engine.js';
 import { icRegistry } from './ic-registration.js';
+import { registerChipDefinition, loadChipLibrary } from './chip-loader.js';
+import { captureSubcircuit, registerSubcircuit } from './subcircuit.js';
 import { ClockManager } from './clock-manager.js';
-import { PIN_TYPE } from './ttl-chip.js';
-
-const DATASHEET_URLS = {
-    '74LS00': 'https://www.futurlec.com/Datasheet/74ls/74LS00.pdf',
-    '74LS02': 'https://www.futurlec.com/Datasheet/74ls/74LS02.pdf',
-    '74LS04': 'https://www.futurlec.com/Datasheet/74ls/74LS04.pdf',
-    '74LS08': 'https://www.futurlec.com/Datasheet/74ls/74LS08.pdf',
-    '74LS32': 'https://www.futurlec.com/Datasheet/74ls/74LS32.pdf',
-    '74LS86': 'https://www.futurlec.com/Datasheet/74ls/74LS86.pdf',
-    '74LS74': 'https://www.futurlec.com/Datasheet/74ls/74LS74.pdf',
-    '74LS76': 'https://www.futurlec.com/Datasheet/74ls/74LS76.pdf',
-    '74LS90': 'https://www.futurlec.com/Datasheet/74ls/74LS90.pdf',
-    '74LS93': 'https://www.futurlec.com/Datasheet/74ls/74LS93.pdf',
-    '74LS138': 'https://www.futurlec.com/Datasheet/74ls/74LS138.pdf',
-    '74LS47': 'https://www.futurlec.com/Datasheet/74ls/74LS47.pdf',
-    '74LS151': 'https://www.futurlec.com/Datasheet/74ls/74LS151.pdf',
-    '74LS153': 'https://www.futurlec.com/Datasheet/74ls/74LS153.pdf',
-    '74LS157': 'https://www.jameco.com/Jameco/Products/ProdDS/301612-DS01.pdf',
-    '74LS283': 'https://www.futurlec.com/Datasheet/74ls/74LS283.pdf'
-};
+import { SimulationTransport, formatSimTime, parseSimTime } from './sim-transport.js';
+import { BreakpointManager, BREAK_CONDITION } from './breakpoints.js';
+import { FaultInjector, FAULT_TYPE } from './fault-injector.js';
+import { DesignRuleChecker, DRC_SEVERITY } from './design-rules.js';
+import { NetlistExporter, NETLIST_EXTENSION } from './netlist-export.js';
+import { PIN_TYPE, describeTimingViolation } from './ttl-chip.js';
+import { PULLUP_COUNT } from './trainer-board.js';
 
 class SystemController {
     constructor() {
         this.engine = new CircuitEngine();
         this.wiring = new WiringManager(this.engine);
         this.clockManager = new ClockManager(this.engine);
+        this.transport = new SimulationTransport(this.engine, this.clockManager);
+        this.breakpoints = new BreakpointManager(this.engine, this.wiring);
+        this.faults = new FaultInjector(this.engine, this.wiring);
+        this.designRules = new DesignRuleChecker(this.wiring);
+        this.netlistExporter = new NetlistExporter(this.wiring);
         this.icInstances = new Map(); // socketId -> IC Object
 
+        // ?instructor=1 shows the fault panel; students only see the symptoms
+        this.instructorMode = new URLSearchParams(window.location.search).get('instructor') === '1';
+
         // Global Power Rails
         this.vccNode = this.engine.createNode();
         this.vccNode.state = STATE_FLOAT; // Start floating until power is ON
         this.vccNode.isVCC = true;
         this.vccDriver = () => this.isPowered ? STATE_HIGH : STATE_FLOAT;
-        this.engine.addDriver(this.vccNode.id, this.vccDriver);
+        this.engine.addDriver(this.vccNode.id, this.vccDriver, { pinId: 'vcc', label: 'vcc' });
 
         this.gndNode = this.engine.createNode();
         this.gndNode.state = STATE_FLOAT; // Start floating until power is ON
         this.gndNode.isGND = true;
         this.gndDriver = () => this.isPowered ? STATE_LOW : STATE_FLOAT;
-        this.engine.addDriver(this.gndNode.id, this.gndDriver);
+        this.engine.addDriver(this.gndNode.id, this.gndDriver, { pinId: 'gnd', label: 'gnd' });
 
         // Register power rail pins
         this.wiring.registerPin('vcc', this.vccNode.id, 'POWER');
         this.wiring.registerPin('gnd', this.gndNode.id, 'POWER');
         this.wiring.registerPin('gnd-2', this.gndNode.id, 'POWER');
 
-        this.pinDrivers = new Map();
-        this.pinListeners = new Map();
-
-        this.pinDrivers.set('vcc', this.vccDriver);
-        this.pinDrivers.set('gnd', this.gndDriver);
-        this.pinDrivers.set('gnd-2', this.gndDriver);
+        this.pinPullUps = new Map(); // pinId -> pull-up fn (board pull-up resistors)
 
         // UI State
         this.isPowered = false;
@@ -82,6 +74,7 @@ class SystemController {
             lastSampleAt: 0,
             colors: ['#00e5ff', '#00ffa3', '#ffd166', '#ff6b6b', '#c77dff', '#72efdd', '#f4a261'],
             channels: [],
+            markers: [], // Timing violations: { t, labels }
             signalOptions: []
         };
 
@@ -101,17 +94,29 @@ class SystemController {
 
     init() {
         this.setupPower();
+        this.setupPullUps();
         this.setupSwitches();
         this.setupLEDs();
         this.setupClock();
         this.setupBCDDecoder();
         this.setupMonoPulse();
+        this.setupTransportControls();
+        this.setupBreakpoints();
+        this.setupFaultPanel();
+        this.setupNetLabels();
+        this.setupBuses();
+        this.setupPackageIC();
+        this.setupDesignRuleCheck();
+        this.setupBusControls();
+        this.setupTimingChecks();
+        this.setupOscillationDetection();
         this.setupICModal();
         this.setupPresetExperiments();
         this.setupCircuitJsonIO();
         this.setupTruthTablePopup();
         this.setupTruthTableGenerator();
         this.setupCodeGenerators();
+        this.setupNetlistExport();
         this.setupExpressionBuilder();
         this.setupWaveformViewer();
         this.setupRemoveIC();
@@ -123,13 +128,20 @@ class SystemController {
     }
 
     startSimulation() {
+        let lastFrameAt = null;
         const loop = (now) => {
+            const t = typeof now === 'number' ? now : performance.now();
+            const elapsedMs = lastFrameAt === null ? 0 : t - lastFrameAt;
+            lastFrameAt = t;
+
             if (this.isPowered) {
-                this.engine.step(10); // Run 10ns per frame
+                // Simulated time tracks the wall clock (1ms real = 1e6ns simulated at 1x)
+                this.transport.tick(elapsedMs);
                 this.updatePinStates(); // Update visual indicators
             }
+            this.updateTransportDisplay();
+            this.updateBusReadouts();
 
-            const t = typeof now === 'number' ? now : performance.now();
             this.captureWaveformSample(t);
             this.refreshWaveformChannelValues();
             this.renderWaveformViewer();
@@ -149,13 +161,13 @@ class SystemController {
 
             if (!nodeId) {
                 // Not connected to any node
-                socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error');
+                socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error', 'state-unknown');
                 return;
             }
 
             const node = this.engine.nodes.get(nodeId);
             if (!node) {
-                socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error');
+                socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error', 'state-unknown');
                 return;
             }
 
@@ -163,7 +175,7 @@ class SystemController {
             node.update();
 
             // Remove all state classes
-            socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error');
+            socket.classList.remove('state-high', 'state-low', 'state-float', 'state-error', 'state-unknown');
 
             // Add appropriate state class
             switch (node.state) {
@@ -179,6 +191,9 @@ class SystemController {
                 case STATE_ERROR:
                     socket.classList.add('state-error');
                     break;
+                case STATE_UNKNOWN:
+                    socket.classList.add('state-unknown');
+                    break;
             }
         });
     }
@@ -278,12 +293,21 @@ class SystemController {
             this.isPowered = !this.isPowered;
             btn.classList.toggle('active', this.isPowered);
 
-            // Update power rail states
-            this.vccNode.update();
-            this.gndNode.update();
+            // Update power rail states (on whichever nets the rails are wired into)
+            this.engine.updateDriver(this.vccDriver);
+            this.engine.updateDriver(this.gndDriver);
+
+            // Pull-up resistors hang off +5V, so their nets follow the rail
+            this.pinPullUps.forEach((pullUp, pinId) => {
+                const nodeId = this.wiring.pinToNodeId.get(pinId);
+                if (nodeId) this.engine.scheduleNodeUpdate(nodeId, 0);
+            });
 
             // Update clock manager power state
             this.clockManager.setPower(this.isPowered);
+            if (!this.isPowered) this.engine.releaseBusKeepers();
+            this.engine.clearOscillations();
+            this.clearNetHighlight('oscillating');
 
             // Trigger re-evaluation of all ICs when power changes
             setTimeout(() => {
@@ -306,6 +330,22 @@ class SystemController {
         // Power rails already registered in constructor
     }
 
+    /**
+     * Pull-up resistors from +5V (PU1..PU4) for open-collector outputs and
+     * wired-AND lines. A pull-up only sets the level when nothing drives the net.
+     */
+    setupPullUps() {
+        for (let i = 0; i < PULLUP_COUNT; i++) {
+            const pinId = `pullup-${i}`;
+            const node = this.engine.createNode();
+            this.wiring.registerPin(pinId, node.id, 'PULLUP');
+
+            const pullUp = () => this.isPowered;
+            this.engine.addPullUp(node.id, pullUp, { pinId });
+            this.pinPullUps.set(pinId, pullUp);
+        }
+    }
+
     setupSwitches() {
         const container = document.getElementById('input-switches');
         container.innerHTML = '';
@@ -341,17 +381,15 @@ class SystemController {
 
             // Driver function
             const switchDriver = () => this.isPowered ? switchState : STATE_FLOAT;
-            this.engine.addDriver(switchNode.id, switchDriver);
-            this.pinDrivers.set(`switch-${i}`, switchDriver);
+            this.engine.addDriver(switchNode.id, switchDriver, { pinId: `switch-${i}`, label: `switch-${i}` });
             // Initialize node state
             switchNode.update();
 
             box.addEventListener('click', () => {
                 box.classList.toggle('active');
                 switchState = box.classList.contains('active') ? STATE_HIGH : STATE_LOW;
-                // Immediately update node state and trigger propagation
-                switchNode.update();
-                this.engine.scheduleNodeUpdate(switchNode.id, 0); // Trigger update
+                // Immediately update the switch's net and trigger propagation
+                this.engine.updateDriver(switchDriver);
             });
         }
     }
@@ -397,14 +435,16 @@ class SystemController {
                 } else if (state === STATE_ERROR) {
                     led.className = 'led on';
                     led.style.backgroundColor = 'purple';
+                } else if (state === STATE_UNKNOWN) {
+                    led.className = 'led on';
+                    led.style.backgroundColor = '#ff9f0a';
                 } else {
                     led.className = 'led';
                     led.style.backgroundColor = '';
                 }
             };
 
-            this.engine.addListener(ledNode.id, ledListener);
-            this.pinListeners.set(ledPinId, ledListener);
+            this.engine.addListener(ledNode.id, ledListener, { pinId: ledPinId });
 
             // Initial update
             ledNode.update();
@@ -424,6 +464,11 @@ class SystemController {
             { freq: 10000, pinId: 'clock-10khz' }
         ];
 
+        // Only clocks wired into the circuit (or joined by a net label) or
+        // watched on the waveform generate edges
+        this.clockManager.isInUse = (pinId) => this.wiring.netlist.getNet(pinId).length > 1 ||
+            this.waveform.channels.some(channel => channel.pinId === pinId);
+
         frequencies.forEach(({ freq, pinId }) => {
             const clockNode = this.engine.createNode();
             this.wiring.registerPin(pinId, clockNode.id, 'OUTPUT');
@@ -451,26 +496,28 @@ class SystemController {
             const node = this.engine.createNode();
             this.wiring.registerPin(pinId, node.id, 'OUTPUT');
             // Add driver for output node
-            this.engine.addDriver(node.id, () => {
-                return this.isPowered ? outputStates[index] : STATE_FLOAT;
-            });
-            return { pinId, node, index };
+            const driver = () => this.isPowered ? outputStates[index] : STATE_FLOAT;
+            this.engine.addDriver(node.id, driver, { pinId, label: pinId });
+            return { pinId, driver, index };
         });
 
+        // Nets are merged and split by wiring, so read inputs through their pins
+        const readInput = (index) => this.getPinState(inputPins[index]);
+
         // Update function to decode BCD and update display
         const updateDecoder = () => {
             if (!this.isPowered) {
                 display.querySelector('span').textContent = '--';
                 outputStates.fill(STATE_FLOAT);
-                outputNodes.forEach(({ node }) => this.engine.scheduleNodeUpdate(node.id, 0));
+                outputNodes.forEach(({ driver }) => this.engine.updateDriver(driver));
                 return;
             }
 
             // Read BCD inputs (A=LSB, D=MSB)
-            const a = inputNodes[0].node.state === STATE_HIGH ? 1 : 0;
-            const b = inputNodes[1].node.state === STATE_HIGH ? 1 : 0;
-            const c = inputNodes[2].node.state === STATE_HIGH ? 1 : 0;
-            const d = inputNodes[3].node.state === STATE_HIGH ? 1 : 0;
+            const a = readInput(0) === STATE_HIGH ? 1 : 0;
+            const b = readInput(1) === STATE_HIGH ? 1 : 0;
+            const c = readInput(2) === STATE_HIGH ? 1 : 0;
+            const d = readInput(3) === STATE_HIGH ? 1 : 0;
 
             const bcdValue = d * 8 + c * 4 + b * 2 + a;
 
@@ -496,14 +543,14 @@ class SystemController {
                 if (outputStates[i] !== newOutputs[i]) {
                     outputStates[i] = newOutputs[i];
                     needsUpdate = true;
-                    this.engine.scheduleNodeUpdate(out.node.id, 0);
+                    this.engine.updateDriver(out.driver);
                 }
             });
         };
 
-        // Add listeners to input nodes
-        inputNodes.forEach(({ node }) => {
-            this.engine.addListener(node.id, updateDecoder);
+        // Add listeners to input nodes (one per pin, so each follows its pin when a net splits)
+        inputNodes.forEach(({ pinId, node }) => {
+            this.engine.addListener(node.id, () => updateDecoder(), { pinId });
         });
 
         // Initial update
@@ -544,10 +591,10 @@ class SystemController {
             }
 
             // Read segment states (common cathode: LOW = segment ON)
-            const segments = segmentNodes.slice(0, 7).map(({ node }) =>
-                node.state === STATE_LOW ? 1 : 0
+            const segments = segmentNodes.slice(0, 7).map(({ pinId }) =>
+                this.getPinState(pinId) === STATE_LOW ? 1 : 0
             );
-            const dp = segmentNodes[7].node.state === STATE_LOW;
+            const dp = this.getPinState(segmentNodes[7].pinId) === STATE_LOW;
 
             // Try to match pattern to a digit
             let digit = null;
@@ -567,9 +614,9 @@ class SystemController {
             }
         };
 
-        // Add listeners to all segment nodes
-        segmentNodes.forEach(({ node }) => {
-            this.engine.addListener(node.id, updateDisplay);
+        // Add listeners to all segment nodes (one per pin, so each follows its pin when a net splits)
+        segmentNodes.forEach(({ pinId, node }) => {
+            this.engine.addListener(node.id, () => updateDisplay(), { pinId });
         });
 
         // Initial update
@@ -586,8 +633,7 @@ class SystemController {
 
         // Driver function for pulse output
         const pulseDriver = () => this.isPowered && pulseActive ? STATE_HIGH : STATE_LOW;
-        this.engine.addDriver(pulseOutNode.id, pulseDriver);
-        this.pinDrivers.set('pulse-out', pulseDriver);
+        this.engine.addDriver(pulseOutNode.id, pulseDriver, { pinId: 'pulse-out', label: 'pulse-out' });
 
         pulseBtn.addEventListener('click', () => {
             if (!this.isPowered) {
@@ -601,7 +647,7 @@ class SystemController {
             pulseBtn.style.transform = 'scale(0.9)';
             pulseBtn.style.backgroundColor = 'var(--color-success)';
 
-            this.engine.scheduleNodeUpdate(pulseOutNode.id, 0);
+            this.engine.updateDriver(pulseDriver);
             this.log('System', '⚡', 'Mono pulse generated');
 
             // Reset after 100ms
@@ -609,11 +655,790 @@ class SystemController {
                 pulseActive = false;
                 pulseBtn.style.transform = '';
                 pulseBtn.style.backgroundColor = '';
-                this.engine.scheduleNodeUpdate(pulseOutNode.id, 0);
+                this.engine.updateDriver(pulseDriver);
             }, 100);
         });
     }
 
+    setupTransportControls() {
+        const pauseBtn = document.getElementById('sim-pause-btn');
+        const stepEdgeBtn = document.getElementById('sim-step-edge-btn');
+        const stepTimeInput = document.getElementById('sim-step-time');
+        const stepTimeBtn = document.getElementById('sim-step-time-btn');
+        const runUntilInput = document.getElementById('sim-run-until');
+        const runUntilBtn = document.getElementById('sim-run-until-btn');
+        const speedSelect = document.getElementById('sim-speed-select');
+        const timingSelect = document.getElementById('sim-timing-select');
+        const logicSelect = document.getElementById('sim-logic-select');
+        this.transportTimeEl = document.getElementById('sim-time-display');
+
+        const requirePower = () => {
+            if (this.isPowered) return true;
+            this.log('System', '⚠️', 'Power must be ON to step the simulation');
+            return false;
+        };
+
+        const readDuration = (input, label) => {
+            const ns = parseSimTime(input.value);
+            if (ns === null) {
+                this.log('Error', '❌', `Invalid ${label} "${input.value}" (use e.g. 500ns, 10us, 2ms, 1s)`);
+            }
+            return ns;
+        };
+
+        this.transport.onStateChange = (transport) => {
+            pauseBtn.classList.toggle('active', transport.paused);
+            pauseBtn.querySelector('span').textContent = transport.paused ? 'Resume' : 'Pause';
+            if (!transport.paused) this.clearBreakpointHighlight();
+            this.updateTransportDisplay();
+        };
+
+        pauseBtn.addEventListener('click', () => {
+            const paused = this.transport.togglePause();
+            this.log('System', paused ? '⏸' : '▶', `Simulation ${paused ? 'paused' : 'resumed'} at ${formatSimTime(this.engine.currentTime)}`);
+        });
+
+        stepEdgeBtn.addEventListener('click', () => {
+            if (!requirePower()) return;
+            // Step the clocks that are wired into the circuit; fall back to any clock
+            const wired = [];
+            this.clockManager.clocks.forEach((clock, frequency) => {
+                if (this.wiring.connections.get(clock.pinId)?.size) wired.push(frequency);
+            });
+            const edgeAt = this.transport.stepEdge(wired.length ? wired : null);
+            if (edgeAt === null) {
+                this.log('System', '⚠️', 'No running clock to step');
+                return;
+            }
+            this.updatePinStates();
+            this.log('System', '⏭', `Stepped to clock edge at ${formatSimTime(edgeAt)}`);
+        });
+
+        stepTimeBtn.addEventListener('click', () => {
+            if (!requirePower()) return;
+            const ns = readDuration(stepTimeInput, 'step duration');
+            if (ns === null || ns <= 0) return;
+            this.transport.stepTime(ns);
+            this.updatePinStates();
+            this.log('System', '⏭', `Stepped ${formatSimTime(ns)} to ${formatSimTime(this.engine.currentTime)}`);
+        });
+
+        runUntilBtn.addEventListener('click', () => {
+            if (!requirePower()) return;
+            const ns = readDuration(runUntilInput, 'run-until time');
+            if (ns === null) return;
+            if (!this.transport.runUntil(ns)) {
+                this.log('System', '⚠️', `Simulation is already at ${formatSimTime(this.engine.currentTime)}`);
+                return;
+            }
+            this.log('System', '▶', `Running until ${formatSimTime(ns)} at ${this.transport.speed}x`);
+        });
+
+        speedSelect.addEventListener('change', () => {
+            const speed = this.transport.setSpeed(speedSelect.value);
+            this.log('System', '⏱', `Simulation speed set to ${speed}x`);
+        });
+        this.transport.setSpeed(speedSelect.value);
+
+        const timingLabels = {
+            [TIMING_MODE.TYPICAL]: 'typical datasheet delays',
+            [TIMING_MODE.WORST]: 'worst-case (max) datasheet delays',
+            [TIMING_MODE.ZERO]: 'zero delay'
+        };
+        timingSelect.addEventListener('change', () => {
+            this.engine.setTimingMode(timingSelect.value);
+            this.log('System', '⏱', `IC timing: ${timingLabels[timingSelect.value]}`);
+        });
+        this.engine.setTimingMode(timingSelect.value);
+
+        const logicLabels = {
+            [LOGIC_MODE.TTL]: 'real TTL (floating inputs read HIGH, flip-flops power up LOW)',
+            [LOGIC_MODE.STRICT]: 'strict X (floating inputs and uninitialised flip-flops are UNKNOWN)'
+        };
+        logicSelect.addEventListener('change', () => {
+            this.engine.setLogicMode(logicSelect.value);
+            // Re-read every input under the new rules
+            this.icInstances.forEach(ic => ic.triggerEvaluation());
+            this.log('System', '❓', `Logic mode: ${logicLabels[logicSelect.value]}`);
+        });
+        this.engine.setLogicMode(logicSelect.value);
+    }
+
+    setupBreakpoints() {
+        const toggleBtn = document.getElementById('breakpoint-toggle-btn');
+        const panel = document.getElementById('breakpoint-panel');
+        const conditionSelect = document.getElementById('breakpoint-condition');
+        const pinsInput = document.getElementById('breakpoint-pins');
+        const patternInput = document.getElementById('breakpoint-pattern');
+        const addBtn = document.getElementById('breakpoint-add-btn');
+        this.breakpointListEl = document.getElementById('breakpoint-list');
+
+        const syncInputs = () => {
+            const condition = conditionSelect.value;
+            pinsInput.disabled = condition === BREAK_CONDITION.ERROR;
+            patternInput.disabled = condition !== BREAK_CONDITION.PATTERN;
+        };
+
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+        });
+        conditionSelect.addEventListener('change', syncInputs);
+        syncInputs();
+
+        addBtn.addEventListener('click', () => {
+            const condition = conditionSelect.value;
+            const pins = pinsInput.value.split(',').map(p => p.trim()).filter(Boolean);
+            let breakpoint;
+            try {
+                breakpoint = this.breakpoints.add({
+                    condition,
+                    pinId: pins[0] || null,
+                    pins,
+                    pattern: patternInput.value
+                });
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+                return;
+            }
+            this.log('System', '🛑', `Breakpoint #${breakpoint.id} added: ${this.breakpoints.describe(breakpoint)}`);
+            this.renderBreakpointList();
+        });
+
+        this.breakpoints.onBreak = (hit) => {
+            this.transport.pause();
+            this.highlightBreakpointNet(hit.pins);
+            this.renderBreakpointList();
+            const label = hit.pins.length > 0 ? this.wiring.getNetLabel(hit.pins[0]) : null;
+            this.log('System', '🛑', `Breakpoint #${hit.breakpoint.id} hit at ${formatSimTime(hit.time)}: ${this.breakpoints.describe(hit.breakpoint)} (net: ${label ? `${label} = ` : ''}${hit.pins.join(', ') || hit.nodeId})`);
+        };
+
+        this.renderBreakpointList();
+    }
+
+    setupFaultPanel() {
+        const toggleBtn = document.getElementById('fault-toggle-btn');
+        const panel = document.getElementById('fault-panel');
+        const typeSelect = document.getElementById('fault-type');
+        const scopeSelect = document.getElementById('fault-scope');
+        const pinInput = document.getElementById('fault-pin');
+        const otherPinInput = document.getElementById('fault-other-pin');
+        const addBtn = document.getElementById('fault-add-btn');
+        this.faultListEl = document.getElementById('fault-list');
+
+        this.faults.onChange = () => this.renderFaultList();
+        if (!this.instructorMode) return;
+
+        const syncInputs = () => {
+            const isBridge = typeSelect.value === FAULT_TYPE.BRIDGE;
+            otherPinInput.disabled = !isBridge;
+            scopeSelect.disabled = isBridge || typeSelect.value === FAULT_TYPE.OPEN;
+        };
+
+        toggleBtn.hidden = false;
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+        });
+        typeSelect.addEventListener('change', syncInputs);
+        syncInputs();
+
+        addBtn.addEventListener('click', () => {
+            const type = typeSelect.value;
+            let fault;
+            try {
+                fault = this.faults.add({
+                    type,
+                    pinId: pinInput.value.trim(),
+                    otherPinId: otherPinInput.value.trim() || null,
+                    scope: type === FAULT_TYPE.STUCK_AT_0 || type === FAULT_TYPE.STUCK_AT_1 ? scopeSelect.value : null
+                });
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+                return;
+            }
+            this.log('System', '🔧', `Fault #${fault.id} injected: ${this.faults.describe(fault)}`);
+        });
+
+        this.renderFaultList();
+    }
+
+    /**
+     * Instructor view: list the active faults and outline their pins
+     */
+    renderFaultList() {
+        const list = this.faultListEl;
+        this.clearNetHighlight('faulted');
+        if (!list || !this.instructorMode) return;
+        list.innerHTML = '';
+
+        this.faults.faults.forEach(fault => {
+            const item = document.createElement('div');
+            item.className = 'breakpoint-item';
+
+            const text = document.createElement('span');
+            text.textContent = `#${fault.id} ${this.faults.describe(fault)}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'terminal-clear';
+            removeBtn.textContent = 'Repair';
+            removeBtn.addEventListener('click', () => {
+                this.faults.remove(fault.id);
+                this.log('System', '🔧', `Fault #${fault.id} repaired`);
+            });
+
+            item.append(text, removeBtn);
+            list.appendChild(item);
+
+            [fault.pinId, fault.otherPinId].filter(Boolean).forEach(pinId => {
+                document.querySelector(`.socket[data-pin-id="${pinId}"]`)?.classList.add('faulted');
+            });
+        });
+    }
+
+    /**
+     * Net labels: pins given the same name are connected without a drawn wire
+     */
+    setupNetLabels() {
+        const toggleBtn = document.getElementById('net-label-toggle-btn');
+        const panel = document.getElementById('net-label-panel');
+        const pinInput = document.getElementById('net-label-pin');
+        const nameInput = document.getElementById('net-label-name');
+        const addBtn = document.getElementById('net-label-add-btn');
+        this.netLabelListEl = document.getElementById('net-label-list');
+
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+        });
+
+        addBtn.addEventListener('click', () => {
+            const pinId = pinInput.value.trim();
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.log('Error', '❌', 'Enter a net label name, e.g. CLK or D0');
+                return;
+            }
+            try {
+                this.wiring.setNetLabel(pinId, name);
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+                return;
+            }
+            const shared = this.wiring.getLabelledPins(name).length;
+            this.log('Wire', '🏷', `Net label ${name} on ${pinId}${shared > 1 ? ` (${shared} pins share it)` : ''}`);
+        });
+
+        this.wiring.onNetLabelChange = (pinId, name) => {
+            const socket = document.querySelector(`.socket[data-pin-id="${pinId}"]`);
+            if (socket) {
+                if (name) {
+                    socket.dataset.netLabel = name;
+                } else {
+                    delete socket.dataset.netLabel;
+                }
+            }
+            this.clearNetHighlight('oscillating');
+            this.renderNetLabelList();
+            this.refreshBuses(); // Bus taps are labels
+            this.renderWaveformChannelList();
+        };
+
+        this.renderNetLabelList();
+    }
+
+    renderNetLabelList() {
+        const list = this.netLabelListEl;
+        if (!list) return;
+        list.innerHTML = '';
+
+        [...this.wiring.netLabels]
+            .sort(([pinA, nameA], [pinB, nameB]) => nameA.localeCompare(nameB) || pinA.localeCompare(pinB))
+            .forEach(([pinId, name]) => {
+                const item = document.createElement('div');
+                item.className = 'breakpoint-item';
+
+                const text = document.createElement('span');
+                text.textContent = `${name}: ${pinId}`;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'terminal-clear';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => {
+                    this.wiring.setNetLabel(pinId, null);
+                    this.log('Wire', '🏷', `Net label ${name} removed from ${pinId}`);
+                });
+
+                item.append(text, removeBtn);
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Buses: N bits drawn as one trunk with a breakout to every tapped pin.
+     * Switch and LED banks and waveform channels can bind to a whole bus.
+     */
+    setupBuses() {
+        const toggleBtn = document.getElementById('bus-toggle-btn');
+        const panel = document.getElementById('bus-panel');
+        const nameInput = document.getElementById('bus-name');
+        const widthInput = document.getElementById('bus-width');
+        const pinsInput = document.getElementById('bus-pins');
+        const addBtn = document.getElementById('bus-add-btn');
+        this.busListEl = document.getElementById('bus-list');
+
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+        });
+
+        // Creates the bus if it is new, then taps the listed pins (bit 0 first, blank skips a bit)
+        addBtn.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            const pins = pinsInput.value.trim()
+                ? pinsInput.value.split(',').map(p => p.trim() || null)
+                : [];
+            try {
+                if (!this.wiring.buses.has(name)) {
+                    const bus = this.wiring.addBus(name, parseInt(widthInput.value, 10));
+                    this.log('Wire', '🚌', `Bus ${bus.name}[${bus.width}] added`);
+                }
+                if (pins.length > 0) {
+                    this.wiring.connectBus(name, pins);
+                    this.log('Wire', '🚌', `Tapped ${pins.filter(Boolean).length} pin(s) onto bus ${name}`);
+                }
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+            }
+        });
+
+        this.wiring.onBusChange = () => this.refreshBuses();
+        this.refreshBuses();
+    }
+
+    /**
+     * Package as IC: the board's chips become a new chip type, with the
+     * mapped switches as its input pins and the mapped LEDs as its outputs.
+     * The chip is registered right away and kept in the saved preset library.
+     */
+    setupPackageIC() {
+        const toggleBtn = document.getElementById('package-ic-toggle-btn');
+        const panel = document.getElementById('package-ic-panel');
+        const idInput = document.getElementById('package-ic-id');
+        const descInput = document.getElementById('package-ic-desc');
+        const inputsInput = document.getElementById('package-ic-inputs');
+        const outputsInput = document.getElementById('package-ic-outputs');
+        const packageBtn = document.getElementById('package-ic-btn');
+
+        // "A=switch-0, B=switch-1" <-> [{ name, pin }]
+        const formatMapping = (pins) => pins.map(({ name, pin }) => `${name}=${pin}`).join(', ');
+        const parseMapping = (text) => text.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+            const [name, pin] = item.split('=').map(part => part.trim());
+            if (!pin) throw new Error(`Write "${item}" as NAME=pin, e.g. A=switch-0`);
+            return { name, pin };
+        });
+
+        // Wired switches and LEDs, named after their net label when they have one
+        const wiredPins = (prefix, pinId) => {
+            const pins = [];
+            for (let i = 0; i < 8; i++) {
+                if (this.wiring.netlist.getNet(pinId(i)).length < 2) continue;
+                pins.push({ name: this.wiring.getNetLabel(pinId(i)) || `${prefix}${i}`, pin: pinId(i) });
+            }
+            return pins;
+        };
+
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+            if (panel.hidden) return;
+            if (!inputsInput.value.trim()) inputsInput.value = formatMapping(wiredPins('S', i => `switch-${i}`));
+            if (!outputsInput.value.trim()) outputsInput.value = formatMapping(wiredPins('L', i => `led-${i}-in`));
+        });
+
+        packageBtn.addEventListener('click', () => {
+            try {
+                const definition = captureSubcircuit(this.wiring, this.icInstances, {
+                    id: idInput.value.trim(),
+                    description: descInput.value.trim(),
+                    inputs: parseMapping(inputsInput.value),
+                    outputs: parseMapping(outputsInput.value)
+                });
+                registerSubcircuit(definition);
+                this.persistPresetJson(this.buildCircuitJson(), `${definition.id} (packaged IC)`, definition);
+                this.log('IC', '📦', `Packaged the board as ${definition.id} (${definition.pinCount} pins)`);
+                idInput.value = '';
+                descInput.value = '';
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+            }
+        });
+    }
+
+    refreshBuses() {
+        this.renderBusList();
+        this.drawBuses();
+        this.refreshWaveformSignalOptions();
+    }
+
+    renderBusList() {
+        const list = this.busListEl;
+        if (!list) return;
+        list.innerHTML = '';
+
+        this.wiring.buses.forEach(bus => {
+            const item = document.createElement('div');
+            item.className = 'breakpoint-item';
+
+            const text = document.createElement('span');
+            const bits = new Set(this.wiring.getBusTaps(bus.name).map(tap => tap.bit)).size;
+            text.textContent = `${bus.name}[${bus.width}] (${bits}/${bus.width} bits tapped) =`;
+
+            const value = document.createElement('span');
+            value.className = 'bus-value';
+            value.dataset.bus = bus.name;
+
+            const button = (label, title, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'terminal-clear';
+                btn.textContent = label;
+                btn.title = title;
+                btn.addEventListener('click', () => {
+                    try {
+                        onClick();
+                    } catch (err) {
+                        this.log('Error', '❌', err.message);
+                    }
+                });
+                return btn;
+            };
+            const bankPins = (pinId) => Array.from({ length: Math.min(bus.width, 8) }, (_, i) => pinId(i));
+
+            item.append(
+                text,
+                value,
+                button(bus.display === BUS_DISPLAY.HEX ? 'Dec' : 'Hex', 'Switch the value display', () => {
+                    this.wiring.setBusDisplay(bus.name, bus.display === BUS_DISPLAY.HEX ? BUS_DISPLAY.DEC : BUS_DISPLAY.HEX);
+                }),
+                button('Switches', 'Tap switches S0.. onto bits 0..', () => {
+                    this.wiring.connectBus(bus.name, bankPins(i => `switch-${i}`));
+                    this.log('Wire', '🚌', `Switch bank bound to bus ${bus.name}`);
+                }),
+                button('LEDs', 'Tap LEDs L0.. onto bits 0..', () => {
+                    this.wiring.connectBus(bus.name, bankPins(i => `led-${i}-in`));
+                    this.log('Wire', '🚌', `LED bank bound to bus ${bus.name}`);
+                }),
+                button('Waveform', 'Add the bus value as a waveform channel', () => {
+                    this.addWaveformChannel(`bus:${bus.name}`);
+                }),
+                button('Remove', 'Remove the bus and untap its pins', () => {
+                    this.waveform.channels = this.waveform.channels.filter(ch => ch.pinId !== `bus:${bus.name}`);
+                    this.renderWaveformChannelList();
+                    this.wiring.removeBus(bus.name);
+                    this.log('Wire', '🚌', `Bus ${bus.name} removed`);
+                })
+            );
+            list.appendChild(item);
+        });
+        this.updateBusReadouts();
+    }
+
+    formatBus(bus) {
+        return formatBusValue(this.wiring.readBus(bus.name).value, bus.width, bus.display);
+    }
+
+    /**
+     * Live bus values in the bus list and on the switch and LED banks bound to a bus
+     */
+    updateBusReadouts() {
+        const setText = (el, text) => {
+            if (el && el.textContent !== text) el.textContent = text;
+        };
+        this.busListEl?.querySelectorAll('.bus-value').forEach(el => {
+            const bus = this.wiring.buses.get(el.dataset.bus);
+            if (bus) setText(el, this.formatBus(bus));
+        });
+
+        [['switch-bus-readout', /^switch-\d+$/], ['led-bus-readout', /^led-\d+-in$/]].forEach(([id, bankPin]) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            const text = [...this.wiring.buses.values()]
+                .filter(bus => this.wiring.getBusTaps(bus.name).some(tap => bankPin.test(tap.pinId)))
+                .map(bus => `${bus.name} = ${this.formatBus(bus)}`)
+                .join('  ');
+            el.hidden = !text;
+            setText(el, text);
+        });
+    }
+
+    /**
+     * One <g class="bus-wire"> per bus: a thick trunk between one breakout
+     * point per chip or board bank, and a thin stub from there to each tapped pin
+     */
+    drawBuses() {
+        const svg = document.getElementById('wire-layer');
+        if (!svg) return;
+        svg.querySelectorAll('.bus-wire').forEach(el => el.remove());
+
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const path = (d, className, color) => {
+            const el = document.createElementNS(svgNs, 'path');
+            el.setAttribute('d', d);
+            el.setAttribute('class', className);
+            el.setAttribute('stroke', color);
+            el.setAttribute('fill', 'none');
+            return el;
+        };
+
+        this.wiring.buses.forEach(bus => {
+            const groups = new Map(); // chip or bank -> socket centers
+            this.wiring.getBusTaps(bus.name).forEach(tap => {
+                const socket = document.querySelector(`.socket[data-pin-id="${tap.pinId}"]`);
+                if (!socket) return;
+                const key = /^(ic-\d+)-pin-\d+$/.exec(tap.pinId)?.[1] || tap.pinId.split('-')[0];
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(this.getSocketCenter(socket));
+            });
+            if (groups.size === 0) return;
+
+            const hubs = [...groups.values()]
+                .map(points => ({
+                    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+                    points
+                }))
+                .sort((a, b) => a.x - b.x || a.y - b.y);
+
+            const g = document.createElementNS(svgNs, 'g');
+            g.setAttribute('class', 'bus-wire');
+            g.dataset.bus = bus.name;
+            hubs.forEach(hub => hub.points.forEach(p => {
+                g.appendChild(path(`M ${p.x} ${p.y} L ${hub.x} ${hub.y}`, 'bus-breakout', bus.color));
+            }));
+            if (hubs.length > 1) {
+                g.appendChild(path(`M ${hubs.map(hub => `${hub.x} ${hub.y}`).join(' L ')}`, 'bus-trunk', bus.color));
+            }
+
+            const label = document.createElementNS(svgNs, 'text');
+            label.setAttribute('class', 'bus-name');
+            label.setAttribute('x', hubs[0].x + 6);
+            label.setAttribute('y', hubs[0].y - 6);
+            label.setAttribute('fill', bus.color);
+            label.textContent = `${bus.name}[${bus.width}]`;
+            g.appendChild(label);
+            svg.appendChild(g);
+        });
+    }
+
+    /**
+     * Check Design: run the DRC over the whole board; clicking a result
+     * highlights the pins and wires involved
+     */
+    setupDesignRuleCheck() {
+        const toggleBtn = document.getElementById('drc-toggle-btn');
+        const panel = document.getElementById('drc-panel');
+        const runBtn = document.getElementById('drc-run-btn');
+
+        const run = () => {
+            const result = this.designRules.check(this.icInstances.values());
+            this.renderDrcList(result);
+
+            const count = (severity) => result.violations.filter(v => v.severity === severity).length;
+            const summary = `${count(DRC_SEVERITY.ERROR)} error(s), ${count(DRC_SEVERITY.WARNING)} warning(s), ${count(DRC_SEVERITY.INFO)} note(s)`;
+            document.getElementById('drc-summary').textContent = summary;
+            this.log(result.ok ? 'System' : 'Error', result.ok ? '✅' : '🚫', `Design check: ${summary}`);
+        };
+
+        toggleBtn.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggleBtn.classList.toggle('active', !panel.hidden);
+            if (panel.hidden) {
+                this.clearNetHighlight('drc-highlight');
+            } else {
+                run();
+            }
+        });
+        runBtn.addEventListener('click', run);
+    }
+
+    renderDrcList(result) {
+        const list = document.getElementById('drc-list');
+        this.clearNetHighlight('drc-highlight');
+        list.innerHTML = '';
+
+        const icons = { [DRC_SEVERITY.ERROR]: '🚫', [DRC_SEVERITY.WARNING]: '⚠️', [DRC_SEVERITY.INFO]: 'ℹ️' };
+        result.violations.forEach(violation => {
+            const item = document.createElement('div');
+            item.className = `breakpoint-item drc-item drc-${violation.severity}`;
+            item.textContent = `${icons[violation.severity]} ${violation.message}`;
+            item.title = 'Highlight the pins involved';
+            item.addEventListener('click', () => {
+                const selected = item.classList.contains('selected');
+                list.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+                this.clearNetHighlight('drc-highlight');
+                if (selected) return;
+                item.classList.add('selected');
+                this.highlightNets(violation.pins, 'drc-highlight');
+            });
+            list.appendChild(item);
+        });
+
+        if (result.violations.length === 0) {
+            const item = document.createElement('div');
+            item.className = 'breakpoint-item';
+            item.textContent = 'No problems found';
+            list.appendChild(item);
+        }
+    }
+
+    setupBusControls() {
+        const keeperBtn = document.getElementById('bus-keeper-btn');
+        let lastReport = '';
+
+        keeperBtn.addEventListener('click', () => {
+            this.engine.setBusKeeper(!this.engine.busKeeper);
+            keeperBtn.classList.toggle('active', this.engine.busKeeper);
+            this.log('System', '🚌', `Bus keeper ${this.engine.busKeeper ? 'ON: released tri-state nets hold their last level' : 'OFF'}`);
+        });
+
+        // Name the drivers fighting over a net
+        this.engine.onContention = (node, drivers) => {
+            const report = `Bus contention at ${formatSimTime(this.engine.currentTime)}: ${describeContention({ drivers })}`;
+            if (report === lastReport) return; // Same fight re-resolved in one instant
+            lastReport = report;
+            this.log('Error', '⚡', report);
+        };
+    }
+
+    setupTimingChecks() {
+        const unknownBtn = document.getElementById('timing-unknown-btn');
+        const lastLogged = new Map(); // violation key -> { at, suppressed }
+        const logIntervalMs = 1000;
+
+        unknownBtn.addEventListener('click', () => {
+            this.engine.setUnknownOnViolation(!this.engine.unknownOnViolation);
+            unknownBtn.classList.toggle('active', this.engine.unknownOnViolation);
+            this.log('System', '⏱', `Timing violations ${this.engine.unknownOnViolation ? 'drive the affected outputs UNKNOWN' : 'are only reported'}`);
+        });
+
+        // A violating clock repeats every edge; log each one at most once a second
+        this.engine.onTimingViolation = (violation) => {
+            const now = performance.now();
+            this.addWaveformMarker(now, `${violation.type} ${violation.icId}`);
+
+            const key = `${violation.icId}:${violation.type}:${violation.pin}`;
+            const entry = lastLogged.get(key);
+            if (entry && now - entry.at < logIntervalMs) {
+                entry.suppressed++;
+                return;
+            }
+            const repeats = entry?.suppressed ? ` (${entry.suppressed} more since last report)` : '';
+            lastLogged.set(key, { at: now, suppressed: 0 });
+            this.log('Error', '⏱', `Timing violation at ${formatSimTime(violation.time)}: ${describeTimingViolation(violation)}${repeats}`);
+        };
+    }
+
+    setupOscillationDetection() {
+        const modeSelect = document.getElementById('sim-oscillation-select');
+        const modeLabels = {
+            [OSCILLATION_MODE.MARK]: 'oscillating loops are reported and driven UNKNOWN',
+            [OSCILLATION_MODE.RING]: 'oscillating loops are reported and ring at the propagation delay'
+        };
+
+        modeSelect.addEventListener('change', () => {
+            const released = this.engine.setOscillationMode(modeSelect.value);
+            this.clearNetHighlight('oscillating');
+            const restart = released > 0 ? ' (loops held at X restart on the next power cycle)' : '';
+            this.log('System', '〰', `Oscillation: ${modeLabels[modeSelect.value]}${restart}`);
+        });
+        this.engine.setOscillationMode(modeSelect.value);
+
+        // Reported once per episode, so every report is worth a log line
+        this.engine.onOscillation = (report) => {
+            const pins = report.nodeIds.flatMap(nodeId => this.wiring.getPinsOnNode(nodeId));
+            const netName = (nodeId) => this.wiring.getNetName(nodeId);
+            this.highlightNets(pins, 'oscillating');
+            this.addWaveformMarker(performance.now(), `oscillation ${report.cycle[0].chip}`);
+            this.log('Error', '〰', `Oscillation ${describeOscillation(report, netName)}`);
+        };
+    }
+
+    renderBreakpointList() {
+        const list = this.breakpointListEl;
+        if (!list) return;
+        list.innerHTML = '';
+
+        const hitId = this.breakpoints.lastHit?.breakpoint.id;
+        this.breakpoints.breakpoints.forEach(breakpoint => {
+            const item = document.createElement('label');
+            item.className = 'breakpoint-item';
+            item.classList.toggle('hit', breakpoint.id === hitId);
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = breakpoint.enabled;
+            enabled.addEventListener('change', () => {
+                this.breakpoints.setEnabled(breakpoint.id, enabled.checked);
+            });
+
+            const text = document.createElement('span');
+            text.textContent = `#${breakpoint.id} ${this.breakpoints.describe(breakpoint)}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'terminal-clear';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.breakpoints.remove(breakpoint.id);
+                this.renderBreakpointList();
+            });
+
+            item.append(enabled, text, removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    highlightBreakpointNet(pins) {
+        this.clearBreakpointHighlight();
+        this.highlightNets(pins, 'breakpoint-hit');
+    }
+
+    clearBreakpointHighlight() {
+        this.clearNetHighlight('breakpoint-hit');
+    }
+
+    /**
+     * Add `className` to the sockets of the given pins and the wires between them
+     */
+    highlightNets(pins, className) {
+        const pinSet = new Set(pins);
+        pinSet.forEach(pinId => {
+            document.querySelector(`.socket[data-pin-id="${pinId}"]`)?.classList.add(className);
+        });
+        this.wiring.wires.forEach(wire => {
+            if (pinSet.has(wire.source) || pinSet.has(wire.target)) {
+                document.getElementById(wire.id)?.classList.add(className);
+            }
+        });
+    }
+
+    clearNetHighlight(className) {
+        document.querySelectorAll(`.${className}`).forEach(el => el.classList.remove(className));
+    }
+
+    updateTransportDisplay() {
+        if (!this.transportTimeEl) return;
+        let text = `t = ${formatSimTime(this.engine.currentTime)}`;
+        // A circuit too busy for the chosen speed runs slower; say how fast
+        const { achievedSpeed, speed, paused } = this.transport;
+        if (!paused && this.isPowered && achievedSpeed < speed * 0.9) {
+            text += ` (${achievedSpeed < 10 ? achievedSpeed.toFixed(1) : Math.round(achievedSpeed)}x)`;
+        }
+        if (this.transportTimeEl.textContent !== text) {
+            this.transportTimeEl.textContent = text;
+        }
+    }
+
     setupICModal() {
         const modal = document.getElementById('ic-modal');
         const grid = document.getElementById('available-ics');
@@ -630,26 +1455,37 @@ class SystemController {
             if (!trimmed) return false;
             try {
                 const parsed = new URL(trimmed, window.location.origin);
-                return ['http:', 'https:', 'file:'].includes(parsed.protocol);
+                return ['http:', 'https:'].includes(parsed.protocol);
             } catch (_) {
                 return false;
             }
         };
 
-        // Populate Grid from registry
-        icRegistry.getAll().forEach(icInfo => {
+        const createCard = (icInfo) => {
             const card = document.createElement('div');
             card.className = 'ic-card';
-            const datasheetUrl = DATASHEET_URLS[icInfo.id];
+            const datasheetUrl = icInfo.datasheetUrl;
             const hasDatasheet = isValidDatasheetUrl(datasheetUrl);
-            card.innerHTML = `
-                <div class="ic-card-name">${icInfo.id}</div>
-                <div class="ic-card-desc">${icInfo.description}</div>
-                ${hasDatasheet
-                    ? `<a class="ic-card-datasheet" href="${datasheetUrl}" target="_blank" rel="noopener noreferrer">View Datasheet</a>`
-                    : `<span class="ic-card-datasheet disabled">Datasheet unavailable</span>`
-                }
-            `;
+            const tags = [icInfo.family, icInfo.category].filter(Boolean).join(' · ');
+            // Chip ids, descriptions and URLs can come from imported JSON: set them as text only
+            const addText = (tag, className, text) => {
+                const el = document.createElement(tag);
+                el.className = className;
+                el.textContent = text;
+                card.appendChild(el);
+                return el;
+            };
+            addText('div', 'ic-card-name', icInfo.id);
+            addText('div', 'ic-card-desc', icInfo.description || '');
+            addText('div', 'ic-card-desc', tags).style.cssText = 'margin-top:4px;opacity:.75;font-size:11px;';
+            if (hasDatasheet) {
+                const link = addText('a', 'ic-card-datasheet', 'View Datasheet');
+                link.setAttribute('href', datasheetUrl.trim());
+                link.setAttribute('target', '_blank');
+                link.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                addText('span', 'ic-card-datasheet disabled', 'Datasheet unavailable');
+            }
             card.onclick = () => {
                 document.querySelectorAll('.ic-card').forEach(c => c.classList.remove('selected'));
                 card.classList.add('selected');
@@ -672,8 +1508,16 @@ class SystemController {
                 console.warn(`[Datasheet] Missing/invalid datasheet URL for ${icInfo.id}`);
             }
 
-            grid.appendChild(card);
-        });
+            return card;
+        };
+
+        // Populate Grid from registry on every open (declarative chips register later)
+        const renderGrid = () => {
+            grid.innerHTML = '';
+            selectedIC = null;
+            confirm.disabled = true;
+            icRegistry.getAll().forEach(icInfo => grid.appendChild(createCard(icInfo)));
+        };
 
         addBtn.addEventListener('click', () => {
             if (this.dragStart) return; // Don't open if dragging wire
@@ -684,6 +1528,7 @@ class SystemController {
                     s.classList.add('selectable');
                     s.onclick = () => {
                         targetSocket = s;
+                        renderGrid();
                         modal.classList.add('show');
                         // Cleanup
                         document.querySelectorAll('.ic-socket').forEach(x => {
@@ -704,6 +1549,83 @@ class SystemController {
                 modal.classList.remove('show');
             }
         };
+
+        const importBtn = document.getElementById('import-chip-btn');
+        const chipFileInput = document.getElementById('chip-file-input');
+        if (importBtn && chipFileInput) {
+            importBtn.addEventListener('click', () => {
+                chipFileInput.value = '';
+                chipFileInput.click();
+            });
+
+            chipFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                if (!file) return;
+
+                try {
+                    const definition = JSON.parse(await file.text());
+                    const info = registerChipDefinition(definition);
+                    this.storeCustomChip(definition);
+                    renderGrid();
+                    this.log('System', 'ℹ️', `Chip ${info.id} imported from ${file.name}`);
+                } catch (err) {
+                    this.log('Error', '❌', `${file.name}: ${err.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register the chips listed in chips/manifest.json and the ones imported
+     * in earlier sessions. Circuits that use them can only load afterwards.
+     */
+    async loadCustomChips() {
+        try {
+            const { loaded, errors } = await loadChipLibrary(new URL('chips/manifest.json', location.href).href);
+            if (loaded.length > 0) {
+                this.log('System', 'ℹ️', `Chip library loaded: ${loaded.join(', ')}`);
+            }
+            errors.forEach(message => this.log('Error', '❌', `Chip library ${message}`));
+        } catch (err) {
+            console.warn('[Chips] No chip library loaded:', err.message);
+        }
+
+        this.getStoredCustomChips().forEach(definition => {
+            try {
+                registerChipDefinition(definition);
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+            }
+        });
+
+        // Packaged ICs, oldest first so a package can use one saved before it
+        this.getSavedPresetRecords().filter(record => record.subcircuit).reverse().forEach(record => {
+            try {
+                registerSubcircuit(record.subcircuit);
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+            }
+        });
+    }
+
+    getStoredCustomChips() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem('trainer_custom_chips') || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            console.warn('Failed to read imported chips:', err);
+            return [];
+        }
+    }
+
+    storeCustomChip(definition) {
+        const chips = this.getStoredCustomChips().filter(item => item?.id !== definition.id);
+        chips.push(definition);
+        try {
+            localStorage.setItem('trainer_custom_chips', JSON.stringify(chips));
+        } catch (err) {
+            console.warn('Failed to save imported chip:', err);
+        }
     }
 
     setupPresetExperiments() {
@@ -781,6 +1703,35 @@ class SystemController {
                     this.connectPins('ic-1-pin-2', 'led-0-in');
                 }
             },
+            {
+                id: 'wired-and-74ls05',
+                title: 'Wired-AND Line (74LS05 + Pull-up)',
+                description: 'Open-collector S0,S1,S2 inverters share PU1 -> L0 = NOR',
+                load: () => {
+                    this.placeIC('74LS05', document.getElementById('ic-1'), false);
+                    this.connectPins('switch-0', 'ic-1-pin-1');
+                    this.connectPins('switch-1', 'ic-1-pin-3');
+                    this.connectPins('switch-2', 'ic-1-pin-5');
+                    this.connectPins('ic-1-pin-2', 'pullup-0');
+                    this.connectPins('ic-1-pin-4', 'pullup-0');
+                    this.connectPins('ic-1-pin-6', 'pullup-0');
+                    this.connectPins('pullup-0', 'led-0-in');
+                }
+            },
+            {
+                id: 'tri-state-bus-74ls125',
+                title: 'Shared Tri-State Bus (74LS125)',
+                description: 'S0/S1 data, S2/S3 enables (active LOW) -> one bus -> L0',
+                load: () => {
+                    this.placeIC('74LS125', document.getElementById('ic-1'), false);
+                    this.connectPins('switch-0', 'ic-1-pin-2');
+                    this.connectPins('switch-1', 'ic-1-pin-5');
+                    this.connectPins('switch-2', 'ic-1-pin-1');
+                    this.connectPins('switch-3', 'ic-1-pin-4');
+                    this.connectPins('ic-1-pin-3', 'ic-1-pin-6');
+                    this.connectPins('ic-1-pin-6', 'led-0-in');
+                }
+            },
             {
                 id: 'decoder-74ls138',
                 title: '3-to-8 Decoder (74LS138)',
@@ -805,6 +1756,107 @@ class SystemController {
                     this.connectPins('ic-1-pin-7', 'led-7-in');  // Y7
                 }
             },
+            {
+                id: 'decoder-74ls139',
+                title: 'Dual 2-to-4 Decoder (74LS139)',
+                description: 'S0,S1 = 1A,1B, S2 = 1G; S3,S4 = 2A,2B, S5 = 2G (LOW enables) | L0..L3 = 1Y0..1Y3, L4..L7 = 2Y0..2Y3 (active LOW)',
+                load: () => {
+                    this.placeIC('74LS139', document.getElementById('ic-1'), false);
+
+                    this.connectPins('switch-0', 'ic-1-pin-2');  // 1A
+                    this.connectPins('switch-1', 'ic-1-pin-3');  // 1B
+                    this.connectPins('switch-2', 'ic-1-pin-1');  // 1G
+                    this.connectPins('switch-3', 'ic-1-pin-14'); // 2A
+                    this.connectPins('switch-4', 'ic-1-pin-13'); // 2B
+                    this.connectPins('switch-5', 'ic-1-pin-15'); // 2G
+                    [4, 5, 6, 7, 12, 11, 10, 9].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // 1Y0..1Y3, 2Y0..2Y3
+                    });
+                }
+            },
+            {
+                id: 'decoder-74ls42',
+                title: 'BCD-to-Decimal Decoder (74LS42)',
+                description: 'S0..S3 = A..D (also on the BCD display) | L0..L7 = outputs 0..7 (active LOW); codes 10-15 light nothing',
+                load: () => {
+                    this.placeIC('74LS42', document.getElementById('ic-1'), false);
+
+                    [15, 14, 13, 12].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-1-pin-${pin}`); // A..D
+                        this.connectPins(`switch-${i}`, `bcd-${'abcd'[i]}`);
+                    });
+                    [1, 2, 3, 4, 5, 6, 7, 9].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // 0..7
+                    });
+                }
+            },
+            {
+                id: 'seven-segment-74ls48',
+                title: 'BCD to 7-Segment Decoder (74LS48)',
+                description: 'S0..S3 = A..D, S4 = RBI (LOW blanks a zero); LT and BI tied HIGH | L0..L6 = segments a..g (HIGH = lit)',
+                load: () => {
+                    this.placeIC('74LS48', document.getElementById('ic-1'), false);
+
+                    [7, 1, 2, 6].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-1-pin-${pin}`); // A..D
+                    });
+                    this.connectPins('switch-4', 'ic-1-pin-5'); // RBI
+                    this.connectPins('vcc', 'ic-1-pin-3');      // LT
+                    this.connectPins('vcc', 'ic-1-pin-4');      // BI/RBO
+                    [13, 12, 11, 10, 9, 15, 14].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // a..g
+                    });
+                }
+            },
+            {
+                id: 'encoder-74ls147',
+                title: '10-to-4 Priority Encoder (74LS147)',
+                description: 'S0..S7 = inputs 1..8, input 9 tied HIGH (LOW requests, highest wins) | L0..L3 = A..D (inverted BCD)',
+                load: () => {
+                    this.placeIC('74LS147', document.getElementById('ic-1'), false);
+
+                    [11, 12, 13, 1, 2, 3, 4, 5].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-1-pin-${pin}`); // 1..8
+                    });
+                    this.connectPins('vcc', 'ic-1-pin-10'); // 9
+                    [9, 7, 6, 14].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // A..D
+                    });
+                }
+            },
+            {
+                id: 'encoder-cascade-74ls148',
+                title: '16-to-4 Priority Encoder (2x 74LS148)',
+                description: 'S0..S3 = lines 4..7, S4..S7 = lines 12..15 (LOW requests), other lines HIGH; upper EO enables the lower encoder | L0..L3 = code 0..15, L4 = lower EO (HIGH while any line requests)',
+                load: () => {
+                    this.placeIC('74LS148', document.getElementById('ic-1'), false); // Lines 8..15
+                    this.placeIC('74LS148', document.getElementById('ic-2'), false); // Lines 0..7
+                    this.placeIC('74LS00', document.getElementById('ic-3'), false);
+
+                    [1, 2, 3, 4].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-2-pin-${pin}`);     // 4..7
+                        this.connectPins(`switch-${i + 4}`, `ic-1-pin-${pin}`); // 12..15
+                    });
+                    [10, 11, 12, 13].forEach(pin => {
+                        this.connectPins('vcc', `ic-1-pin-${pin}`); // 8..11 idle
+                        this.connectPins('vcc', `ic-2-pin-${pin}`); // 0..3 idle
+                    });
+                    this.connectPins('gnd', 'ic-1-pin-5');        // Upper EI
+                    this.connectPins('ic-1-pin-15', 'ic-2-pin-5'); // Upper EO -> lower EI
+
+                    // Code bits: NAND of the matching upper and lower A outputs;
+                    // bit 3 is the upper GS inverted
+                    [[9, 1, 2, 3], [7, 4, 5, 6], [6, 9, 10, 8]].forEach(([a, x, y, out], bit) => {
+                        this.connectPins(`ic-1-pin-${a}`, `ic-3-pin-${x}`);
+                        this.connectPins(`ic-2-pin-${a}`, `ic-3-pin-${y}`);
+                        this.connectPins(`ic-3-pin-${out}`, `led-${bit}-in`);
+                    });
+                    this.connectPins('ic-1-pin-14', 'ic-3-pin-12');
+                    this.connectPins('ic-1-pin-14', 'ic-3-pin-13');
+                    this.connectPins('ic-3-pin-11', 'led-3-in');
+                    this.connectPins('ic-2-pin-15', 'led-4-in');
+                }
+            },
             {
                 id: 'mux-8to1-74ls151',
                 title: '8-to-1 Multiplexer (74LS151)',
@@ -1078,6 +2130,169 @@ class SystemController {
                     this.connectPins('ic-1-pin-6', 'ic-1-pin-2'); // D1 = Qbar
                     this.connectPins('ic-1-pin-5', 'led-0-in'); // Q1
                 }
+            },
+            {
+                id: 'sipo-74ls164',
+                title: 'Serial-to-Parallel Shift Register (74LS164)',
+                description: 'S0=serial data, S1=CLR (HIGH to shift), pulse button=CLK | L0..L7 = QA..QH',
+                load: () => {
+                    this.placeIC('74LS164', document.getElementById('ic-1'), false);
+
+                    this.connectPins('switch-0', 'ic-1-pin-1');  // A
+                    this.connectPins('vcc', 'ic-1-pin-2');       // B enables A
+                    this.connectPins('switch-1', 'ic-1-pin-9');  // CLR
+                    this.connectPins('pulse-out', 'ic-1-pin-8'); // CLK
+                    [3, 4, 5, 6, 10, 11, 12, 13].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // QA..QH
+                    });
+                }
+            },
+            {
+                id: 'piso-74ls165',
+                title: 'Parallel-to-Serial Shift Register (74LS165)',
+                description: 'S0..S6 = A..G (H tied HIGH), S7=SH/LD (LOW loads), pulse button=CLK | L0=QH, L1=QH\'',
+                load: () => {
+                    this.placeIC('74LS165', document.getElementById('ic-1'), false);
+
+                    [11, 12, 13, 14, 3, 4, 5].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-1-pin-${pin}`); // A..G
+                    });
+                    this.connectPins('vcc', 'ic-1-pin-6');       // H
+                    this.connectPins('switch-7', 'ic-1-pin-1');  // SH/LD
+                    this.connectPins('pulse-out', 'ic-1-pin-2'); // CLK
+                    this.connectPins('gnd', 'ic-1-pin-15');      // CLK INH inactive
+                    this.connectPins('gnd', 'ic-1-pin-10');      // SER shifts in 0s
+                    this.connectPins('ic-1-pin-9', 'led-0-in');  // QH
+                    this.connectPins('ic-1-pin-7', 'led-1-in');  // QH'
+                }
+            },
+            {
+                id: 'ring-counter-74ls194',
+                title: 'Ring Counter (74LS194)',
+                description: 'S0=S0, S1=S1, 1Hz clock: both HIGH loads 1000, then S1 LOW circulates it | L0..L3 = QA..QD',
+                load: () => {
+                    this.placeIC('74LS194', document.getElementById('ic-1'), false);
+
+                    this.connectPins('vcc', 'ic-1-pin-1');         // CLR inactive
+                    this.connectPins('ic-1-pin-12', 'ic-1-pin-2'); // SR = QD closes the ring
+                    this.connectPins('vcc', 'ic-1-pin-3');         // A = 1
+                    this.connectPins('gnd', 'ic-1-pin-4');         // B = 0
+                    this.connectPins('gnd', 'ic-1-pin-5');         // C = 0
+                    this.connectPins('gnd', 'ic-1-pin-6');         // D = 0
+                    this.connectPins('gnd', 'ic-1-pin-7');         // SL
+                    this.connectPins('switch-0', 'ic-1-pin-9');    // S0
+                    this.connectPins('switch-1', 'ic-1-pin-10');   // S1
+                    this.connectPins('clock-1hz', 'ic-1-pin-11');  // CLK
+                    [15, 14, 13, 12].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // QA..QD
+                    });
+                }
+            },
+            {
+                id: 'johnson-counter-74ls195',
+                title: 'Johnson Counter (74LS195)',
+                description: 'S0=CLR (HIGH to count), 1Hz clock | L0..L3 = QA..QD, 8 states',
+                load: () => {
+                    this.placeIC('74LS195', document.getElementById('ic-1'), false);
+
+                    this.connectPins('switch-0', 'ic-1-pin-1');     // CLR
+                    this.connectPins('ic-1-pin-11', 'ic-1-pin-2');  // J = QD'
+                    this.connectPins('ic-1-pin-11', 'ic-1-pin-3');  // K' = QD'
+                    this.connectPins('vcc', 'ic-1-pin-9');          // SH/LD: shift
+                    this.connectPins('clock-1hz', 'ic-1-pin-10');   // CLK
+                    [15, 14, 13, 12].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // QA..QD
+                    });
+                }
+            },
+            {
+                id: 'mod-n-74ls161',
+                title: 'Mod-N Counter (74LS161 + 74LS04)',
+                description: 'S0..S3 = start value P (A..D), 1Hz clock | L0..L3 = QA..QD counting P..15 (mod 16-P), L4=RCO',
+                load: () => {
+                    this.placeIC('74LS161', document.getElementById('ic-1'), false);
+                    this.placeIC('74LS04', document.getElementById('ic-2'), false);
+
+                    this.connectPins('vcc', 'ic-1-pin-1');        // CLR inactive
+                    this.connectPins('clock-1hz', 'ic-1-pin-2');  // CLK
+                    this.connectPins('vcc', 'ic-1-pin-7');        // ENP
+                    this.connectPins('vcc', 'ic-1-pin-10');       // ENT
+                    [3, 4, 5, 6].forEach((pin, i) => {
+                        this.connectPins(`switch-${i}`, `ic-1-pin-${pin}`); // A..D = P
+                    });
+
+                    // RCO at 15 loads P on the next clock
+                    this.connectPins('ic-1-pin-15', 'ic-2-pin-1');
+                    this.connectPins('ic-2-pin-2', 'ic-1-pin-9'); // LOAD = RCO'
+
+                    [14, 13, 12, 11].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `led-${i}-in`); // QA..QD
+                    });
+                    this.connectPins('ic-1-pin-15', 'led-4-in'); // RCO
+                }
+            },
+            {
+                id: 'mod-60-74ls162',
+                title: 'Mod-60 Counter (2 x 74LS162 + 74LS00)',
+                description: '10Hz clock | Units on the BCD display, tens on L0..L3 (00 to 59)',
+                load: () => {
+                    this.placeIC('74LS162', document.getElementById('ic-1'), false);
+                    this.placeIC('74LS162', document.getElementById('ic-2'), false);
+                    this.placeIC('74LS00', document.getElementById('ic-3'), false);
+
+                    ['ic-1', 'ic-2'].forEach(ic => {
+                        this.connectPins('clock-10hz', `${ic}-pin-2`); // CLK
+                        this.connectPins('vcc', `${ic}-pin-7`);        // ENP
+                        this.connectPins('vcc', `${ic}-pin-9`);        // LOAD inactive
+                    });
+                    this.connectPins('vcc', 'ic-1-pin-1');          // Units CLR inactive
+                    this.connectPins('vcc', 'ic-1-pin-10');         // Units ENT
+                    this.connectPins('ic-1-pin-15', 'ic-2-pin-10'); // Tens count when units RCO is HIGH
+
+                    // Tens CLR = NAND(QA, QC, units RCO): clears on the clock after 59
+                    this.connectPins('ic-2-pin-14', 'ic-3-pin-1'); // QA (tens)
+                    this.connectPins('ic-2-pin-12', 'ic-3-pin-2'); // QC (tens)
+                    this.connectPins('ic-3-pin-3', 'ic-3-pin-4');
+                    this.connectPins('ic-3-pin-3', 'ic-3-pin-5');
+                    this.connectPins('ic-3-pin-6', 'ic-3-pin-9');
+                    this.connectPins('ic-1-pin-15', 'ic-3-pin-10');
+                    this.connectPins('ic-3-pin-8', 'ic-2-pin-1');
+
+                    [14, 13, 12, 11].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `bcd-${'abcd'[i]}`); // Units QA..QD
+                        this.connectPins(`ic-2-pin-${pin}`, `led-${i}-in`);      // Tens QA..QD
+                    });
+                }
+            },
+            {
+                id: 'up-down-74ls192',
+                title: 'Two-Digit Up/Down Counter (2 x 74LS192 + 74LS04)',
+                description: 'Pulse button=count up, S0 ON then OFF=count down, S1=CLR | Units on the BCD display, tens on L0..L3',
+                load: () => {
+                    this.placeIC('74LS192', document.getElementById('ic-1'), false);
+                    this.placeIC('74LS192', document.getElementById('ic-2'), false);
+                    this.placeIC('74LS04', document.getElementById('ic-3'), false);
+
+                    // Inverted so both clocks rest HIGH, as counting requires
+                    this.connectPins('pulse-out', 'ic-3-pin-1');
+                    this.connectPins('ic-3-pin-2', 'ic-1-pin-5'); // UP
+                    this.connectPins('switch-0', 'ic-3-pin-3');
+                    this.connectPins('ic-3-pin-4', 'ic-1-pin-4'); // DOWN
+
+                    // Units carry and borrow clock the tens stage
+                    this.connectPins('ic-1-pin-12', 'ic-2-pin-5'); // CO -> UP
+                    this.connectPins('ic-1-pin-13', 'ic-2-pin-4'); // BO -> DOWN
+
+                    ['ic-1', 'ic-2'].forEach(ic => {
+                        this.connectPins('switch-1', `${ic}-pin-14`); // CLR
+                        this.connectPins('vcc', `${ic}-pin-11`);      // LOAD inactive
+                    });
+
+                    [3, 2, 6, 7].forEach((pin, i) => {
+                        this.connectPins(`ic-1-pin-${pin}`, `bcd-${'abcd'[i]}`); // Units QA..QD
+                        this.connectPins(`ic-2-pin-${pin}`, `led-${i}-in`);      // Tens QA..QD
+                    });
+                }
             }
         ];
 
@@ -1114,6 +2329,7 @@ class SystemController {
             title: record.title,
             description: record.description,
             payload: record.payload,
+            subcircuit: record.subcircuit,
             source: 'saved-json'
         })).filter((preset) => !shouldHidePreset(preset));
 
@@ -1129,12 +2345,16 @@ class SystemController {
             this.presetExperiments.forEach(preset => {
                 const card = document.createElement('div');
                 card.className = 'ic-card';
-                const sourceTag = preset.source === 'saved-json' ? 'Saved' : 'Built-in';
-                card.innerHTML = `
-                    <div class="ic-card-name">${preset.title}</div>
-                    <div class="ic-card-desc">${preset.description}</div>
-                    <div class="ic-card-desc" style="margin-top:4px;opacity:.75;font-size:11px;">${sourceTag}</div>
-                `;
+                let sourceTag = preset.source === 'saved-json' ? 'Saved' : 'Built-in';
+                if (preset.subcircuit) sourceTag += ` · IC ${preset.subcircuit.id}`;
+                // Saved presets and packaged IC names come from storage: set them as text
+                [['ic-card-name', preset.title], ['ic-card-desc', preset.description], ['ic-card-desc', sourceTag]].forEach(([className, text]) => {
+                    const el = document.createElement('div');
+                    el.className = className;
+                    el.textContent = text ?? '';
+                    card.appendChild(el);
+                });
+                card.lastChild.style.cssText = 'margin-top:4px;opacity:.75;font-size:11px;';
 
                 card.onclick = () => {
                     document.querySelectorAll('#preset-grid .ic-card').forEach(c => c.classList.remove('selected'));
@@ -1160,6 +2380,7 @@ class SystemController {
                 title: record.title,
                 description: record.description,
                 payload: record.payload,
+                subcircuit: record.subcircuit,
                 source: 'saved-json'
             })).filter((preset) => !shouldHidePreset(preset));
             const refreshedDedupedSaved = refreshedSavedPresets.filter((p) => !builtInTitleSet.has(String(p.title || '').trim().toLowerCase()));
@@ -1188,6 +2409,7 @@ class SystemController {
                 title: record.title,
                 description: record.description,
                 payload: record.payload,
+                subcircuit: record.subcircuit,
                 source: 'saved-json'
             })).filter((preset) => !shouldHidePreset(preset));
             const refreshedDedupedSaved = refreshedSavedPresets.filter((p) => !builtInTitleSet.has(String(p.title || '').trim().toLowerCase()));
@@ -1348,7 +2570,13 @@ class SystemController {
             this.removeWireUI(wire.id);
         });
 
+        this.waveform.channels = this.waveform.channels.filter(ch => !ch.pinId.startsWith('bus:'));
+        this.renderWaveformChannelList();
+        [...this.wiring.buses.keys()].forEach(name => this.wiring.removeBus(name));
+        [...this.wiring.netLabels.keys()].forEach(pinId => this.wiring.setNetLabel(pinId, null));
+
         // Reset user controls and history so preset starts cleanly
+        this.faults.clear();
         this.resetAllSwitches();
         this.history = [];
         this.historyIndex = -1;
@@ -1408,6 +2636,7 @@ class SystemController {
 
         this.waveform.clearBtn?.addEventListener('click', () => {
             this.waveform.channels.forEach(ch => { ch.samples = []; });
+            this.waveform.markers = [];
             this.waveform.lastSampleAt = 0;
             this.renderWaveformViewer();
         });
@@ -1452,9 +2681,32 @@ class SystemController {
             { pinId: 'bcd-out-c', label: 'BCD OUT C' },
             { pinId: 'bcd-out-d', label: 'BCD OUT D' }
         );
+        // Signal pins of the socketed chips, by datasheet name
+        this.icInstances.forEach((ic, socketId) => {
+            for (let pin = 1; pin <= ic.pinCount; pin++) {
+                if (pin === ic.vccPin || pin === ic.gndPin || ic.pinTypes[pin] === PIN_TYPE.NC) continue;
+                const name = ic.getPinName(pin);
+                options.push({
+                    pinId: `${socketId}-pin-${pin}`,
+                    label: `${socketId} ${ic.name} ${name ? `${name} (pin ${pin})` : `pin ${pin}`}`
+                });
+            }
+        });
+        // One entry per named net, probed at its first labelled pin
+        const named = new Map();
+        this.wiring.netLabels.forEach((name, pinId) => {
+            if (!named.has(name)) named.set(name, pinId);
+        });
+        named.forEach((pinId, name) => options.push({ pinId, label: name }));
+        this.wiring.buses.forEach(bus => options.push({ pinId: `bus:${bus.name}`, label: `Bus ${bus.name}[${bus.width}]` }));
         return options;
     }
 
+    refreshWaveformSignalOptions() {
+        this.waveform.signalOptions = this.buildWaveformSignalOptions();
+        this.populateWaveformSignalSelect();
+    }
+
     populateWaveformSignalSelect() {
         if (!this.waveform.selectEl) return;
         this.waveform.selectEl.innerHTML = '';
@@ -1482,11 +2734,21 @@ class SystemController {
             lastValue: 'X'
         });
 
+        this.clockManager.updateUsage();
         this.renderWaveformChannelList();
     }
 
+    /**
+     * Channel name plus the probed net's label, e.g. "S0 (Switch 0) [CLK]"
+     */
+    getWaveformChannelLabel(channel) {
+        const name = this.wiring.getNetLabel(channel.pinId);
+        return name && name !== channel.label ? `${channel.label} [${name}]` : channel.label;
+    }
+
     removeWaveformChannel(channelId) {
         this.waveform.channels = this.waveform.channels.filter(ch => ch.id !== channelId);
+        this.clockManager.updateUsage();
         this.renderWaveformChannelList();
         this.renderWaveformViewer();
     }
@@ -1508,7 +2770,7 @@ class SystemController {
 
             const label = document.createElement('span');
             label.className = 'waveform-label';
-            label.textContent = channel.label;
+            label.textContent = this.getWaveformChannelLabel(channel);
 
             const value = document.createElement('span');
             value.className = 'waveform-value';
@@ -1557,9 +2819,31 @@ class SystemController {
                 ch.samples.shift();
             }
         });
+
+        while (this.waveform.markers.length > 0 && this.waveform.markers[0].t < cutoff) {
+            this.waveform.markers.shift();
+        }
+    }
+
+    /**
+     * Flag a timing violation on the waveform. Violations within one sample
+     * interval share a marker.
+     */
+    addWaveformMarker(nowMs, label) {
+        if (!this.waveform.running) return;
+        const last = this.waveform.markers[this.waveform.markers.length - 1];
+        if (last && nowMs - last.t < this.waveform.sampleIntervalMs) {
+            if (!last.labels.includes(label)) last.labels.push(label);
+            return;
+        }
+        this.waveform.markers.push({ t: nowMs, labels: [label] });
     }
 
     getWaveformStateValue(pinId) {
+        if (pinId.startsWith('bus:')) {
+            const bus = this.wiring.buses.get(pinId.slice(4));
+            return bus ? this.formatBus(bus) : 'X';
+        }
         const nodeId = this.wiring.pinToNodeId.get(pinId);
         if (!nodeId) return 'X';
         const node = this.engine.nodes.get(nodeId);
@@ -1640,11 +2924,16 @@ class SystemController {
 
             ctx.fillStyle = ch.color;
             ctx.font = '11px monospace';
-            ctx.fillText(ch.label, 8, yTop + 10);
+            ctx.fillText(this.getWaveformChannelLabel(ch), 8, yTop + 10);
 
             const samples = ch.samples.filter(s => s.t >= from);
             if (!samples.length) return;
 
+            if (ch.pinId.startsWith('bus:')) {
+                this.drawWaveformBusLane(ctx, samples, from, w, yHigh, yLow, ch.color);
+                return;
+            }
+
             ctx.strokeStyle = ch.color;
             ctx.lineWidth = 2;
             ctx.beginPath();
@@ -1671,6 +2960,56 @@ class SystemController {
 
             ctx.stroke();
         });
+
+        // Timing violation markers
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 69, 58, 0.85)';
+        ctx.fillStyle = 'rgba(255, 69, 58, 0.95)';
+        ctx.setLineDash([4, 3]);
+        ctx.font = '10px monospace';
+        this.waveform.markers.forEach((marker) => {
+            if (marker.t < from) return;
+            const x = ((marker.t - from) / this.waveform.timeWindowMs) * w;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, h);
+            ctx.stroke();
+            ctx.fillText(marker.labels.join(', '), x + 3, h - 4);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Bus channel: a band that pinches where the value changes, labelled with the value
+     */
+    drawWaveformBusLane(ctx, samples, from, w, yHigh, yLow, color) {
+        const toX = (t) => ((t - from) / this.waveform.timeWindowMs) * w;
+        const yMid = (yHigh + yLow) / 2;
+        const runs = []; // { v, x0, x1 } for each stretch of one value
+        samples.forEach((s) => {
+            const last = runs[runs.length - 1];
+            if (last) last.x1 = toX(s.t);
+            if (!last || last.v !== s.v) runs.push({ v: s.v, x0: toX(s.t), x1: toX(s.t) });
+        });
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1.5;
+        runs.forEach((run) => {
+            const edge = Math.min(3, (run.x1 - run.x0) / 2);
+            ctx.beginPath();
+            ctx.moveTo(run.x0, yMid);
+            ctx.lineTo(run.x0 + edge, yHigh);
+            ctx.lineTo(run.x1 - edge, yHigh);
+            ctx.lineTo(run.x1, yMid);
+            ctx.lineTo(run.x1 - edge, yLow);
+            ctx.lineTo(run.x0 + edge, yLow);
+            ctx.closePath();
+            ctx.stroke();
+            if (ctx.measureText(run.v).width + 8 < run.x1 - run.x0) {
+                ctx.fillText(run.v, run.x0 + 5, yMid + 4);
+            }
+        });
     }
 
     exportWaveformCsv() {
@@ -1679,7 +3018,7 @@ class SystemController {
             return;
         }
 
-        const headers = ['time_ms', ...this.waveform.channels.map(ch => ch.label)];
+        const headers = ['time_ms', ...this.waveform.channels.map(ch => this.getWaveformChannelLabel(ch))];
         const timeSet = new Set();
         this.waveform.channels.forEach(ch => ch.samples.forEach(s => timeSet.add(Math.round(s.t))));
         const times = Array.from(timeSet).sort((a, b) => a - b);
@@ -1743,8 +3082,7 @@ class SystemController {
         const tableWrapEl = this.truthTableView.tableWrapEl;
         if (!panelEl || !summaryEl || !tableWrapEl) return;
 
-        const inputHeaders = inputIndices.map(i => `S${i}`);
-        const outputHeaders = outputIndices.map(i => `L${i}`);
+        const { inputHeaders, outputHeaders } = this.getTruthTableHeaders(inputIndices, outputIndices);
         const headerCells = [...inputHeaders, ...outputHeaders]
             .map(label => `<th>${label}</th>`)
             .join('');
@@ -1855,12 +3193,21 @@ class SystemController {
     }
 
     stabilizeCircuitForTruthTable() {
+        // 1us covers a chain of several worst-case LS gate delays
         for (let i = 0; i < 8; i++) {
-            this.engine.step(25);
+            this.engine.step(125);
             this.updatePinStates();
         }
     }
 
+    /**
+     * Current state of the net a pin is on (FLOAT for unknown pins)
+     */
+    getPinState(pinId) {
+        const node = this.engine.nodes.get(this.wiring.pinToNodeId.get(pinId));
+        return node ? node.state : STATE_FLOAT;
+    }
+
     getPinStateBit(pinId) {
         const nodeId = this.wiring.pinToNodeId.get(pinId);
         if (!nodeId) return 'X';
@@ -1872,9 +3219,22 @@ class SystemController {
         return 'X';
     }
 
+    /**
+     * "S0"/"L3", or "A (S0)" when the switch or LED is on a named net
+     */
+    getTruthTableHeaders(inputIndices, outputIndices) {
+        const header = (short, pinId) => {
+            const name = this.wiring.getNetLabel(pinId);
+            return name ? `${name} (${short})` : short;
+        };
+        return {
+            inputHeaders: inputIndices.map(i => header(`S${i}`, `switch-${i}`)),
+            outputHeaders: outputIndices.map(i => header(`L${i}`, `led-${i}-in`))
+        };
+    }
+
     buildTruthTableCsv(inputIndices, outputIndices, rows) {
-        const inputHeaders = inputIndices.map(i => `S${i}`);
-        const outputHeaders = outputIndices.map(i => `L${i}`);
+        const { inputHeaders, outputHeaders } = this.getTruthTableHeaders(inputIndices, outputIndices);
         const header = [...inputHeaders, ...outputHeaders].join(',');
         const body = rows.map(row => [...row.inputBits, ...row.outputBits].join(',')).join('\n');
         return `${header}\n${body}\n`;
@@ -1909,6 +3269,26 @@ class SystemController {
         });
     }
 
+    setupNetlistExport() {
+        const btn = document.getElementById('export-netlist-btn');
+        const formatSelect = document.getElementById('netlist-format');
+        if (!btn || !formatSelect) return;
+
+        btn.addEventListener('click', () => {
+            const format = formatSelect.value;
+            let text;
+            try {
+                text = this.netlistExporter.export(format, this.icInstances.values());
+            } catch (err) {
+                this.log('Error', '❌', err.message);
+                return;
+            }
+            const filename = `web-ic-trainer-${Date.now()}.${NETLIST_EXTENSION[format]}`;
+            this.downloadTextFile(filename, text, 'text/plain');
+            this.log('System', 'S', `Netlist exported: ${filename}`);
+        });
+    }
+
     setupExpressionBuilder() {
         const input = document.getElementById('expression-input');
         const btn = document.getElementById('build-expression-btn');
@@ -2489,42 +3869,71 @@ class SystemController {
         this.stabilizeCircuitForTruthTable();
         if (!wasPowered && this.isPowered) document.getElementById('power-btn')?.click();
 
+        const { inputHeaders, outputHeaders } = this.getTruthTableHeaders(inputIndices, outputIndices);
+        const withChipPins = (header, pinId) => {
+            const chipPins = this.describeConnectedChipPins(pinId);
+            return chipPins.length > 0 ? `${header} -> ${chipPins.join(', ')}` : header;
+        };
+
         return {
             inputIndices,
             outputIndices,
+            inputSignals: inputIndices.map((idx, i) => withChipPins(inputHeaders[i], `switch-${idx}`)),
+            outputSignals: outputIndices.map((idx, i) => withChipPins(outputHeaders[i], `led-${idx}-in`)),
             rows,
             map: rows.map(r => r.outputBits.join(''))
         };
     }
 
+    /**
+     * Chip pins on the same net as a board pin, e.g. ["74LS08 ic-1 pin 1 (1A)"]
+     */
+    describeConnectedChipPins(pinId) {
+        return this.wiring.netlist.getNet(pinId)
+            .filter(id => this.wiring.pinToIC.has(id))
+            .map(id => this.wiring.pinToIC.get(id).describePin(parseInt(/-pin-(\d+)$/.exec(id)[1], 10)));
+    }
+
+    /**
+     * Header comment listing the inputs and outputs, bit 0 first, with the chip pins they drive or read
+     */
+    formatCodeSignalComments(model, comment) {
+        return [
+            `${comment} Inputs (bit 0 first):`,
+            ...model.inputSignals.map(signal => `${comment}   ${signal}`),
+            `${comment} Outputs (bit 0 first):`,
+            ...model.outputSignals.map(signal => `${comment}   ${signal}`)
+        ].join('\n');
+    }
+
     generateArduinoCode(model) {
         const inPins = model.inputIndices.map((_, i) => `2 + ${i}`).join(', ');
         const outPins = model.outputIndices.map((_, i) => `10 + ${i}`).join(', ');
         const mapVals = model.rows
             .map((row) => row.outputBits.reduce((acc, bit, j) => acc | ((bit === '1' ? 1 : 0) << j), 0))
             .join(', ');
-        return `// Auto-generated by Web IC Trainer\n// Input order: ${model.inputIndices.map(i => 'S' + i).join(', ')}\n// Output order: ${model.outputIndices.map(i => 'L' + i).join(', ')}\n\nconst uint8_t IN_COUNT = ${model.inputIndices.length};\nconst uint8_t OUT_COUNT = ${model.outputIndices.length};\nconst uint8_t inputPins[IN_COUNT] = { ${inPins} };\nconst uint8_t outputPins[OUT_COUNT] = { ${outPins} };\nconst uint8_t truthMap[${model.map.length}] = { ${mapVals} };\n\nvoid setup() {\n  for (uint8_t i = 0; i < IN_COUNT; i++) pinMode(inputPins[i], INPUT_PULLUP);\n  for (uint8_t i = 0; i < OUT_COUNT; i++) pinMode(outputPins[i], OUTPUT);\n}\n\nvoid loop() {\n  uint16_t idx = 0;\n  for (uint8_t i = 0; i < IN_COUNT; i++) {\n    uint8_t bit = digitalRead(inputPins[i]) == LOW ? 1 : 0;\n    idx |= (bit << i);\n  }\n  uint8_t out = truthMap[idx];\n  for (uint8_t j = 0; j < OUT_COUNT; j++) digitalWrite(outputPins[j], (out >> j) & 0x1);\n}\n`;
+        return `// Auto-generated by Web IC Trainer\n${this.formatCodeSignalComments(model, '//')}\n\nconst uint8_t IN_COUNT = ${model.inputIndices.length};\nconst uint8_t OUT_COUNT = ${model.outputIndices.length};\nconst uint8_t inputPins[IN_COUNT] = { ${inPins} };\nconst uint8_t outputPins[OUT_COUNT] = { ${outPins} };\nconst uint8_t truthMap[${model.map.length}] = { ${mapVals} };\n\nvoid setup() {\n  for (uint8_t i = 0; i < IN_COUNT; i++) pinMode(inputPins[i], INPUT_PULLUP);\n  for (uint8_t i = 0; i < OUT_COUNT; i++) pinMode(outputPins[i], OUTPUT);\n}\n\nvoid loop() {\n  uint16_t idx = 0;\n  for (uint8_t i = 0; i < IN_COUNT; i++) {\n    uint8_t bit = digitalRead(inputPins[i]) == LOW ? 1 : 0;\n    idx |= (bit << i);\n  }\n  uint8_t out = truthMap[idx];\n  for (uint8_t j = 0; j < OUT_COUNT; j++) digitalWrite(outputPins[j], (out >> j) & 0x1);\n}\n`;
     }
 
     generatePythonCode(model) {
         const mapVals = model.rows
             .map((row) => row.outputBits.reduce((acc, bit, j) => acc | ((bit === '1' ? 1 : 0) << j), 0))
             .join(', ');
-        return `# Auto-generated by Web IC Trainer\n# Input order: ${model.inputIndices.map(i => 'S' + i).join(', ')}\n# Output order: ${model.outputIndices.map(i => 'L' + i).join(', ')}\n\nTRUTH_MAP = [${mapVals}]\nIN_COUNT = ${model.inputIndices.length}\nOUT_COUNT = ${model.outputIndices.length}\n\ndef evaluate(bits):\n    idx = 0\n    for i, b in enumerate(bits):\n        idx |= ((1 if b else 0) << i)\n    out = TRUTH_MAP[idx]\n    return [(out >> j) & 1 for j in range(OUT_COUNT)]\n\nif __name__ == '__main__':\n    print('Truth Table')\n    print('Inputs:', ${JSON.stringify(model.inputIndices.map(i => `S${i}`))})\n    print('Outputs:', ${JSON.stringify(model.outputIndices.map(i => `L${i}`))})\n    total = 1 << IN_COUNT\n    for idx in range(total):\n        bits = [(idx >> i) & 1 for i in range(IN_COUNT)]\n        out_bits = evaluate(bits)\n        in_str = ''.join(str(b) for b in bits)\n        out_str = ''.join(str(b) for b in out_bits)\n        print(f'{in_str} -> {out_str}')\n`;
+        return `# Auto-generated by Web IC Trainer\n${this.formatCodeSignalComments(model, '#')}\n\nTRUTH_MAP = [${mapVals}]\nIN_COUNT = ${model.inputIndices.length}\nOUT_COUNT = ${model.outputIndices.length}\n\ndef evaluate(bits):\n    idx = 0\n    for i, b in enumerate(bits):\n        idx |= ((1 if b else 0) << i)\n    out = TRUTH_MAP[idx]\n    return [(out >> j) & 1 for j in range(OUT_COUNT)]\n\nif __name__ == '__main__':\n    print('Truth Table')\n    print('Inputs:', ${JSON.stringify(model.inputIndices.map(i => `S${i}`))})\n    print('Outputs:', ${JSON.stringify(model.outputIndices.map(i => `L${i}`))})\n    total = 1 << IN_COUNT\n    for idx in range(total):\n        bits = [(idx >> i) & 1 for i in range(IN_COUNT)]\n        out_bits = evaluate(bits)\n        in_str = ''.join(str(b) for b in bits)\n        out_str = ''.join(str(b) for b in out_bits)\n        print(f'{in_str} -> {out_str}')\n`;
     }
 
     generateCppCode(model) {
         const mapVals = model.rows
             .map((row) => row.outputBits.reduce((acc, bit, j) => acc | ((bit === '1' ? 1 : 0) << j), 0))
             .join(', ');
-        return `// Auto-generated by Web IC Trainer\n#include <array>\n#include <cstdint>\n#include <iostream>\n\nconstexpr int IN_COUNT = ${model.inputIndices.length};\nconstexpr int OUT_COUNT = ${model.outputIndices.length};\nconstexpr std::array<uint8_t, ${model.map.length}> TRUTH_MAP = { ${mapVals} };\n\nstd::array<uint8_t, OUT_COUNT> evaluate(const std::array<uint8_t, IN_COUNT>& in) {\n    uint16_t idx = 0;\n    for (int i = 0; i < IN_COUNT; ++i) idx |= ((in[i] & 1) << i);\n    uint8_t out = TRUTH_MAP[idx];\n    std::array<uint8_t, OUT_COUNT> y{};\n    for (int j = 0; j < OUT_COUNT; ++j) y[j] = (out >> j) & 1;\n    return y;\n}\n\nint main() {\n    std::cout << "Truth Table\\n";\n    for (int idx = 0; idx < (1 << IN_COUNT); ++idx) {\n        std::array<uint8_t, IN_COUNT> in{};\n        for (int i = 0; i < IN_COUNT; ++i) in[i] = (idx >> i) & 1;\n\n        auto out = evaluate(in);\n\n        for (int i = 0; i < IN_COUNT; ++i) std::cout << int(in[i]);\n        std::cout << " -> ";\n        for (int j = 0; j < OUT_COUNT; ++j) std::cout << int(out[j]);\n        std::cout << "\\n";\n    }\n    return 0;\n}\n`;
+        return `// Auto-generated by Web IC Trainer\n${this.formatCodeSignalComments(model, '//')}\n#include <array>\n#include <cstdint>\n#include <iostream>\n\nconstexpr int IN_COUNT = ${model.inputIndices.length};\nconstexpr int OUT_COUNT = ${model.outputIndices.length};\nconstexpr std::array<uint8_t, ${model.map.length}> TRUTH_MAP = { ${mapVals} };\n\nstd::array<uint8_t, OUT_COUNT> evaluate(const std::array<uint8_t, IN_COUNT>& in) {\n    uint16_t idx = 0;\n    for (int i = 0; i < IN_COUNT; ++i) idx |= ((in[i] & 1) << i);\n    uint8_t out = TRUTH_MAP[idx];\n    std::array<uint8_t, OUT_COUNT> y{};\n    for (int j = 0; j < OUT_COUNT; ++j) y[j] = (out >> j) & 1;\n    return y;\n}\n\nint main() {\n    std::cout << "Truth Table\\n";\n    for (int idx = 0; idx < (1 << IN_COUNT); ++idx) {\n        std::array<uint8_t, IN_COUNT> in{};\n        for (int i = 0; i < IN_COUNT; ++i) in[i] = (idx >> i) & 1;\n\n        auto out = evaluate(in);\n\n        for (int i = 0; i < IN_COUNT; ++i) std::cout << int(in[i]);\n        std::cout << " -> ";\n        for (int j = 0; j < OUT_COUNT; ++j) std::cout << int(out[j]);\n        std::cout << "\\n";\n    }\n    return 0;\n}\n`;
     }
 
     generateVerilogCode(model) {
         const inW = model.inputIndices.length - 1;
         const outW = model.outputIndices.length - 1;
         const cases = model.rows.map((r, i) => `      ${model.inputIndices.length}'b${r.inputBits.slice().reverse().join('')}: out = ${model.outputIndices.length}'b${model.map[i].split('').reverse().join('')};`).join('\n');
-        return `// Auto-generated by Web IC Trainer\nmodule web_ic_trainer_logic (\n    input  wire [${inW}:0] in,\n    output reg  [${outW}:0] out\n);\n\nalways @(*) begin\n    case (in)\n${cases}\n      default: out = ${model.outputIndices.length}'b0;\n    endcase\nend\n\nendmodule\n`;
+        return `// Auto-generated by Web IC Trainer\n${this.formatCodeSignalComments(model, '//')}\nmodule web_ic_trainer_logic (\n    input  wire [${inW}:0] in,\n    output reg  [${outW}:0] out\n);\n\nalways @(*) begin\n    case (in)\n${cases}\n      default: out = ${model.outputIndices.length}'b0;\n    endcase\nend\n\nendmodule\n`;
     }
     setupCircuitJsonIO() {
         const saveBtn = document.getElementById('save-json-btn');
@@ -2604,7 +4013,7 @@ class SystemController {
             expressionMeta: this.expressionMeta ? { ...this.expressionMeta } : null,
             ics: Array.from(this.icInstances.entries()).map(([socket, ic]) => ({
                 socket,
-                type: ic.name
+                type: ic.type
             })),
             wires: this.wiring.wires
                 .filter(w => !shouldSkipAutoPowerWire(w))
@@ -2613,7 +4022,10 @@ class SystemController {
                 target: w.target,
                 color: w.color
                 })),
-            switches
+            buses: Array.from(this.wiring.buses.values(), bus => ({ ...bus })),
+            labels: Array.from(this.wiring.netLabels, ([pin, name]) => ({ pin, name })),
+            switches,
+            faults: this.faults.serialize()
         };
     }
 
@@ -2715,14 +4127,19 @@ class SystemController {
         }
     }
 
-    persistPresetJson(payload, title = 'Saved Circuit') {
+    /**
+     * Add a circuit to the saved preset library. `subcircuit` is the chip
+     * definition when the circuit was packaged as an IC.
+     */
+    persistPresetJson(payload, title = 'Saved Circuit', subcircuit = null) {
         if (!payload || typeof payload !== 'object') return;
 
         const entry = {
             id: `saved-${Date.now()}`,
             title: String(title),
             description: this.buildPresetDescriptionFromPayload(payload),
-            payload
+            payload,
+            ...(subcircuit ? { subcircuit } : {})
         };
 
         const records = this.getSavedPresetRecords();
@@ -2731,7 +4148,7 @@ class SystemController {
         const seen = new Set();
 
         records.forEach((item) => {
-            const key = JSON.stringify(item.payload);
+            const key = JSON.stringify([item.payload, item.subcircuit?.id ?? null]);
             if (seen.has(key)) return;
             seen.add(key);
             deduped.push(item);
@@ -2747,8 +4164,8 @@ class SystemController {
         }
 
         if (Array.isArray(this.presetExperiments)) {
-            const payloadKey = JSON.stringify(payload);
-            const exists = this.presetExperiments.some(p => JSON.stringify(p?.payload || null) === payloadKey);
+            const payloadKey = JSON.stringify([payload, subcircuit?.id ?? null]);
+            const exists = this.presetExperiments.some(p => JSON.stringify([p?.payload || null, p?.subcircuit?.id ?? null]) === payloadKey);
             if (!exists) {
                 this.presetExperiments.unshift({ ...entry, source: 'saved-json' });
             }
@@ -2788,6 +4205,15 @@ class SystemController {
         if (!Array.isArray(payload.switches)) {
             warnings.push('`switches` is missing or not an array. Defaults will be used.');
         }
+        if (payload.buses != null && !Array.isArray(payload.buses)) {
+            warnings.push('`buses` is not an array and will be ignored.');
+        }
+        if (payload.labels != null && !Array.isArray(payload.labels)) {
+            warnings.push('`labels` is not an array and will be ignored.');
+        }
+        if (payload.faults != null && typeof payload.faults !== 'string') {
+            warnings.push('`faults` is not a saved fault string and will be ignored.');
+        }
 
         const usedICs = Array.isArray(payload.ics)
             ? payload.ics.map(x => x?.type).filter(Boolean)
@@ -2838,6 +4264,9 @@ class SystemController {
             validPins.add(`switch-${i}`);
             validPins.add(`led-${i}-in`);
         }
+        for (let i = 0; i < PULLUP_COUNT; i++) {
+            validPins.add(`pullup-${i}`);
+        }
 
         socketToType.forEach((type, socket) => {
             const icInfo = icInfoMap.get(type);
@@ -2867,6 +4296,26 @@ class SystemController {
             });
         }
 
+        if (Array.isArray(payload.buses)) {
+            payload.buses.forEach((entry, index) => {
+                if (!entry || typeof entry.name !== 'string' || !Number.isInteger(entry.width)) {
+                    errors.push(`buses[${index}] must be an object with string "name" and integer "width".`);
+                }
+            });
+        }
+
+        if (Array.isArray(payload.labels)) {
+            payload.labels.forEach((entry, index) => {
+                if (!entry || typeof entry.pin !== 'string' || typeof entry.name !== 'string') {
+                    errors.push(`labels[${index}] must be an object with string "pin" and "name".`);
+                    return;
+                }
+                if (!validPins.has(entry.pin)) {
+                    errors.push(`labels[${index}] pin not found: "${entry.pin}".`);
+                }
+            });
+        }
+
         return { errors, warnings, usedICs, unavailableICs, availableICs };
     }
 
@@ -2875,6 +4324,8 @@ class SystemController {
         const switches = Array.isArray(payload.switches) ? payload.switches : [];
         const ics = Array.isArray(payload.ics) ? payload.ics : [];
         const wires = Array.isArray(payload.wires) ? payload.wires : [];
+        const buses = Array.isArray(payload.buses) ? payload.buses : [];
+        const labels = Array.isArray(payload.labels) ? payload.labels : [];
 
         this.clearBoardForPreset();
 
@@ -2902,6 +4353,30 @@ class SystemController {
             }
         });
 
+        buses.forEach(entry => {
+            try {
+                this.wiring.addBus(entry.name, entry.width, entry.color, entry.display);
+            } catch (err) {
+                errors.push(`Failed bus "${entry.name}": ${err.message}`);
+            }
+        });
+
+        labels.forEach(entry => {
+            try {
+                this.wiring.setNetLabel(entry.pin, entry.name);
+            } catch (err) {
+                errors.push(`Failed net label "${entry.name}" on ${entry.pin}: ${err.message}`);
+            }
+        });
+
+        const faultResult = this.faults.load(typeof payload.faults === 'string' ? payload.faults : null);
+        errors.push(...faultResult.errors);
+        if (this.faults.faults.length > 0) {
+            this.log('System', '🔍', this.instructorMode
+                ? `${this.faults.faults.length} fault(s) loaded (see the Faults panel)`
+                : 'Troubleshooting exercise: this circuit has a hidden fault to find');
+        }
+
         const shouldPowerOn = !!payload.powerOn;
         if (shouldPowerOn) {
             this.ensurePowerOn();
@@ -2934,16 +4409,21 @@ class SystemController {
         const extraPins = Math.max(0, sidePins - 7);
         const dynamicHeight = baseHeight + (extraPins * extraPerPin);
 
+        // The socket card fits up to 16 pins; taller packages (24-pin DIP) stretch it
+        socketElement.style.minHeight = sidePins > 8 ? `${dynamicHeight + 48}px` : '';
+
         socketElement.innerHTML = `
             <div class="zif-body" style="height: ${dynamicHeight}px;">
                 <div class="zif-lever"></div>
                 <div class="ic-pin-container left"></div>
                 <div class="ic-pin-container right"></div>
-                <div class="ic-name-label" style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%) rotate(-90deg); color: white; font-weight: bold; font-family: monospace;">${icName}</div>
+                <div class="ic-name-label" style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%) rotate(-90deg); color: white; font-weight: bold; font-family: monospace;"></div>
                 <div class="ic-notch" style="position: absolute; top: 4px; left: 50%; transform: translateX(-50%); width: 10px; height: 10px; background: rgba(0,0,0,0.3); border-radius: 50%;"></div>
             </div>
         `;
 
+        socketElement.querySelector('.ic-name-label').textContent = icName;
+
         const leftPins = socketElement.querySelector('.left');
         const rightPins = socketElement.querySelector('.right');
 
@@ -3017,6 +4497,7 @@ class SystemController {
             ic.triggerEvaluation();
         }, 10);
 
+        this.refreshWaveformSignalOptions();
         this.log('IC', '🧩', `Placed ${icName} in ${socketId}`);
 
         if (pushHistory) {
@@ -3081,11 +4562,19 @@ class SystemController {
                 this.log('Wire', '✂️', `Removed ${wiresToRemove.length} wire(s) connected to ${name}`);
             }
 
+            // Release the socket's pins and the nodes only they used
+            for (let pin = 1; pin <= ic.pinCount; pin++) {
+                this.wiring.unregisterPin(`${icPinPrefix}${pin}`);
+            }
+            ic.dispose();
+
             this.icInstances.delete(socketId);
             socketElement.innerHTML = '';
+            socketElement.style.minHeight = '';
+            this.refreshWaveformSignalOptions();
 
             if (pushHistory) {
-                this.pushAction({ type: 'removeIC', data: { name, socketId } });
+                this.pushAction({ type: 'removeIC', data: { name: ic.type, socketId } });
             }
             this.log('IC', '❌', `Removed ${name}`);
         }
@@ -3099,10 +4588,14 @@ class SystemController {
         // Actually the container determines side. 
         row.className = `ic-pin`;
 
+        const ic = this.icInstances.get(socketId);
+        const info = ic.getPinInfo(pinNum);
         const socket = document.createElement('div');
         socket.className = 'socket socket-black';
         socket.dataset.pinId = pinId;
-        socket.title = `Pin ${pinNum}`;
+        socket.title = info
+            ? `Pin ${pinNum}: ${ic.getPinName(pinNum)}${info.function ? ` (${info.function}${info.activeLow ? ', active LOW' : ''})` : ''}`
+            : `Pin ${pinNum}`;
 
         const label = document.createElement('span');
         label.className = 'pin-number';
@@ -3113,7 +4606,6 @@ class SystemController {
 
         // Logic
         const node = this.engine.createNode();
-        const ic = this.icInstances.get(socketId);
 
         // Get pin type from IC
         const pinType = ic.pinTypes[pinNum] || 'INPUT';
@@ -3129,64 +4621,43 @@ class SystemController {
         entry.innerHTML = `
             <span class="log-time">${new Date().toLocaleTimeString()}</span>
             <span class="log-icon">${icon}</span>
-            <span class="log-text">${msg}</span>
+            <span class="log-text"></span>
         `;
+        // Messages can quote imported names and errors: never parse them as markup
+        entry.querySelector('.log-text').textContent = msg;
         log.appendChild(entry);
         log.scrollTop = log.scrollHeight;
     }
 
     setupWiringEvents() {
         this.wiring.onWireAdded = (wire) => {
+            this.clearNetHighlight('oscillating');
             this.drawWire(wire);
             this.log('Wire', '🔗', `Connected ${wire.source} to ${wire.target}`);
         };
 
+        // Rewiring clears the engine's oscillation marks, so drop their highlight too
+        this.wiring.onWireRemoved = () => this.clearNetHighlight('oscillating');
+
         this.wiring.onWireError = (sourcePin, targetPin, error) => {
             this.log('Wire', '⚠️', `Wiring error: ${error}`);
         };
 
-        this.wiring.onNetUpdate = (pins, newNode) => {
+        // Drivers, listeners and chip pin references move with their pins;
+        // re-evaluate the chips involved and re-apply faults
+        this.wiring.onNetUpdate = (pins) => {
             pins.forEach(pinId => {
-                const driverFn = this.pinDrivers.get(pinId);
-                if (driverFn) {
-                    this.engine.addDriver(newNode.id, driverFn);
-                }
-
-                const listenerFn = this.pinListeners.get(pinId);
-                if (listenerFn) {
-                    this.engine.addListener(newNode.id, listenerFn);
-                }
-
-                // Handle IC pins: format is "ic-X-pin-Y"
-                if (pinId.startsWith('ic-')) {
-                    const parts = pinId.split('-');
-                    if (parts.length >= 4 && parts[2] === 'pin') {
-                        const icId = `${parts[0]}-${parts[1]}`;
-                        const pinNum = parseInt(parts[3]);
-                        const ic = this.icInstances.get(icId);
-                        if (ic && !isNaN(pinNum)) {
-                            ic.setPinNode(pinNum, newNode);
-                            // Trigger re-evaluation after pin node update
-                            setTimeout(() => {
-                                ic.triggerEvaluation();
-                            }, 0);
-                        }
-                    }
+                const ic = this.wiring.pinToIC.get(pinId);
+                if (ic && this.icInstances.get(ic.id) === ic) {
+                    setTimeout(() => ic.triggerEvaluation(), 0);
                 }
             });
 
-            // After merging nodes, force update to notify all listeners (including LEDs)
-            // This ensures LEDs get updated when a wire connects them to an output
-            setTimeout(() => {
-                newNode.update();
-                // Also force notification if state didn't change but listeners need update
-                const resolvedState = newNode.resolve();
-                if (resolvedState !== STATE_FLOAT) {
-                    for (const listener of newNode.listeners) {
-                        listener(resolvedState);
-                    }
-                }
-            }, 0);
+            // Faults follow their pins onto the new node
+            this.faults.apply();
+
+            // A clock joining or leaving a net starts or stops
+            this.clockManager.updateUsage();
         };
 
         // Wire Mode Selection
@@ -3502,8 +4973,10 @@ class SystemController {
 // Start Controller when DOM Ready
 document.addEventListener('DOMContentLoaded', () => {
     window.controller = new SystemController();
-    window.controller.applyPendingPresetOnLoad();
-    window.controller.applyPendingJsonOnLoad();
+    window.controller.loadCustomChips().then(() => {
+        window.controller.applyPendingPresetOnLoad();
+        window.controller.applyPendingJsonOnLoad();
+    });
 
     // Global debug function for ICs
     window.debugIC = (icName) => {
@@ -4,21 +4,45 @@
  */
 
 import { STATE_LOW, STATE_HIGH, STATE_FLOAT } from './simulation.js';
+import { Netlist } from './netlist.js';
+
+// CLK, D0, /RESET, A+B ...
+const NET_LABEL_PATTERN = /^[A-Za-z_/][A-Za-z0-9_/+.-]{0,31}$/;
+const MAX_BUS_WIDTH = 32;
+
+export const BUS_DISPLAY = {
+    HEX: 'hex',
+    DEC: 'dec'
+};
+
+/**
+ * "0x5A" / "90" for a bus value, or X when a bit is not a clean 0/1
+ */
+export function formatBusValue(value, width, display = BUS_DISPLAY.HEX) {
+    const digits = Math.ceil(width / 4);
+    if (display === BUS_DISPLAY.DEC) return value === null ? 'X' : String(value);
+    return value === null ? `0x${'X'.repeat(digits)}` : `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+}
 
 export class WiringManager {
     constructor(circuitEngine) {
         this.engine = circuitEngine;
         this.wires = []; // { id, source: pinId, target: pinId, color }
-        this.connections = new Map(); // pinId -> Set(pinId) (Adjacency List)
-        this.pinToNodeId = new Map(); // pinId -> simulationNodeId
-        this.pinTypes = new Map(); // pinId -> 'INPUT' | 'OUTPUT' | 'POWER' | 'CLOCK'
+        this.netlist = new Netlist();
+        this.connections = this.netlist.links; // pinId -> Set(pinId) (Adjacency List)
+        this.pinToNodeId = new Map(); // pinId -> simulationNodeId (stable while the net exists)
+        this.pinTypes = new Map(); // pinId -> 'INPUT' | 'OUTPUT' | 'POWER' | 'CLOCK' | 'OPEN_COLLECTOR' | 'PULLUP'
         this.pinToIC = new Map(); // pinId -> IC instance
+        this.netLabels = new Map(); // pinId -> net label, e.g. 'CLK' or 'D0'
+        this.buses = new Map(); // name -> { name, width, color, display }; bit N is the net labelled `${name}${N}`
 
         // Listeners for UI updates
         this.onWireAdded = null;
         this.onWireRemoved = null;
-        this.onNetUpdate = null; // When a net changes state (color update)
+        this.onNetUpdate = null; // (pins, node) => void, after pins move to another node (merge/split)
         this.onWireError = null; // When wiring validation fails
+        this.onNetLabelChange = null; // (pinId, name) => void, name is null when cleared
+        this.onBusChange = null; // (bus) => void, after a bus is added, removed or its display changes
     }
 
     /**
@@ -40,6 +64,11 @@ export class WiringManager {
             return { valid: false, error: 'Cannot connect pin to itself' };
         }
 
+        const unknown = [sourcePin, targetPin].find(pinId => !this.netlist.hasPin(pinId));
+        if (unknown) {
+            return { valid: false, error: `Unknown pin: ${unknown}` };
+        }
+
         // Check if wire already exists
         const existing = this.wires.find(w =>
             (w.source === sourcePin && w.target === targetPin) ||
@@ -88,15 +117,11 @@ export class WiringManager {
 
         this.wires.push({ id: wireId, source: sourcePin, target: targetPin, color });
 
-        // Update Adjacency Graph
-        if (!this.connections.has(sourcePin)) this.connections.set(sourcePin, new Set());
-        if (!this.connections.has(targetPin)) this.connections.set(targetPin, new Set());
-
-        this.connections.get(sourcePin).add(targetPin);
-        this.connections.get(targetPin).add(sourcePin);
-
-        // Merge logical nodes in Simulation Engine
-        this.mergeNets(sourcePin, targetPin);
+        // Join the two nets
+        const merged = this.netlist.connect(sourcePin, targetPin);
+        if (merged) this.mergeNets(merged.kept, merged.absorbed);
+        // A rewired circuit gets a fresh look from the oscillation detector
+        this.engine.clearOscillations();
 
         if (this.onWireAdded) this.onWireAdded(this.wires[this.wires.length - 1]);
 
@@ -110,117 +135,328 @@ export class WiringManager {
         const wire = this.wires[index];
         this.wires.splice(index, 1);
 
-        // Update Adjacency Graph
-        this.connections.get(wire.source).delete(wire.target);
-        this.connections.get(wire.target).delete(wire.source);
-
-        // Re-evaluate connectivity for both endpoints
-        // Because removing a wire might split a net into two
-        this.rebuildNet(wire.source);
-        this.rebuildNet(wire.target);
+        // Removing a wire might split a net into two
+        const cut = this.netlist.disconnect(wire.source, wire.target);
+        if (cut) this.splitNet(cut.kept, cut.split);
+        this.engine.clearOscillations();
 
         if (this.onWireRemoved) this.onWireRemoved(wireId);
     }
 
     /**
-     * Registers a physical pin with a logical node ID.
-     * Called when an IC is socketed.
+     * Name the net a pin is on. Every pin carrying the same name is
+     * connected as if wired; an empty name removes the pin's label.
      */
-    registerPin(pinId, nodeId, pinType = null, icInstance = null) {
-        this.pinToNodeId.set(pinId, nodeId);
-        if (pinType) {
-            this.registerPinType(pinId, pinType, icInstance);
+    setNetLabel(pinId, name) {
+        if (!this.netlist.hasPin(pinId)) {
+            throw new Error(`Unknown pin: ${pinId}`);
+        }
+        const label = name == null ? '' : String(name).trim();
+        if (label && !NET_LABEL_PATTERN.test(label)) {
+            throw new Error(`Invalid net label "${label}": use up to 32 letters, digits or _ / + . - starting with a letter, _ or /`);
+        }
+        if ((this.netLabels.get(pinId) || '') === label) return;
+        if (label) {
+            // Same rules as a wire to each pin already carrying the name
+            const error = this.getLabelledPins(label)
+                .map(other => this.validateLabelJoin(pinId, other))
+                .find(Boolean);
+            if (error) throw new Error(`Net label ${label} on ${pinId}: ${error}`);
         }
+
+        // Leave the old label's pins; they stay joined to each other
+        const links = this.netlist.labelLinks.get(pinId);
+        [...links].forEach(other => {
+            const cut = this.netlist.separateLabel(pinId, other);
+            if (cut) this.splitNet(cut.kept, cut.split);
+        });
+        this.netLabels.delete(pinId);
+
+        if (label) {
+            this.getLabelledPins(label).forEach(other => {
+                const merged = this.netlist.joinLabel(pinId, other);
+                if (merged) this.mergeNets(merged.kept, merged.absorbed);
+            });
+            this.netLabels.set(pinId, label);
+        }
+        this.engine.clearOscillations();
+
+        if (this.onNetLabelChange) this.onNetLabelChange(pinId, label || null);
+    }
+
+    validateLabelJoin(pinA, pinB) {
+        if (this.pinTypes.get(pinA) === 'OUTPUT' && this.pinTypes.get(pinB) === 'OUTPUT') {
+            return 'Cannot connect output to output';
+        }
+        const rails = [pinA, pinB].sort().join(' ');
+        if (rails === 'gnd vcc') return 'Cannot short VCC to GND';
+        return null;
     }
 
     /**
-     * Merge the electrical nets of two pins.
+     * The pin's own label, else a label from another pin on its net
      */
-    mergeNets(pinA, pinB) {
-        const nodeA = this.pinToNodeId.get(pinA);
-        const nodeB = this.pinToNodeId.get(pinB);
+    getNetLabel(pinId) {
+        if (this.netLabels.has(pinId)) return this.netLabels.get(pinId);
+        const nodeId = this.pinToNodeId.get(pinId);
+        for (const [labelled, name] of this.netLabels) {
+            if (this.pinToNodeId.get(labelled) === nodeId) return name;
+        }
+        return null;
+    }
 
-        if (nodeA && nodeB && nodeA !== nodeB) {
-            const newNodeId = this.engine.mergeNodes(nodeA, nodeB);
-            const newNode = this.engine.nodes.get(newNodeId);
+    /**
+     * A net's label, or its pins joined with '/', for log messages
+     */
+    getNetName(nodeId) {
+        const pins = this.getPinsOnNode(nodeId);
+        if (pins.length === 0) return nodeId;
+        return this.getNetLabel(pins[0]) || pins.join('/');
+    }
 
-            // Update all pins on this net to point to the new node ID
-            // We need to traverse the graph starting from pinA to find all connected pins
-            const visited = new Set();
-            const stack = [pinA];
-            const updatedPins = [];
+    /**
+     * Every pin carrying the given net label
+     */
+    getLabelledPins(name) {
+        const pins = [];
+        this.netLabels.forEach((label, pinId) => {
+            if (label === name) pins.push(pinId);
+        });
+        return pins;
+    }
 
-            while (stack.length > 0) {
-                const p = stack.pop();
-                if (visited.has(p)) continue;
-                visited.add(p);
+    /**
+     * Add a bus of `width` bits. Its bits are the nets labelled D0, D1, ...
+     * for a bus named D, so tapping a pin onto a bit is labelling it.
+     */
+    addBus(name, width, color = '#0071e3', display = BUS_DISPLAY.HEX) {
+        const busName = name == null ? '' : String(name).trim();
+        if (!Number.isInteger(width) || width < 1 || width > MAX_BUS_WIDTH) {
+            throw new Error(`Bus width must be 1 to ${MAX_BUS_WIDTH} bits, got ${width}`);
+        }
+        if (!NET_LABEL_PATTERN.test(`${busName}${width - 1}`) || /\d$/.test(busName)) {
+            throw new Error(`Invalid bus name "${busName}": start with a letter, _ or / and do not end in a digit`);
+        }
+        if (this.buses.has(busName)) {
+            throw new Error(`Bus ${busName} already exists`);
+        }
+        if (!Object.values(BUS_DISPLAY).includes(display)) {
+            throw new Error(`Unknown bus display: ${display}`);
+        }
 
-                this.pinToNodeId.set(p, newNodeId);
-                updatedPins.push(p);
+        const bus = { name: busName, width, color, display };
+        this.buses.set(busName, bus);
+        if (this.onBusChange) this.onBusChange(bus);
+        return bus;
+    }
 
-                const neighbors = this.connections.get(p);
-                if (neighbors) {
-                    for (const n of neighbors) {
-                        stack.push(n);
-                    }
-                }
-            }
+    /**
+     * Remove a bus and untap every pin on it
+     */
+    removeBus(name) {
+        const bus = this.getBus(name);
+        this.getBusTaps(name).forEach(({ pinId }) => this.setNetLabel(pinId, null));
+        this.buses.delete(name);
+        if (this.onBusChange) this.onBusChange(bus);
+    }
 
-            // Notify system that pins have been merged to a new node
-            // This allows ICs to update their pin node references
-            if (this.onNetUpdate && updatedPins.length > 0) {
-                this.onNetUpdate(updatedPins, newNode);
-            }
+    getBus(name) {
+        const bus = this.buses.get(name);
+        if (!bus) throw new Error(`Unknown bus: ${name}`);
+        return bus;
+    }
+
+    setBusDisplay(name, display) {
+        const bus = this.getBus(name);
+        if (!Object.values(BUS_DISPLAY).includes(display)) {
+            throw new Error(`Unknown bus display: ${display}`);
         }
+        bus.display = display;
+        if (this.onBusChange) this.onBusChange(bus);
+    }
+
+    getBusBitLabel(name, bit) {
+        return `${name}${bit}`;
     }
 
     /**
-     * Completely rebuilds the simulation node for a given net.
-     * Used after a wire is removed (splitting a net).
-     * 
-     * Strategy:
-     * 1. Traverse physical graph to find all pins in this component.
-     * 2. Create a NEW simulation node.
-     * 3. Assign all those pins to the new simulation node.
-     * (Note: This is expensive but safe. We essentially destroy the old node for these pins.)
+     * Break a bus bit out onto a pin
      */
-    rebuildNet(startPin) {
-        // Find connected component (pins)
-        const component = new Set();
-        const stack = [startPin];
+    tapBus(name, bit, pinId) {
+        const bus = this.getBus(name);
+        if (!Number.isInteger(bit) || bit < 0 || bit >= bus.width) {
+            throw new Error(`Bus ${name} has bits 0 to ${bus.width - 1}, got ${bit}`);
+        }
+        this.setNetLabel(pinId, this.getBusBitLabel(name, bit));
+    }
 
-        while (stack.length > 0) {
-            const p = stack.pop();
-            if (component.has(p)) continue;
-            component.add(p);
+    /**
+     * Tap a row of pins onto a bus, LSB first: pins[0] gets bit 0. Null
+     * entries skip a bit. Every pin is checked before any is tapped.
+     */
+    connectBus(name, pins) {
+        const bus = this.getBus(name);
+        if (pins.length > bus.width) {
+            throw new Error(`Bus ${name} is ${bus.width} bits wide, got ${pins.length} pins`);
+        }
+        const unknown = pins.find(pinId => pinId != null && !this.netlist.hasPin(pinId));
+        if (unknown) throw new Error(`Unknown pin: ${unknown}`);
+        // The checks setNetLabel makes, so a pin that cannot join its bit taps none
+        pins.forEach((pinId, bit) => {
+            if (pinId == null) return;
+            const label = this.getBusBitLabel(name, bit);
+            const error = this.getLabelledPins(label)
+                .filter(other => other !== pinId)
+                .map(other => this.validateLabelJoin(pinId, other))
+                .find(Boolean);
+            if (error) throw new Error(`Net label ${label} on ${pinId}: ${error}`);
+        });
+        pins.forEach((pinId, bit) => {
+            if (pinId != null) this.tapBus(name, bit, pinId);
+        });
+    }
 
-            const neighbors = this.connections.get(p);
-            if (neighbors) {
-                for (const n of neighbors) {
-                    stack.push(n);
-                }
+    /**
+     * Pins tapped onto a bus as [{ pinId, bit }], in bit order
+     */
+    getBusTaps(name) {
+        const bus = this.getBus(name);
+        const taps = [];
+        this.netLabels.forEach((label, pinId) => {
+            if (!label.startsWith(name)) return;
+            const bit = label.slice(name.length);
+            if (/^(0|[1-9]\d*)$/.test(bit) && Number(bit) < bus.width) {
+                taps.push({ pinId, bit: Number(bit) });
             }
+        });
+        return taps.sort((a, b) => a.bit - b.bit);
+    }
+
+    /**
+     * Current bus value: { value, states } with states LSB first; value is
+     * null unless every bit is HIGH or LOW (an untapped bit floats)
+     */
+    readBus(name) {
+        const bus = this.getBus(name);
+        const states = [];
+        for (let bit = 0; bit < bus.width; bit++) {
+            const pinId = this.getLabelledPins(this.getBusBitLabel(name, bit))[0];
+            const node = pinId ? this.engine.nodes.get(this.pinToNodeId.get(pinId)) : null;
+            states.push(node ? node.state : STATE_FLOAT);
         }
+        const known = states.every(state => state === STATE_HIGH || state === STATE_LOW);
+        const value = known
+            ? states.reduce((sum, state, bit) => sum + (state === STATE_HIGH ? 2 ** bit : 0), 0)
+            : null;
+        return { value, states };
+    }
 
-        // Create a new fresh node in the engine
-        const newNode = this.engine.createNode();
-        const newNodeId = newNode.id;
+    /**
+     * Registers a physical pin with a logical node ID.
+     * Called when an IC is socketed. A pin registered on a node that already
+     * has pins (the GND sockets) is tied to them for good; registering a pin
+     * again first unregisters it.
+     */
+    registerPin(pinId, nodeId, pinType = null, icInstance = null) {
+        if (this.pinToNodeId.get(pinId) === nodeId) {
+            if (pinType) this.registerPinType(pinId, pinType, icInstance);
+            return;
+        }
+        if (this.netlist.hasPin(pinId)) this.unregisterPin(pinId);
 
-        // Update these pins to point to the new node
-        for (const pinId of component) {
-            this.pinToNodeId.set(pinId, newNodeId);
-            // Also, we need to re-link the "IC driver" to this new node.
-            // This is tricky: The IC object holds a reference to the `Node` object.
-            // We need to tell the system "Hey, this pin connected to this IC now maps to THIS node"
-            // This implies the `WiringManager` needs a way to update the IC's internal pin reference.
+        const tiedTo = this.getPinsOnNode(nodeId)[0];
+        this.netlist.addPin(pinId);
+        this.pinToNodeId.set(pinId, nodeId);
+        if (tiedTo) this.netlist.tie(pinId, tiedTo);
+        if (pinType) {
+            this.registerPinType(pinId, pinType, icInstance);
         }
+    }
 
-        // Notify system that these pins have a new Node ID, so please update your drivers/listeners
-        if (this.onNetUpdate) {
-            this.onNetUpdate(Array.from(component), newNode);
+    /**
+     * Removes a pin (e.g. when its IC is pulled): its wires and label are removed,
+     * its drivers and listeners leave the net, and a node no other pin uses
+     * is deleted from the engine.
+     */
+    unregisterPin(pinId) {
+        if (!this.netlist.hasPin(pinId)) return;
+
+        this.setNetLabel(pinId, null);
+        this.wires
+            .filter(w => w.source === pinId || w.target === pinId)
+            .forEach(w => this.removeWire(w.id));
+
+        const nodeId = this.pinToNodeId.get(pinId);
+        const [rest, ...cutOff] = this.netlist.removePin(pinId);
+        this.pinToNodeId.delete(pinId);
+        this.pinTypes.delete(pinId);
+        this.pinToIC.delete(pinId);
+
+        if (!rest) {
+            this.engine.removeNode(nodeId);
+            return;
         }
+        // Detach what the pin attached, then split what it alone held together
+        const detached = this.engine.splitNode(nodeId, new Set([pinId]));
+        this.engine.removeNode(detached.id);
+        cutOff.forEach(pins => this.splitNet(rest, pins));
+        this.engine.nodes.get(nodeId)?.update();
     }
-}
 
+    /**
+     * Every pin currently on a simulation node
+     */
+    getPinsOnNode(nodeId) {
+        const pins = [];
+        this.pinToNodeId.forEach((id, pinId) => {
+            if (id === nodeId) pins.push(pinId);
+        });
+        return pins;
+    }
+
+    /**
+     * Move the absorbed pins onto the node of the net they joined. The
+     * larger net's node survives, so its ID stays stable.
+     */
+    mergeNets(keptPin, absorbedPins) {
+        const keepId = this.pinToNodeId.get(keptPin);
+        const dropId = this.pinToNodeId.get(absorbedPins.values().next().value);
+        const keepNode = this.engine.nodes.get(keepId);
+        if (!keepNode || keepId === dropId) return;
+
+        absorbedPins.forEach(pinId => this.pinToNodeId.set(pinId, keepId));
+        this.attachICPins(absorbedPins, keepNode);
+        this.engine.mergeNodes(keepId, dropId);
 
+        if (this.onNetUpdate) this.onNetUpdate([...absorbedPins], keepNode);
+    }
 
+    /**
+     * Move the pins cut off from a net, and everything they attached, to a
+     * new node. The rest of the net keeps its node.
+     */
+    splitNet(keptPins, splitPins) {
+        const nodeId = this.pinToNodeId.get(keptPins.values().next().value);
+        const node = this.engine.nodes.get(nodeId);
+        if (!node) return;
+
+        const split = this.engine.splitNode(nodeId, splitPins);
+        splitPins.forEach(pinId => this.pinToNodeId.set(pinId, split.id));
+        this.attachICPins(splitPins, split);
+        node.update();
+        split.update();
+
+        if (this.onNetUpdate) this.onNetUpdate([...splitPins], split);
+    }
+
+    /**
+     * Point socketed chips at the node their pins are on now
+     */
+    attachICPins(pins, node) {
+        pins.forEach(pinId => {
+            const ic = this.pinToIC.get(pinId);
+            const match = /-pin-(\d+)$/.exec(pinId);
+            if (ic && match) ic.setPinNode(parseInt(match[1], 10), node);
+        });
+    }
+}